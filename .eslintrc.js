@@ -8,6 +8,7 @@ module.exports = {
   globals: {
     Atomics: "readonly",
     SharedArrayBuffer: "readonly",
+    BigInt: "readonly",
   },
   parserOptions: {
     ecmaVersion: 2018,
@@ -27,4 +28,16 @@ module.exports = {
     "no-unused-expressions" :0,
     "prettier/prettier": ["error"]
   },
+  overrides: [
+    {
+      // hardhat tasks only run from a checkout with the dev dependencies installed
+      files: ["tasks/**"],
+      rules: {
+        "import/no-extraneous-dependencies": [
+          "error",
+          { devDependencies: true },
+        ],
+      },
+    },
+  ],
 };
@@ -6,6 +6,9 @@ require("hardhat-deploy");
 require("solidity-coverage");
 require("dotenv").config();
 require("@openzeppelin/hardhat-upgrades");
+require("./tasks/merkle");
+require("./tasks/plan");
+require("./tasks/roles");
 
 // You need to export an object to set up your config
 // Go to https://hardhat.org/config/ to learn more
@@ -109,6 +112,13 @@ module.exports = {
       fuji: "0x4ae1da57f2d6b2e9a23d07e264aa2b3bbcaed19a",
       avalanche: "0x4ae1da57f2d6b2e9a23d07e264aa2b3bbcaed19a",
     },
+    merklePools: {
+      avalanche: "0x9b7b70f65ea5266ebd0a0f8435be832d39e71280",
+    },
+    merklePoolsForeign: {
+      mainnet: "0xc8d00c0a8d2ec4ec538a82461a7a7f5c3ac99d95",
+      goerli: "0xbe62889d7bbb98415123d76d3d862e4482463e52",
+    },
   },
   contractSizer: {
     alphaSort: true,
@@ -1,22 +1,44 @@
 require("dotenv").config();
-const {ethers, getNamedAccounts, upgrades } = require("hardhat");
+const path = require("path");
+const { ethers, getNamedAccounts, network, upgrades } = require("hardhat");
+const { TransactionJournal } = require("../src/utils/TransactionJournal");
 
+const PROXY = "MerklePools proxy";
 
-async function main () {
-  accounts = await ethers.getSigners();
+async function main() {
   const { governance, tic, usdc, ticUsdcELP } = await getNamedAccounts();
-  const MerklePools = await ethers.getContractFactory("MerklePools");
-  const merklePools = await upgrades.deployProxy(MerklePools, [
-    tic,
-    usdc,
-    ticUsdcELP,
-    governance,
-    governance
-  ]);
-  await merklePools.deployed();
-  console.log("MerklePools deployed to ", merklePools.address);
-};
+  const journal = new TransactionJournal({
+    path: path.join(
+      __dirname,
+      "..",
+      "journals",
+      network.name,
+      "deployMerklePools.json"
+    ),
+    provider: ethers.provider,
+  });
 
+  const MerklePools = await ethers.getContractFactory("MerklePools");
+  await journal.run({
+    id: PROXY,
+    description: `deploy MerklePools with governance ${governance}`,
+    // a proxy deployed by an earlier run is not deployed again
+    isSatisfied: async (entry) =>
+      Boolean(entry && entry.contractAddress) &&
+      (await ethers.provider.getCode(entry.contractAddress)) !== "0x",
+    send: async () => {
+      const merklePools = await upgrades.deployProxy(MerklePools, [
+        tic,
+        usdc,
+        ticUsdcELP,
+        governance,
+        governance,
+      ]);
+      return merklePools.deployTransaction;
+    },
+  });
+  console.log("MerklePools deployed to ", journal.get(PROXY).contractAddress);
+}
 
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
@@ -25,4 +47,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
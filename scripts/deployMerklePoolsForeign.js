@@ -1,22 +1,49 @@
 require("dotenv").config();
-const {ethers, getNamedAccounts, upgrades } = require("hardhat");
+const path = require("path");
+const { ethers, getNamedAccounts, network, upgrades } = require("hardhat");
+const { TransactionJournal } = require("../src/utils/TransactionJournal");
 
+const PROXY = "MerklePoolsForeign proxy";
 
-async function main () {
-  accounts = await ethers.getSigners();
+async function main() {
   const { governance, usdc } = await getNamedAccounts();
-  const MerklePoolsForeign = await ethers.getContractFactory("MerklePoolsForeign");
-  const merklePools = await upgrades.deployProxy(MerklePoolsForeign, [
-    ethers.constants.AddressZero,
-    usdc,
-    ethers.constants.AddressZero,
-    governance,
-    governance
-  ]);
-  await merklePools.deployed();
-  console.log("MerklePoolsForeign deployed to ", merklePools.address);
-};
+  const journal = new TransactionJournal({
+    path: path.join(
+      __dirname,
+      "..",
+      "journals",
+      network.name,
+      "deployMerklePoolsForeign.json"
+    ),
+    provider: ethers.provider,
+  });
 
+  const MerklePoolsForeign = await ethers.getContractFactory(
+    "MerklePoolsForeign"
+  );
+  await journal.run({
+    id: PROXY,
+    description: `deploy MerklePoolsForeign with governance ${governance}`,
+    // a proxy deployed by an earlier run is not deployed again
+    isSatisfied: async (entry) =>
+      Boolean(entry && entry.contractAddress) &&
+      (await ethers.provider.getCode(entry.contractAddress)) !== "0x",
+    send: async () => {
+      const merklePools = await upgrades.deployProxy(MerklePoolsForeign, [
+        ethers.constants.AddressZero,
+        usdc,
+        ethers.constants.AddressZero,
+        governance,
+        governance,
+      ]);
+      return merklePools.deployTransaction;
+    },
+  });
+  console.log(
+    "MerklePoolsForeign deployed to ",
+    journal.get(PROXY).contractAddress
+  );
+}
 
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
@@ -25,4 +52,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
@@ -1,5 +0,0 @@
-function delay(ms) {
-  return new Promise(res => setTimeout(res, ms));
-}
-
-module.exports.delay = delay;
\ No newline at end of file
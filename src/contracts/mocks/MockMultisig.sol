@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: GPL-3.0
+
+pragma solidity 0.8.4;
+
+/**
+ * @dev Forwards calls like the execTransaction of a Safe, so tests can act as a
+ * multisig governance that wraps the calldata of the calls it makes.
+ */
+contract MockMultisig {
+    function execTransaction(
+        address _to,
+        uint256 _value,
+        bytes calldata _data
+    ) external payable returns (bool success) {
+        (success, ) = _to.call{value: _value}(_data);
+        require(success, "MockMultisig: CALL_FAILED");
+    }
+}
@@ -3,8 +3,9 @@ const { MerkleTree } = require("./MerkleTree");
 
 class BalanceTree {
   constructor(balances) {
-    if (balances.length < 2) {
-      throw new Error("Tree must have 2 or more nodes / leaves");
+    // a single claim is its own root with an empty proof, which MerkleProof accepts
+    if (balances.length < 1) {
+      throw new Error("Tree must have 1 or more nodes / leaves");
     }
     this._tree = new MerkleTree(
       balances.map(
@@ -44,6 +45,25 @@ class BalanceTree {
     return pair.equals(root);
   }
 
+  // verifies claims against a multiproof, claims must be in the order returned by getMultiProof
+  static verifyMultiProof(claims, proof, proofFlags, root) {
+    return MerkleTree.verifyMultiProof(
+      root,
+      claims.map(
+        ({ index, account, poolId, totalLPTokenAmount, totalTICAmount }) =>
+          BalanceTree.toNode(
+            index,
+            account,
+            poolId,
+            totalLPTokenAmount,
+            totalTICAmount
+          )
+      ),
+      proof,
+      proofFlags
+    );
+  }
+
   // keccak256(abi.encode(index, account, amount))
   static toNode(index, account, poolId, totalLPTokenAmount, totalTICAmount) {
     return Buffer.from(
@@ -73,6 +93,34 @@ class BalanceTree {
       )
     );
   }
+
+  // returns a multiproof for several claims with the claims reordered to match its leaves
+  getMultiProof(claims) {
+    const claimsByNode = claims.reduce((memo, claim) => {
+      const { index, account, poolId, totalLPTokenAmount, totalTICAmount } =
+        claim;
+      memo[
+        BalanceTree.toNode(
+          index,
+          account,
+          poolId,
+          totalLPTokenAmount,
+          totalTICAmount
+        ).toString("hex")
+      ] = claim;
+      return memo;
+    }, {});
+    const { leaves, proof, proofFlags } = this._tree.getHexMultiProof(
+      Object.keys(claimsByNode).map((node) => Buffer.from(node, "hex"))
+    );
+
+    return {
+      claims: leaves.map((leaf) => claimsByNode[leaf.substr(2)]),
+      leaves,
+      proof,
+      proofFlags,
+    };
+  }
 }
 
 module.exports = { BalanceTree };
@@ -0,0 +1,296 @@
+const Database = require("better-sqlite3");
+const { BigNumber, utils } = require("ethers");
+const { getMerklePoolsEvents } = require("./merklePoolsEvents");
+
+const { getAddress } = utils;
+
+const CONTRACT_KINDS = ["MerklePools", "MerklePoolsForeign", "StakingPools"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS contracts (
+    chain_id INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    from_block INTEGER NOT NULL,
+    last_indexed_block INTEGER NOT NULL,
+    PRIMARY KEY (chain_id, address)
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    chain_id INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    pool_id INTEGER,
+    account TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (chain_id, address, block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_pool
+    ON events (chain_id, address, pool_id, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_account
+    ON events (chain_id, address, account, block_number);
+`;
+
+// BigNumber.toJSON serializes to { type: "BigNumber", hex }
+const reviveBigNumbers = (key, value) =>
+  value && value.type === "BigNumber" ? BigNumber.from(value.hex) : value;
+
+/**
+ * Keeps only the named arguments of a decoded event. Events queried with the "*" filter
+ * carry no eventFragment, so the names are taken from the keys of the decoded Result.
+ * @param event ethers event
+ */
+function getNamedArgs({ args }) {
+  return Object.keys(args)
+    .filter((key) => !/^\d+$/.test(key))
+    .reduce((memo, key) => {
+      memo[key] = args[key];
+      return memo;
+    }, {});
+}
+
+/**
+ * Indexes the events of MerklePools, MerklePoolsForeign and StakingPools deployments into a
+ * SQLite database so that root generation and reports read from a single local copy of the
+ * chain history instead of re-querying logs.
+ *
+ * Every contract keeps track of the last block it was indexed to and `sync` resumes from
+ * there. Events of a chunk of blocks and the new last block are written in one transaction,
+ * so an interrupted sync never leaves gaps or duplicates behind.
+ *
+ * Events are returned in the shape of ethers events (`{ event, args, timestamp, poolId }`)
+ * so they can be applied directly to MerklePoolsAccounting.
+ */
+class EventIndexer {
+  /**
+   * @param options.database path of the SQLite file, defaults to an in memory database
+   */
+  constructor({ database = ":memory:" } = {}) {
+    this.db = new Database(database);
+    this.db.exec(SCHEMA);
+    this.contracts = {};
+    this.poolIds = {};
+  }
+
+  /**
+   * Registers a contract to index. Contracts that are already in the database keep their
+   * progress.
+   * @param contract ethers contract connected to a provider
+   * @param options.kind MerklePools, MerklePoolsForeign or StakingPools
+   * @param options.fromBlock block the contract was deployed at
+   * @param options.poolIds poolIds of LPTokensGenerated events by transaction hash, see
+   * getMerklePoolsEvents
+   * @return `{ chainId, address }` identifying the contract in queries
+   */
+  async addContract(contract, { kind, fromBlock = 0, poolIds = {} }) {
+    if (!CONTRACT_KINDS.includes(kind)) {
+      throw new Error(`Unknown contract kind: ${kind}`);
+    }
+    const { chainId } = await contract.provider.getNetwork();
+    const address = getAddress(contract.address);
+    const existing = this._getContract(chainId, address);
+    if (existing && existing.kind !== kind) {
+      throw new Error(`${address} is already indexed as ${existing.kind}`);
+    }
+    if (!existing) {
+      this.db
+        .prepare(
+          `INSERT INTO contracts (chain_id, address, kind, from_block, last_indexed_block)
+           VALUES (?, ?, ?, ?, ?)`
+        )
+        .run(chainId, address, kind, fromBlock, fromBlock - 1);
+    }
+    this.contracts[`${chainId}:${address}`] = contract;
+    this.poolIds[`${chainId}:${address}`] = poolIds;
+    return { chainId, address };
+  }
+
+  /**
+   * Indexes every registered contract up to a block, resuming from its last indexed block.
+   * @param options.toBlock last block to index (inclusive)
+   * @param options.chunkSize number of blocks fetched and committed at once
+   * @return the number of events added
+   */
+  async sync({ toBlock = "latest", chunkSize = 5000 } = {}) {
+    const insertEvent = this.db.prepare(
+      `INSERT OR IGNORE INTO events (chain_id, address, block_number, log_index,
+         transaction_hash, timestamp, event, pool_id, account, args)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    const updateLastBlock = this.db.prepare(
+      `UPDATE contracts SET last_indexed_block = ?
+       WHERE chain_id = ? AND address = ?`
+    );
+    const commitChunk = this.db.transaction((chainId, address, events, end) => {
+      events.forEach((event) => {
+        const args = getNamedArgs(event);
+        const poolId = event.poolId !== undefined ? event.poolId : args.poolId;
+        insertEvent.run(
+          chainId,
+          address,
+          event.blockNumber,
+          event.logIndex,
+          event.transactionHash,
+          event.timestamp,
+          event.event,
+          poolId === undefined ? null : BigNumber.from(poolId).toNumber(),
+          args.user ? getAddress(args.user) : null,
+          JSON.stringify(args)
+        );
+      });
+      updateLastBlock.run(end, chainId, address);
+    });
+
+    let added = 0;
+    await Object.keys(this.contracts).reduce(async (previous, key) => {
+      await previous;
+      const contract = this.contracts[key];
+      const [chainId, address] = key.split(":");
+      const lastBlock =
+        toBlock === "latest"
+          ? await contract.provider.getBlockNumber()
+          : Number(toBlock);
+      const start = this.getLastIndexedBlock(chainId, address) + 1;
+
+      for (let from = start; from <= lastBlock; from += chunkSize) {
+        const end = Math.min(from + chunkSize - 1, lastBlock);
+        // chunks are committed in order so the last indexed block never skips ahead
+        // eslint-disable-next-line no-await-in-loop
+        const events = await getMerklePoolsEvents(contract, {
+          fromBlock: from,
+          toBlock: end,
+          chunkSize,
+          poolIds: this.poolIds[key],
+        });
+        commitChunk(Number(chainId), address, events, end);
+        added += events.length;
+      }
+    }, Promise.resolve());
+    return added;
+  }
+
+  /**
+   * @param chainId chain of the contract
+   * @param address address of the contract
+   * @return the last block the contract was indexed to
+   */
+  getLastIndexedBlock(chainId, address) {
+    const contract = this._getContract(chainId, address);
+    if (!contract) {
+      throw new Error(`${address} on chain ${chainId} is not indexed`);
+    }
+    return contract.last_indexed_block;
+  }
+
+  /**
+   * @return every indexed contract as `{ chainId, address, kind, fromBlock, lastIndexedBlock }`
+   */
+  getContracts() {
+    return this.db
+      .prepare("SELECT * FROM contracts ORDER BY chain_id, address")
+      .all()
+      .map((row) => ({
+        chainId: row.chain_id,
+        address: row.address,
+        kind: row.kind,
+        fromBlock: row.from_block,
+        lastIndexedBlock: row.last_indexed_block,
+      }));
+  }
+
+  /**
+   * Queries indexed events in chain order. Every filter is optional.
+   * @param filter.chainId chain of the contract
+   * @param filter.address address of the contract
+   * @param filter.event event name or list of event names
+   * @param filter.poolId pool the event is for
+   * @param filter.account staker the event is for
+   * @param filter.fromBlock first block (inclusive)
+   * @param filter.toBlock last block (inclusive)
+   */
+  getEvents({
+    chainId,
+    address,
+    event,
+    poolId,
+    account,
+    fromBlock,
+    toBlock,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    const where = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+    if (chainId !== undefined) {
+      where("chain_id = ?", Number(chainId));
+    }
+    if (address !== undefined) {
+      where("address = ?", getAddress(address));
+    }
+    if (event !== undefined) {
+      const events = Array.isArray(event) ? event : [event];
+      where(`event IN (${events.map(() => "?").join(", ")})`, ...events);
+    }
+    if (poolId !== undefined) {
+      where("pool_id = ?", BigNumber.from(poolId).toNumber());
+    }
+    if (account !== undefined) {
+      where("account = ?", getAddress(account));
+    }
+    if (fromBlock !== undefined) {
+      where("block_number >= ?", fromBlock);
+    }
+    if (toBlock !== undefined) {
+      where("block_number <= ?", toBlock);
+    }
+
+    return this.db
+      .prepare(
+        `SELECT * FROM events
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY chain_id, block_number, log_index`
+      )
+      .all(...params)
+      .map((row) => ({
+        chainId: row.chain_id,
+        address: row.address,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        transactionHash: row.transaction_hash,
+        timestamp: row.timestamp,
+        event: row.event,
+        poolId: row.pool_id === null ? undefined : row.pool_id,
+        account: row.account === null ? undefined : row.account,
+        args: JSON.parse(row.args, reviveBigNumbers),
+      }));
+  }
+
+  getPoolEvents(poolId, filter = {}) {
+    return this.getEvents({ ...filter, poolId });
+  }
+
+  getAccountEvents(account, filter = {}) {
+    return this.getEvents({ ...filter, account });
+  }
+
+  getBlockRangeEvents(fromBlock, toBlock, filter = {}) {
+    return this.getEvents({ ...filter, fromBlock, toBlock });
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  _getContract(chainId, address) {
+    return this.db
+      .prepare("SELECT * FROM contracts WHERE chain_id = ? AND address = ?")
+      .get(Number(chainId), getAddress(address));
+  }
+}
+
+module.exports = { CONTRACT_KINDS, EventIndexer };
@@ -0,0 +1,608 @@
+const { BigNumber, utils } = require("ethers");
+
+const { getAddress } = utils;
+
+const { allocateBatch } = require("./lpAllocation");
+const { MerklePool, MerkleStake, toBigInt } = require("./poolMath");
+
+const ZERO = BigNumber.from(0);
+
+// what happens to the TIC forfeited to the forfeit address, and the LP generated for it
+const FORFEIT_POLICIES = ["treasury", "redistribute", "unallocated"];
+
+function maxZero(value) {
+  return value.lt(0) ? ZERO : value;
+}
+
+// the accounting keeps BigNumbers, the math in poolMath works on bigints
+const toBigNumber = (value) => BigNumber.from(value.toString());
+
+const toContext = (ctx) => ({
+  rewardRate: toBigInt(ctx.rewardRate),
+  totalRewardWeight: toBigInt(ctx.totalRewardWeight),
+});
+
+const toPool = (pool) => ({
+  totalDeposited: toBigInt(pool.totalDeposited),
+  totalUnclaimedTIC: toBigInt(pool.totalUnclaimedTIC),
+  rewardWeight: toBigInt(pool.rewardWeight),
+  accumulatedRewardWeight: { x: toBigInt(pool.accumulatedRewardWeight) },
+  lastUpdatedBlockTimestamp: toBigInt(pool.lastUpdatedBlockTimestamp),
+});
+
+const toStake = (stake) => ({
+  totalDeposited: toBigInt(stake.totalDeposited),
+  totalUnrealized: toBigInt(stake.totalUnrealized),
+  lastAccumulatedWeight: { x: toBigInt(stake.lastAccumulatedWeight) },
+});
+
+// MerklePool.getUpdatedAccumulatedRewardWeight
+function poolUpdatedAccumulatedRewardWeight(pool, ctx, ts) {
+  return toBigNumber(
+    MerklePool.getUpdatedAccumulatedRewardWeight(
+      toPool(pool),
+      toContext(ctx),
+      toBigInt(ts)
+    ).x
+  );
+}
+
+// MerklePool.getUpdatedTotalUnclaimed
+function poolUpdatedTotalUnclaimed(pool, ctx, ts) {
+  return toBigNumber(
+    MerklePool.getUpdatedTotalUnclaimed(
+      toPool(pool),
+      toContext(ctx),
+      toBigInt(ts)
+    )
+  );
+}
+
+// MerklePool.update
+function poolUpdate(pool, ctx, ts) {
+  pool.accumulatedRewardWeight = poolUpdatedAccumulatedRewardWeight(
+    pool,
+    ctx,
+    ts
+  );
+  pool.totalUnclaimedTIC = poolUpdatedTotalUnclaimed(pool, ctx, ts);
+  pool.lastUpdatedBlockTimestamp = ts;
+}
+
+// MerkleStake.getUpdatedTotalUnclaimed
+function stakeUpdatedTotalUnclaimed(stake, pool, ctx, ts) {
+  return toBigNumber(
+    MerkleStake.getUpdatedTotalUnclaimed(
+      toStake(stake),
+      toPool(pool),
+      toContext(ctx),
+      toBigInt(ts)
+    )
+  );
+}
+
+// MerkleStake.update
+function stakeUpdate(stake, pool, ctx, ts) {
+  stake.totalUnrealized = stakeUpdatedTotalUnclaimed(stake, pool, ctx, ts);
+  stake.lastAccumulatedWeight = poolUpdatedAccumulatedRewardWeight(
+    pool,
+    ctx,
+    ts
+  );
+}
+
+/**
+ * Replays MerklePools events off chain with the MerklePool / MerkleStake ports in poolMath
+ * so that every staker's unrealized TIC matches `getStakeTotalUnclaimed` to the wei.
+ *
+ * Events are expected in chain order and in the shape ethers returns them
+ * (`{ event, args }`) with two additions:
+ *   - `timestamp` the timestamp of the block the event was emitted in.
+ *   - `poolId` for `LPTokensGenerated`, which does not carry the pool it was generated
+ *     for and must be decoded from the `generateLPTokens` transaction.
+ *
+ * Every `LPTokensGenerated` batch is allocated to the stakers of the pool pro-rata by their
+ * unrealized TIC that is not yet backed by LP (see lpAllocation), so that the cumulative
+ * totals returned by `getClaims` can be fed directly into a `BalanceTree`. Batches are kept
+ * in `getBatches` so every staker's LP per TIC can be audited batch by batch.
+ *
+ * `exit` forfeits a staker's unrealized TIC, and any LP allocated against it, to the forfeit
+ * address and adds the TIC to the staker's `totalRealizedTIC`. The accounting does the same,
+ * so the cumulative totals of a staker who re-enters start from that inflated baseline, and
+ * keeps every exit in `getForfeits`.
+ *
+ * The forfeit address can never deposit or exit, and `claim` only lets a stake's own
+ * address realize it, so the forfeit policy decides what the LP of forfeited TIC goes to:
+ *   - `treasury` the forfeit stakes share in LP batches like any stake and get a leaf of
+ *     their own, claimable by the forfeit address which is expected to be the DAO treasury.
+ *   - `redistribute` forfeit stakes are left out of LP batches, so their share goes to the
+ *     remaining stakers of the pool pro-rata. LP allocated to a stake that exits is added
+ *     to the next batch of the pool.
+ *   - `unallocated` the share of forfeit stakes, and LP allocated to a stake that exits,
+ *     is held back in the contract.
+ * Either way the forfeited TIC stays unrealized on the forfeit stake, see
+ * `getForfeitAllocations` for what each policy did with the LP.
+ */
+class MerklePoolsAccounting {
+  constructor({ forfeitAddress, forfeitPolicy = "treasury" }) {
+    if (!FORFEIT_POLICIES.includes(forfeitPolicy)) {
+      throw new Error(`Unknown forfeit policy: ${forfeitPolicy}`);
+    }
+    this.forfeitAddress = getAddress(forfeitAddress);
+    this.forfeitPolicy = forfeitPolicy;
+    // every address that has been the forfeit address, their stakes keep what they received
+    this.forfeitAddresses = [this.forfeitAddress];
+    this.forfeitAllocations = {};
+    this.context = { rewardRate: ZERO, totalRewardWeight: ZERO };
+    this.pools = [];
+    this.stakes = {};
+    this.batches = [];
+    this.forfeits = [];
+    this.lastTimestamp = ZERO;
+  }
+
+  /**
+   * Applies a list of events in order.
+   * @param events ordered MerklePools events
+   */
+  applyEvents(events) {
+    events.forEach((event) => this.applyEvent(event));
+    return this;
+  }
+
+  /**
+   * Applies a single MerklePools event. Events that do not affect the accounting
+   * (governance changes, merkle root updates) are ignored.
+   * @param event the event to apply
+   */
+  applyEvent({ event, args, timestamp, poolId, blockNumber, transactionHash }) {
+    const ts = BigNumber.from(timestamp);
+    if (ts.lt(this.lastTimestamp)) {
+      throw new Error(`Event ${event} is out of order`);
+    }
+    this.lastTimestamp = ts;
+
+    switch (event) {
+      case "PoolCreated":
+        this._createPool(args.poolId, ts);
+        break;
+      case "RewardRateUpdated":
+        this._updatePools(ts);
+        this.context.rewardRate = BigNumber.from(args.rewardRate);
+        break;
+      case "PoolRewardWeightUpdated":
+        this._setRewardWeight(args.poolId, args.rewardWeight, ts);
+        break;
+      case "ForfeitAddressUpdated":
+        // the event argument is (mis)named governance in MerklePools.sol
+        this.forfeitAddress = getAddress(args.governance || args[0]);
+        if (!this.forfeitAddresses.includes(this.forfeitAddress)) {
+          this.forfeitAddresses.push(this.forfeitAddress);
+        }
+        break;
+      case "TokensDeposited":
+        this._deposit(args.user, args.poolId, args.amount, ts);
+        break;
+      case "TokensWithdrawn":
+        this._exit(args.user, args.poolId, args.amount, ts, {
+          blockNumber,
+          transactionHash,
+        });
+        break;
+      case "TokensClaimed":
+        this._claim(
+          args.user,
+          args.poolId,
+          args.lpTokenAmountClaimed,
+          args.ticTokenAmountClaimed,
+          ts
+        );
+        break;
+      case "LPTokensGenerated":
+        if (poolId === undefined || poolId === null) {
+          throw new Error("LPTokensGenerated requires the poolId");
+        }
+        this._generateLPTokens(
+          {
+            poolId: BigNumber.from(poolId).toNumber(),
+            blockNumber,
+            transactionHash,
+            timestamp: ts.toNumber(),
+            lpAmountCreated: args.lpAmountCreated,
+            ticConsumed: args.ticConsumed,
+          },
+          ts
+        );
+        break;
+      default:
+        break;
+    }
+    return this;
+  }
+
+  /**
+   * Gets the number of unrealized TIC a staker has in a pool at a given timestamp, matching
+   * `MerklePools.getStakeTotalUnclaimed`.
+   * @param account the staker
+   * @param poolId the pool
+   * @param timestamp the timestamp to compute the value at, defaults to the last event
+   */
+  getStakeTotalUnclaimed(account, poolId, timestamp = this.lastTimestamp) {
+    const pool = this._getPool(poolId);
+    const stakes = this.stakes[getAddress(account)] || {};
+    const stake = stakes[BigNumber.from(poolId).toString()];
+    if (!stake) {
+      return ZERO;
+    }
+    return stakeUpdatedTotalUnclaimed(
+      stake,
+      pool,
+      this.context,
+      BigNumber.from(timestamp)
+    );
+  }
+
+  /**
+   * Gets the number of TIC unclaimed from a pool at a given timestamp, matching
+   * `MerklePools.getPoolTotalUnclaimed`.
+   * @param poolId the pool
+   * @param timestamp the timestamp to compute the value at, defaults to the last event
+   */
+  getPoolTotalUnclaimed(poolId, timestamp = this.lastTimestamp) {
+    return poolUpdatedTotalUnclaimed(
+      this._getPool(poolId),
+      this.context,
+      BigNumber.from(timestamp)
+    );
+  }
+
+  /**
+   * Gets every staker's unrealized TIC per pool at a given timestamp.
+   * @param timestamp the timestamp to compute the values at, defaults to the last event
+   * @return `{ [account]: { [poolId]: BigNumber } }`
+   */
+  getUnrealized(timestamp = this.lastTimestamp) {
+    return Object.keys(this.stakes).reduce((memo, account) => {
+      memo[account] = Object.keys(this.stakes[account]).reduce(
+        (poolMemo, poolId) => {
+          poolMemo[poolId] = this.getStakeTotalUnclaimed(
+            account,
+            poolId,
+            timestamp
+          );
+          return poolMemo;
+        },
+        {}
+      );
+      return memo;
+    }, {});
+  }
+
+  /**
+   * Gets the cumulative claim totals for every stake that has LP allocated to it which
+   * has not yet been claimed. The result can be passed to `parseBalanceMap`.
+   * @return `[{ account, poolId, totalLPTokenAmount, totalTICAmount }]`
+   */
+  getClaims() {
+    return Object.keys(this.stakes).reduce((memo, account) => {
+      Object.keys(this.stakes[account]).forEach((poolId) => {
+        const stake = this.stakes[account][poolId];
+        if (stake.allocatedLP.isZero() || stake.allocatedTIC.isZero()) {
+          return;
+        }
+        memo.push({
+          account,
+          poolId: Number(poolId),
+          totalLPTokenAmount: stake.totalRealizedLP.add(stake.allocatedLP),
+          totalTICAmount: stake.totalRealizedTIC.add(stake.allocatedTIC),
+        });
+      });
+      return memo;
+    }, []);
+  }
+
+  /**
+   * Gets the `LPTokensGenerated` batches in the order they were generated with the LP and
+   * TIC allocated to each staker, see `allocateBatch`.
+   * @param poolId only return the batches of this pool
+   */
+  getBatches(poolId) {
+    if (poolId === undefined) {
+      return this.batches;
+    }
+    const id = BigNumber.from(poolId).toNumber();
+    return this.batches.filter((batch) => batch.poolId === id);
+  }
+
+  /**
+   * Gets every exit in the order they happened with the TIC and LP it forfeited.
+   * @param poolId only return the exits from this pool
+   * @return `[{ account, poolId, blockNumber, transactionHash, timestamp, forfeitAddress,
+   * forfeitedTIC, forfeitedAllocatedTIC, forfeitedAllocatedLP, previousRealizedTIC,
+   * totalRealizedTIC }]` where totalRealizedTIC is the baseline after the exit
+   */
+  getForfeits(poolId) {
+    if (poolId === undefined) {
+      return this.forfeits;
+    }
+    const id = BigNumber.from(poolId).toNumber();
+    return this.forfeits.filter((forfeit) => forfeit.poolId === id);
+  }
+
+  /**
+   * Gets what the forfeit policy did with the LP of forfeited TIC in every pool. Under the
+   * treasury policy it is in the claims of the forfeit addresses instead.
+   * @return `{ [poolId]: { redistributedLP, pendingLP, unallocatedTIC, unallocatedLP } }`
+   * where pendingLP is waiting for the next batch of the pool to be redistributed
+   */
+  getForfeitAllocations() {
+    return this.forfeitAllocations;
+  }
+
+  /**
+   * Checks whether a later `generateLPTokens` batch of a pool would be allocated to any
+   * stake, i.e. a stake still accrues TIC or has unrealized TIC not backed by LP. Only the
+   * treasury policy allocates batches to forfeit stakes. LP pending in a pool that can not
+   * allocate a batch is stuck.
+   * @param poolId the pool
+   * @param timestamp the timestamp to check at, defaults to the last event
+   */
+  canAllocateBatch(poolId, timestamp = this.lastTimestamp) {
+    const pool = this._getPool(poolId);
+    const id = BigNumber.from(poolId).toString();
+    return Object.keys(this.stakes).some((account) => {
+      const stake = this.stakes[account][id];
+      if (
+        !stake ||
+        (this.forfeitPolicy !== "treasury" && this._isForfeitStake(account))
+      ) {
+        return false;
+      }
+      return (
+        (stake.totalDeposited.gt(0) && pool.rewardWeight.gt(0)) ||
+        this.getStakeTotalUnclaimed(account, poolId, timestamp).gt(
+          stake.allocatedTIC
+        )
+      );
+    });
+  }
+
+  _getForfeitAllocation(poolId) {
+    const id = BigNumber.from(poolId).toString();
+    if (!this.forfeitAllocations[id]) {
+      this.forfeitAllocations[id] = {
+        redistributedLP: ZERO,
+        pendingLP: ZERO,
+        unallocatedTIC: ZERO,
+        unallocatedLP: ZERO,
+      };
+    }
+    return this.forfeitAllocations[id];
+  }
+
+  _isForfeitStake(account) {
+    return this.forfeitAddresses.includes(account);
+  }
+
+  _getPool(poolId) {
+    const pool = this.pools[BigNumber.from(poolId).toNumber()];
+    if (!pool) {
+      throw new Error(`Unknown pool: ${poolId.toString()}`);
+    }
+    return pool;
+  }
+
+  _getStake(account, poolId) {
+    const parsed = getAddress(account);
+    const id = BigNumber.from(poolId).toString();
+    if (!this.stakes[parsed]) {
+      this.stakes[parsed] = {};
+    }
+    if (!this.stakes[parsed][id]) {
+      this.stakes[parsed][id] = {
+        totalDeposited: ZERO,
+        totalUnrealized: ZERO,
+        totalRealizedTIC: ZERO,
+        totalRealizedLP: ZERO,
+        lastAccumulatedWeight: ZERO,
+        allocatedTIC: ZERO, // TIC in LP allocated to this stake but not yet claimed
+        allocatedLP: ZERO, // LP allocated to this stake but not yet claimed
+      };
+    }
+    return this.stakes[parsed][id];
+  }
+
+  _createPool(poolId, ts) {
+    const id = BigNumber.from(poolId).toNumber();
+    if (id !== this.pools.length) {
+      throw new Error(`Unexpected pool id: ${id}`);
+    }
+    this.pools.push({
+      totalDeposited: ZERO,
+      totalUnclaimedTIC: ZERO,
+      totalUnclaimedTICInLP: ZERO,
+      rewardWeight: ZERO,
+      accumulatedRewardWeight: ZERO,
+      lastUpdatedBlockTimestamp: ts,
+    });
+  }
+
+  _updatePools(ts) {
+    this.pools.forEach((pool) => poolUpdate(pool, this.context, ts));
+  }
+
+  _setRewardWeight(poolId, rewardWeight, ts) {
+    // setRewardWeights updates every pool before changing any weights. Updating twice in the
+    // same block is a no-op so this is safe to repeat for each event in the transaction.
+    this._updatePools(ts);
+    const pool = this._getPool(poolId);
+    this.context.totalRewardWeight = this.context.totalRewardWeight
+      .sub(pool.rewardWeight)
+      .add(rewardWeight);
+    pool.rewardWeight = BigNumber.from(rewardWeight);
+  }
+
+  _deposit(account, poolId, amount, ts) {
+    const pool = this._getPool(poolId);
+    poolUpdate(pool, this.context, ts);
+    const stake = this._getStake(account, poolId);
+    stakeUpdate(stake, pool, this.context, ts);
+
+    pool.totalDeposited = pool.totalDeposited.add(amount);
+    stake.totalDeposited = stake.totalDeposited.add(amount);
+  }
+
+  _exit(account, poolId, amount, ts, { blockNumber, transactionHash } = {}) {
+    const pool = this._getPool(poolId);
+    poolUpdate(pool, this.context, ts);
+    const stake = this._getStake(account, poolId);
+    stakeUpdate(stake, pool, this.context, ts);
+
+    pool.totalDeposited = pool.totalDeposited.sub(amount);
+    stake.totalDeposited = ZERO;
+
+    this.forfeits.push({
+      account: getAddress(account),
+      poolId: BigNumber.from(poolId).toNumber(),
+      blockNumber,
+      transactionHash,
+      timestamp: ts.toNumber(),
+      forfeitAddress: this.forfeitAddress,
+      forfeitedTIC: stake.totalUnrealized,
+      forfeitedAllocatedTIC: stake.allocatedTIC,
+      forfeitedAllocatedLP: stake.allocatedLP,
+      previousRealizedTIC: stake.totalRealizedTIC,
+      totalRealizedTIC: stake.totalRealizedTIC.add(stake.totalUnrealized),
+    });
+
+    const forfeitStake = this._getStake(this.forfeitAddress, poolId);
+    stakeUpdate(forfeitStake, pool, this.context, ts);
+    forfeitStake.totalUnrealized = forfeitStake.totalUnrealized.add(
+      stake.totalUnrealized
+    );
+    // any LP already generated against the forfeited TIC follows the forfeit policy
+    if (this.forfeitPolicy === "treasury") {
+      forfeitStake.allocatedTIC = forfeitStake.allocatedTIC.add(
+        stake.allocatedTIC
+      );
+      forfeitStake.allocatedLP = forfeitStake.allocatedLP.add(
+        stake.allocatedLP
+      );
+    } else {
+      const allocation = this._getForfeitAllocation(poolId);
+      if (this.forfeitPolicy === "redistribute") {
+        allocation.pendingLP = allocation.pendingLP.add(stake.allocatedLP);
+      } else {
+        allocation.unallocatedTIC = allocation.unallocatedTIC.add(
+          stake.allocatedTIC
+        );
+        allocation.unallocatedLP = allocation.unallocatedLP.add(
+          stake.allocatedLP
+        );
+      }
+    }
+    stake.allocatedTIC = ZERO;
+    stake.allocatedLP = ZERO;
+
+    // see MerklePools.exit, re-entering stakers start from an inflated totalRealizedTIC
+    stake.totalRealizedTIC = stake.totalRealizedTIC.add(stake.totalUnrealized);
+    stake.totalUnrealized = ZERO;
+  }
+
+  _claim(account, poolId, lpAmount, ticAmount, ts) {
+    const pool = this._getPool(poolId);
+    poolUpdate(pool, this.context, ts);
+    const stake = this._getStake(account, poolId);
+    stakeUpdate(stake, pool, this.context, ts);
+
+    stake.totalRealizedLP = stake.totalRealizedLP.add(lpAmount);
+    stake.totalRealizedTIC = stake.totalRealizedTIC.add(ticAmount);
+    stake.totalUnrealized = stake.totalUnrealized.sub(ticAmount);
+    pool.totalUnclaimedTIC = pool.totalUnclaimedTIC.sub(ticAmount);
+    pool.totalUnclaimedTICInLP = pool.totalUnclaimedTICInLP.sub(ticAmount);
+
+    stake.allocatedLP = maxZero(stake.allocatedLP.sub(lpAmount));
+    stake.allocatedTIC = maxZero(stake.allocatedTIC.sub(ticAmount));
+  }
+
+  _generateLPTokens(batch, ts) {
+    const pool = this._getPool(batch.poolId);
+    poolUpdate(pool, this.context, ts);
+    pool.totalUnclaimedTICInLP = pool.totalUnclaimedTICInLP.add(
+      batch.ticConsumed
+    );
+
+    // stakes are not updated by generateLPTokens, so we only read their current values
+    const id = String(batch.poolId);
+    const forfeitAllocation = this._getForfeitAllocation(batch.poolId);
+    const isRedistributed = this.forfeitPolicy === "redistribute";
+    const available = Object.keys(this.stakes)
+      .filter(
+        (account) =>
+          this.stakes[account][id] &&
+          !(isRedistributed && this._isForfeitStake(account))
+      )
+      .map((account) => {
+        const stake = this.stakes[account][id];
+        const unrealized = stakeUpdatedTotalUnclaimed(
+          stake,
+          pool,
+          this.context,
+          ts
+        );
+        return { account, amount: maxZero(unrealized.sub(stake.allocatedTIC)) };
+      });
+
+    // LP forfeited by exits is allocated along with the batch, see the forfeit policies
+    const { pendingLP } = forfeitAllocation;
+    const allocated = allocateBatch(
+      isRedistributed
+        ? {
+            ...batch,
+            lpAmountCreated: BigNumber.from(batch.lpAmountCreated).add(
+              pendingLP
+            ),
+          }
+        : batch,
+      available
+    );
+    if (isRedistributed) {
+      const redistributedLP = allocated.unallocatedLP.isZero()
+        ? pendingLP
+        : ZERO;
+      forfeitAllocation.pendingLP = pendingLP.sub(redistributedLP);
+      forfeitAllocation.redistributedLP =
+        forfeitAllocation.redistributedLP.add(redistributedLP);
+      allocated.lpAmountCreated = BigNumber.from(batch.lpAmountCreated);
+      allocated.redistributedLP = redistributedLP;
+      allocated.unallocatedLP = allocated.unallocatedLP.sub(
+        pendingLP.sub(redistributedLP)
+      );
+    }
+
+    const isHeldBack = (account) =>
+      this.forfeitPolicy === "unallocated" && this._isForfeitStake(account);
+    allocated.allocations
+      .filter(({ account }) => isHeldBack(account))
+      .forEach(({ tic, lp }) => {
+        forfeitAllocation.unallocatedTIC =
+          forfeitAllocation.unallocatedTIC.add(tic);
+        forfeitAllocation.unallocatedLP =
+          forfeitAllocation.unallocatedLP.add(lp);
+        allocated.unallocatedTIC = allocated.unallocatedTIC.add(tic);
+        allocated.unallocatedLP = allocated.unallocatedLP.add(lp);
+      });
+    allocated.allocations = allocated.allocations.filter(
+      ({ account }) => !isHeldBack(account)
+    );
+
+    allocated.allocations.forEach(({ account, tic, lp }) => {
+      const stake = this.stakes[account][id];
+      stake.allocatedTIC = stake.allocatedTIC.add(tic);
+      stake.allocatedLP = stake.allocatedLP.add(lp);
+    });
+    this.batches.push(allocated);
+  }
+}
+
+module.exports = { FORFEIT_POLICIES, MerklePoolsAccounting };
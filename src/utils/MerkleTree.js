@@ -92,6 +92,199 @@ class MerkleTree {
     return MerkleTree._bufArrToHexArr(proof);
   }
 
+  // Generates a multiproof in the format of OpenZeppelin's MerkleProof.multiProofVerify.
+  // processMultiProof reads the leaves and then the hashes it computes as one queue, so read
+  // backwards that queue visits the nodes above the elements breadth first from the root.
+  // Since the last element of an odd sized layer is promoted without being hashed, elements
+  // can sit at different depths, and a set of elements is only provable when they are at most
+  // one hash apart and the nodes at the upper depth that still need hashing can be visited
+  // before the elements there.
+  getMultiProof(els) {
+    const indices = [
+      ...new Set(
+        els.map((el) => {
+          const idx = this.bufferElementPositionIndex[bufferToHex(el)];
+          if (typeof idx !== "number") {
+            throw new Error("Element does not exist in Merkle tree");
+          }
+          return idx;
+        })
+      ),
+    ];
+
+    const topLayer = this.layers.length - 1;
+    const root = { layer: topLayer, index: 0 };
+    if (indices.length === 0) {
+      return { leaves: [], proof: [this.getRoot()], proofFlags: [] };
+    }
+
+    const key = ({ layer, index }) => `${layer}:${index}`;
+    // follows a node up through the layers where it has no pair element
+    const lift = ({ layer, index }) => {
+      let current = { layer, index };
+      while (
+        current.layer < topLayer &&
+        MerkleTree._pairIndex(current.index) >=
+          this.layers[current.layer].length
+      ) {
+        current = {
+          layer: current.layer + 1,
+          index: Math.floor(current.index / 2),
+        };
+      }
+      return current;
+    };
+
+    // known children of the nodes whose value is computed from the elements
+    const children = new Map();
+    indices.forEach((idx) => {
+      let node = lift({ layer: 0, index: idx });
+      while (node.layer < topLayer) {
+        const parent = lift({
+          layer: node.layer + 1,
+          index: Math.floor(node.index / 2),
+        });
+        const known = children.get(key(parent)) || [];
+        children.set(key(parent), [...known, node]);
+        if (known.length > 0) {
+          break;
+        }
+        node = parent;
+      }
+    });
+    const childrenOf = (node) => children.get(key(node)) || [];
+    const walk = (visit) => {
+      const nodes = [root];
+      for (let pos = 0; pos < nodes.length; pos += 1) {
+        visit(nodes[pos]);
+        nodes.push(...childrenOf(nodes[pos]));
+      }
+      return nodes;
+    };
+
+    const depths = new Map([[key(root), 0]]);
+    const nodes = walk((node) =>
+      childrenOf(node).forEach((child) =>
+        depths.set(key(child), depths.get(key(node)) + 1)
+      )
+    );
+    const maxDepth = Math.max(...depths.values());
+
+    // which of hashes and elements are at the depth above the deepest elements under a node
+    const kinds = new Map();
+    const cannotCombine = () =>
+      new Error("Elements cannot be combined into a multiproof");
+    [...nodes].reverse().forEach((node) => {
+      const known = childrenOf(node);
+      const depth = depths.get(key(node));
+      if (known.length === 0 && depth < maxDepth - 1) {
+        throw cannotCombine();
+      }
+      if (
+        known.filter((child) => kinds.get(key(child)).size === 2).length > 1
+      ) {
+        throw cannotCombine();
+      }
+      const nodeKinds = new Set(
+        depth === maxDepth - 1 ? [known.length > 0 ? "hash" : "element"] : []
+      );
+      known.forEach((child) =>
+        kinds.get(key(child)).forEach((kind) => nodeKinds.add(kind))
+      );
+      kinds.set(key(node), nodeKinds);
+    });
+    // hashes first, then the one child with both, then elements
+    const rank = (node) => {
+      const nodeKinds = kinds.get(key(node));
+      return nodeKinds.has("element") ? 3 - nodeKinds.size : 0;
+    };
+    children.forEach((known) => known.sort((a, b) => rank(a) - rank(b)));
+
+    const queue = walk(() => {}).reverse();
+    const proof = [];
+    const proofFlags = [];
+    for (let pos = 0; pos < queue.length - 1; ) {
+      const { layer, index } = queue[pos];
+      const siblings = childrenOf(
+        lift({ layer: layer + 1, index: Math.floor(index / 2) })
+      );
+      if (siblings.length === 2) {
+        pos += 2;
+        proofFlags.push(true);
+      } else {
+        proof.push(this.layers[layer][MerkleTree._pairIndex(index)]);
+        pos += 1;
+        proofFlags.push(false);
+      }
+    }
+
+    return {
+      leaves: queue
+        .slice(0, indices.length)
+        .map(({ layer, index }) => this.layers[layer][index]),
+      proof,
+      proofFlags,
+    };
+  }
+
+  getHexMultiProof(els) {
+    const { leaves, proof, proofFlags } = this.getMultiProof(els);
+
+    return {
+      leaves: MerkleTree._bufArrToHexArr(leaves),
+      proof: MerkleTree._bufArrToHexArr(proof),
+      proofFlags,
+    };
+  }
+
+  // mirrors MerkleProof.processMultiProof, leaves must be in the order of the multiproof
+  static verifyMultiProof(root, leaves, proof, proofFlags) {
+    const toBuffer = (el) =>
+      Buffer.isBuffer(el) ? el : Buffer.from(el.slice(2), "hex");
+    const totalHashes = proofFlags.length;
+    if (leaves.length + proof.length - 1 !== totalHashes) {
+      return false;
+    }
+
+    const hashes = [];
+    let leafPos = 0;
+    let hashPos = 0;
+    let proofPos = 0;
+    const next = () => {
+      if (leafPos < leaves.length) {
+        leafPos += 1;
+        return toBuffer(leaves[leafPos - 1]);
+      }
+      hashPos += 1;
+      return hashes[hashPos - 1];
+    };
+    proofFlags.forEach((flag) => {
+      const a = next();
+      let b;
+      if (flag) {
+        b = next();
+      } else {
+        proofPos += 1;
+        b = toBuffer(proof[proofPos - 1]);
+      }
+      hashes.push(keccak256(MerkleTree._sortAndConcat(a, b)));
+    });
+
+    let computed;
+    if (totalHashes > 0) {
+      computed = hashes[totalHashes - 1];
+    } else if (leaves.length > 0) {
+      computed = toBuffer(leaves[0]);
+    } else {
+      computed = toBuffer(proof[0]);
+    }
+    return computed.equals(toBuffer(root));
+  }
+
+  static _pairIndex(idx) {
+    return idx % 2 === 0 ? idx + 1 : idx - 1;
+  }
+
   static _getPairElement(idx, layer) {
     const pairIdx = idx % 2 === 0 ? idx + 1 : idx - 1;
 
@@ -0,0 +1,322 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { BigNumber, Contract, utils } = require("ethers");
+const { parseDistributionFile } = require("./distributionFile");
+const { parseSignedDistributionFile } = require("./distributionSignature");
+
+const { getAddress, isAddress } = utils;
+
+// only the views the service reads, so it does not depend on compiled artifacts
+const MERKLE_POOLS_ABI = [
+  "function merkleRoot() view returns (bytes32)",
+  "function stakes(address, uint256) view returns (uint256 totalDeposited, uint256 totalUnrealized, uint256 totalRealizedTIC, uint256 totalRealizedLP, tuple(uint256 x) lastAccumulatedWeight)",
+];
+
+const PROOFS_ROUTE = /^\/proofs\/(\d+)\/([^/]+)\/?$/;
+
+/**
+ * Serves the claims and proofs of MerklePools distributions over HTTP so a frontend does
+ * not have to download whole distribution files:
+ *
+ *   GET /proofs/:chainId/:address[?root=0x..]
+ *   GET /distributions
+ *
+ * Distributions are keyed by chain id and merkle root. For every contract of a chain the
+ * distribution of the root currently set on chain is served, so loading the file of a new
+ * root ahead of the `setMerkleRoot` vote switches over as soon as governance sets it.
+ * Chains without a provider are served offline from the distribution with the latest
+ * snapshot block, and claims are then reported without their realized status.
+ * Files not signed by one of the allowed signers are refused, unless the service is
+ * explicitly created to accept unsigned files.
+ */
+class ProofService {
+  /**
+   * @param options.providers `{ [chainId]: provider }` used to read `merkleRoot` and `stakes`
+   * @param options.signers addresses allowed to sign distributions
+   * @param options.allowUnsigned accept unsigned files when no signers are given
+   * @param options.log called with a line per file loaded or skipped while watching
+   */
+  constructor({
+    providers = {},
+    signers = [],
+    allowUnsigned = false,
+    log = () => {},
+  } = {}) {
+    if (signers.length === 0 && !allowUnsigned) {
+      throw new Error("No distribution signers are allowed");
+    }
+
+    this.providers = Object.keys(providers).reduce((memo, chainId) => {
+      memo[Number(chainId)] = providers[chainId];
+      return memo;
+    }, {});
+    this.signers = signers;
+    this.log = log;
+    this.distributions = {};
+    this.watchers = [];
+  }
+
+  /**
+   * Validates and adds a distribution file. A file with the same chain and root replaces
+   * the one loaded before it.
+   * @param file the parsed distribution file
+   * @return the key of the distribution, `chainId:merkleRoot`
+   */
+  addDistribution(file) {
+    if (this.signers.length > 0) {
+      parseSignedDistributionFile(file, { signers: this.signers });
+    } else {
+      parseDistributionFile(file);
+    }
+    // roots are looked up and compared to the one on chain in lowercase, whatever the case
+    // of the file
+    const merkleRoot = file.merkleRoot.toLowerCase();
+    const key = `${file.chainId}:${merkleRoot}`;
+    this.distributions[key] = { ...file, merkleRoot };
+    return key;
+  }
+
+  /**
+   * @param file path of a distribution JSON
+   * @return the key of the distribution
+   */
+  loadFile(file) {
+    return this.addDistribution(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  /**
+   * Loads every distribution JSON in a directory and keeps loading files as they are added
+   * or rewritten. Files that are not valid distributions are logged and skipped.
+   * @param dir directory of distribution files
+   * @return the keys of the distributions loaded initially
+   */
+  watch(dir) {
+    const load = (name) => {
+      try {
+        return this.loadFile(path.join(dir, name));
+      } catch (e) {
+        this.log(`Skipping ${name}: ${e.message}`);
+        return undefined;
+      }
+    };
+    const keys = fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .map(load)
+      .filter((key) => key !== undefined);
+
+    const watcher = fs.watch(dir, (eventType, name) => {
+      if (
+        name &&
+        name.endsWith(".json") &&
+        fs.existsSync(path.join(dir, name))
+      ) {
+        const key = load(name);
+        if (key) {
+          this.log(`Loaded distribution ${key}`);
+        }
+      }
+    });
+    this.watchers.push(watcher);
+    return keys;
+  }
+
+  /**
+   * @return `[{ chainId, contract, merkleRoot, snapshotBlock }]` for every loaded file
+   */
+  getDistributions() {
+    return Object.values(this.distributions).map((file) => ({
+      chainId: file.chainId,
+      contract: file.contract,
+      merkleRoot: file.merkleRoot,
+      snapshotBlock: file.snapshotBlock,
+    }));
+  }
+
+  /**
+   * Picks the distribution to serve for every contract of a chain.
+   * @param chainId the chain
+   * @param root serve the distribution of this root instead of the active one
+   * @return `[{ contract, file, active }]` where active is null when offline, or undefined
+   * when no distribution is loaded for the chain
+   */
+  async getActiveDistributions(chainId, root) {
+    const files = Object.values(this.distributions).filter(
+      (file) => file.chainId === chainId
+    );
+    if (files.length === 0) {
+      return undefined;
+    }
+    if (root !== undefined) {
+      const file = this.distributions[`${chainId}:${root.toLowerCase()}`];
+      return file ? [{ contract: file.contract, file, active: null }] : [];
+    }
+
+    const byContract = files.reduce((memo, file) => {
+      memo[file.contract] = [...(memo[file.contract] || []), file];
+      return memo;
+    }, {});
+    const provider = this.providers[chainId];
+    const active = await Promise.all(
+      Object.keys(byContract).map(async (contract) => {
+        const candidates = byContract[contract];
+        if (!provider) {
+          const [latest] = [...candidates].sort(
+            (a, b) => b.snapshotBlock - a.snapshotBlock
+          );
+          return { contract, file: latest, active: null };
+        }
+        const merkleRoot = await this._getContract(
+          chainId,
+          contract
+        ).merkleRoot();
+        const file = candidates.find(
+          (each) => each.merkleRoot === merkleRoot.toLowerCase()
+        );
+        return file ? { contract, file, active: true } : undefined;
+      })
+    );
+    return active.filter((each) => each !== undefined);
+  }
+
+  /**
+   * Gets the claims and proofs of an account on a chain.
+   * @param chainId the chain
+   * @param address the staker
+   * @param options.root serve the distribution of this root instead of the active one
+   * @return `{ chainId, address, distributions: [{ contract, merkleRoot, snapshotBlock,
+   * active, claims }] }` or undefined when no distribution is loaded for the chain. Contracts
+   * whose root on chain has no distribution loaded are left out.
+   */
+  async getProofs(chainId, address, { root } = {}) {
+    const account = getAddress(address);
+    const active = await this.getActiveDistributions(Number(chainId), root);
+    if (!active) {
+      return undefined;
+    }
+
+    const distributions = await Promise.all(
+      active.map(async ({ contract, file, active: isActive }) => {
+        const claimsByPool = file.claims[account] || {};
+        const claims = await Promise.all(
+          Object.keys(claimsByPool).map(async (poolId) =>
+            this._withRealized(file, account, poolId, claimsByPool[poolId])
+          )
+        );
+        return {
+          contract,
+          merkleRoot: file.merkleRoot,
+          snapshotBlock: file.snapshotBlock,
+          active: isActive,
+          claims,
+        };
+      })
+    );
+    return { chainId: Number(chainId), address: account, distributions };
+  }
+
+  /**
+   * Starts serving over HTTP.
+   * @param port port to listen on, 0 picks a free port
+   * @param host interface to listen on
+   * @return the http server once it is listening
+   */
+  listen(port = 3000, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  /**
+   * Stops serving and watching for new files.
+   */
+  async close() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = undefined;
+    }
+  }
+
+  async _withRealized(file, account, poolId, claim) {
+    const result = {
+      poolId: Number(poolId),
+      index: claim.index,
+      totalLPTokenAmount: BigNumber.from(claim.totalLPTokenAmount).toString(),
+      totalTICAmount: BigNumber.from(claim.totalTICAmount).toString(),
+      proof: claim.proof,
+      totalRealizedLP: null,
+      totalRealizedTIC: null,
+      isRealized: null,
+    };
+    if (!this.providers[file.chainId]) {
+      return result;
+    }
+
+    const stake = await this._getContract(file.chainId, file.contract).stakes(
+      account,
+      poolId
+    );
+    return {
+      ...result,
+      totalRealizedLP: stake.totalRealizedLP.toString(),
+      totalRealizedTIC: stake.totalRealizedTIC.toString(),
+      // MerklePools.claim requires both totals to be above what is realized
+      isRealized:
+        stake.totalRealizedLP.gte(claim.totalLPTokenAmount) ||
+        stake.totalRealizedTIC.gte(claim.totalTICAmount),
+    };
+  }
+
+  _getContract(chainId, address) {
+    return new Contract(address, MERKLE_POOLS_ABI, this.providers[chainId]);
+  }
+
+  async _handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method !== "GET") {
+        send(405, { error: "Method not allowed" });
+        return;
+      }
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/distributions") {
+        send(200, this.getDistributions());
+        return;
+      }
+      const match = url.pathname.match(PROOFS_ROUTE);
+      if (!match) {
+        send(404, { error: "Not found" });
+        return;
+      }
+      const [, chainId, address] = match;
+      if (!isAddress(address)) {
+        send(400, { error: `Invalid address: ${address}` });
+        return;
+      }
+      const proofs = await this.getProofs(chainId, address, {
+        root: url.searchParams.get("root") || undefined,
+      });
+      if (!proofs) {
+        send(404, { error: `No distribution loaded for chain ${chainId}` });
+        return;
+      }
+      send(200, proofs);
+    } catch (e) {
+      send(500, { error: e.message });
+    }
+  }
+}
+
+module.exports = { ProofService };
@@ -0,0 +1,349 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { bufferToHex } = require("ethereumjs-util");
+const { MerkleTree } = require("./MerkleTree");
+
+const NODE_SIZE = 32;
+const IO_BUFFER_SIZE = 64 * 1024;
+
+const toBuffer = (el) =>
+  Buffer.isBuffer(el) ? el : Buffer.from(el.replace(/^0x/, ""), "hex");
+
+/**
+ * Buffers fixed size nodes and appends them to a file in large writes.
+ * @param file path of the file to (over)write
+ */
+function createNodeWriter(file) {
+  const fd = fs.openSync(file, "w");
+  const buffer = Buffer.alloc(IO_BUFFER_SIZE);
+  let offset = 0;
+  let count = 0;
+
+  const flush = () => {
+    fs.writeSync(fd, buffer, 0, offset);
+    offset = 0;
+  };
+
+  return {
+    write(node) {
+      if (offset + NODE_SIZE > buffer.length) {
+        flush();
+      }
+      node.copy(buffer, offset);
+      offset += NODE_SIZE;
+      count += 1;
+    },
+    // returns the number of nodes written
+    close() {
+      flush();
+      fs.closeSync(fd);
+      return count;
+    },
+  };
+}
+
+/**
+ * Reads fixed size nodes from a file sequentially in large reads.
+ * @param file path of the file to read
+ */
+function createNodeReader(file) {
+  const fd = fs.openSync(file, "r");
+  const buffer = Buffer.alloc(IO_BUFFER_SIZE);
+  let offset = 0;
+  let length = 0;
+
+  return {
+    // returns the next node or null once the file is exhausted
+    next() {
+      if (offset >= length) {
+        length = fs.readSync(fd, buffer, 0, buffer.length);
+        offset = 0;
+        if (length === 0) {
+          return null;
+        }
+      }
+      const node = Buffer.from(buffer.subarray(offset, offset + NODE_SIZE));
+      offset += NODE_SIZE;
+      return node;
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * A MerkleTree for very large leaf sets which keeps at most `chunkSize` leaves in memory.
+ *
+ * Leaves are sorted in chunks which are then merged into a deduplicated leaf file, and every
+ * layer of the tree is written to its own file in `workDir`. Proofs are read lazily per leaf.
+ * Roots and proofs are identical to MerkleTree so they verify with MerkleProofUpgradeable.
+ *
+ * Usage: add leaves with `addLeaf` / `addLeavesFromStream`, call `finalize` and then read
+ * the root and proofs. Call `cleanup` to remove the working files.
+ */
+class StreamingMerkleTree {
+  constructor({ workDir, chunkSize = 100000 } = {}) {
+    this.workDir =
+      workDir || fs.mkdtempSync(path.join(os.tmpdir(), "merkle-tree-"));
+    fs.mkdirSync(this.workDir, { recursive: true });
+    this.chunkSize = chunkSize;
+    this.chunk = [];
+    this.runs = [];
+    this.layerCounts = null;
+  }
+
+  /**
+   * Adds a leaf to the tree.
+   * @param leaf 32 byte Buffer or hex string
+   */
+  addLeaf(leaf) {
+    if (this.layerCounts) {
+      throw new Error("Tree is already finalized");
+    }
+    const node = toBuffer(leaf);
+    if (node.length !== NODE_SIZE) {
+      throw new Error(`Invalid leaf: ${bufferToHex(node)}`);
+    }
+    this.chunk.push(node);
+    if (this.chunk.length >= this.chunkSize) {
+      this._flushChunk();
+    }
+    return this;
+  }
+
+  /**
+   * Adds one hex encoded leaf per line from a readable stream.
+   * @param stream readable stream, e.g. fs.createReadStream(file)
+   */
+  async addLeavesFromStream(stream) {
+    const lines = readline.createInterface({
+      input: stream,
+      crlfDelay: Infinity,
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const line of lines) {
+      if (line.trim() !== "") {
+        this.addLeaf(line.trim());
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Sorts and deduplicates all leaves and builds every layer of the tree.
+   */
+  finalize() {
+    this._flushChunk();
+    if (this.runs.length === 0) {
+      throw new Error("empty tree");
+    }
+
+    this.layerCounts = [this._mergeRuns(this._layerFile(0))];
+    while (this.layerCounts[this.layerCounts.length - 1] > 1) {
+      const layer = this.layerCounts.length - 1;
+      this.layerCounts.push(this._buildNextLayer(layer));
+    }
+    return this;
+  }
+
+  getLeafCount() {
+    return this._layerCounts()[0];
+  }
+
+  getRoot() {
+    const counts = this._layerCounts();
+    return this._readNode(counts.length - 1, 0);
+  }
+
+  getHexRoot() {
+    return bufferToHex(this.getRoot());
+  }
+
+  getProof(el) {
+    const fds = this._openLayers();
+    try {
+      const idx = this._indexOf(toBuffer(el), fds);
+      if (idx === -1) {
+        throw new Error("Element does not exist in Merkle tree");
+      }
+      return this._getProofAt(idx, fds);
+    } finally {
+      fds.forEach((fd) => fs.closeSync(fd));
+    }
+  }
+
+  getHexProof(el) {
+    return MerkleTree._bufArrToHexArr(this.getProof(el));
+  }
+
+  /**
+   * Writes the proof of every leaf to JSON shard files keyed by the leading hex characters
+   * of the leaf, e.g. `0x3a.json` holding `{ [leaf]: proof }`. Since leaves are sorted each
+   * shard is written once and only one shard is held in memory.
+   * @param outDir directory to write the shards to
+   * @param options.prefixLength number of hex characters used to pick the shard
+   * @return the list of shard files written
+   */
+  writeProofs(outDir, { prefixLength = 2 } = {}) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const files = [];
+    let prefix = null;
+    let shard = {};
+    const flush = () => {
+      if (prefix !== null) {
+        const file = path.join(outDir, `0x${prefix}.json`);
+        fs.writeFileSync(file, JSON.stringify(shard));
+        files.push(file);
+      }
+    };
+
+    // the index of each leaf is its position in the layer, so no lookup is needed and every
+    // layer file is opened once for all proofs
+    const fds = this._openLayers();
+    const reader = createNodeReader(this._layerFile(0));
+    try {
+      let idx = 0;
+      for (let leaf = reader.next(); leaf !== null; leaf = reader.next()) {
+        const hex = bufferToHex(leaf);
+        const leafPrefix = hex.slice(2, 2 + prefixLength);
+        if (leafPrefix !== prefix) {
+          flush();
+          prefix = leafPrefix;
+          shard = {};
+        }
+        shard[hex] = MerkleTree._bufArrToHexArr(this._getProofAt(idx, fds));
+        idx += 1;
+      }
+    } finally {
+      reader.close();
+      fds.forEach((fd) => fs.closeSync(fd));
+    }
+    flush();
+    return files;
+  }
+
+  /**
+   * Removes all working files.
+   */
+  cleanup() {
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+  }
+
+  _layerCounts() {
+    if (!this.layerCounts) {
+      throw new Error("Tree is not finalized");
+    }
+    return this.layerCounts;
+  }
+
+  _layerFile(layer) {
+    return path.join(this.workDir, `layer-${layer}.bin`);
+  }
+
+  _flushChunk() {
+    if (this.chunk.length === 0) {
+      return;
+    }
+    this.chunk.sort(Buffer.compare);
+    const file = path.join(this.workDir, `run-${this.runs.length}.bin`);
+    const writer = createNodeWriter(file);
+    this.chunk.forEach((node) => writer.write(node));
+    writer.close();
+    this.runs.push(file);
+    this.chunk = [];
+  }
+
+  // k-way merge of the sorted runs into the leaf layer, dropping duplicates
+  _mergeRuns(file) {
+    const readers = this.runs.map((run) => createNodeReader(run));
+    const heads = readers.map((reader) => reader.next());
+    const writer = createNodeWriter(file);
+    let last = null;
+
+    for (;;) {
+      let min = -1;
+      heads.forEach((head, i) => {
+        if (head && (min === -1 || Buffer.compare(head, heads[min]) < 0)) {
+          min = i;
+        }
+      });
+      if (min === -1) {
+        break;
+      }
+      if (!last || !last.equals(heads[min])) {
+        writer.write(heads[min]);
+        last = heads[min];
+      }
+      heads[min] = readers[min].next();
+    }
+
+    readers.forEach((reader) => reader.close());
+    this.runs.forEach((run) => fs.unlinkSync(run));
+    this.runs = [];
+    return writer.close();
+  }
+
+  _buildNextLayer(layer) {
+    const reader = createNodeReader(this._layerFile(layer));
+    const writer = createNodeWriter(this._layerFile(layer + 1));
+    for (let first = reader.next(); first !== null; first = reader.next()) {
+      writer.write(MerkleTree.combinedHash(first, reader.next()));
+    }
+    reader.close();
+    return writer.close();
+  }
+
+  _openLayers() {
+    return this._layerCounts().map((count, layer) =>
+      fs.openSync(this._layerFile(layer), "r")
+    );
+  }
+
+  // reads through the open layer files when given, otherwise opens the layer for this read
+  _readNode(layer, idx, fds) {
+    const fd = fds ? fds[layer] : fs.openSync(this._layerFile(layer), "r");
+    const node = Buffer.alloc(NODE_SIZE);
+    fs.readSync(fd, node, 0, NODE_SIZE, idx * NODE_SIZE);
+    if (!fds) {
+      fs.closeSync(fd);
+    }
+    return node;
+  }
+
+  // walks the layers up from the leaf at leafIdx collecting the sibling of every node
+  _getProofAt(leafIdx, fds) {
+    let idx = leafIdx;
+    return this._layerCounts().reduce((proof, count, layer) => {
+      const pairIdx = idx % 2 === 0 ? idx + 1 : idx - 1;
+      if (pairIdx < count) {
+        proof.push(this._readNode(layer, pairIdx, fds));
+      }
+      idx = Math.floor(idx / 2);
+      return proof;
+    }, []);
+  }
+
+  // binary search over the sorted leaf layer
+  _indexOf(el, fds) {
+    let low = 0;
+    let high = this.getLeafCount() - 1;
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      const cmp = Buffer.compare(this._readNode(0, mid, fds), el);
+      if (cmp === 0) {
+        return mid;
+      }
+      if (cmp < 0) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return -1;
+  }
+}
+
+module.exports = { StreamingMerkleTree };
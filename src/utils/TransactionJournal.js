@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+
+const JOURNAL_VERSION = 1;
+
+// This is the file a journal is kept in, one entry per action in the order they first ran.
+// interface Journal {
+//   version: 1
+//   entries: {
+//     id: string
+//     description: string
+//     status: "satisfied" | "intended" | "sent" | "confirmed" | "failed"
+//     hashes?: string[] // of the transactions sent for the action, then of their replacements
+//     hash?: string // of the transaction mined for the action
+//     blockNumber?: number
+//     receiptStatus?: number // 1 on success, 0 if the transaction reverted
+//     contractAddress?: string // for actions that deploy a contract
+//     details?: object // e.g. the contentHash of the allocation file a mint is made from
+//     error?: string // why sending the transaction failed
+//     updatedAt: string // ISO 8601 timestamp
+//   }[]
+// }
+
+/**
+ * Runs on-chain actions one at a time and writes every intended action, its transaction
+ * hash and its receipt status to a journal file as it goes.
+ *
+ * Every action checks the chain before it sends anything, and an action that was sent but
+ * never saw its receipt, e.g. because the script crashed, is picked up from the hashes of
+ * its transaction and of every replacement recorded with `recordReplacement`. A script that is run again after a failure therefore resumes where it stopped
+ * instead of sending everything twice.
+ */
+class TransactionJournal {
+  /**
+   * @param options.path file to keep the journal in, kept in memory only when omitted
+   * @param options.provider used to look up transactions sent by an earlier run
+   */
+  constructor({ path: file, provider } = {}) {
+    this.path = file;
+    this.provider = provider;
+    this.entries = [];
+    if (file && fs.existsSync(file)) {
+      const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (journal.version !== JOURNAL_VERSION) {
+        throw new Error(`Unsupported journal version: ${journal.version}`);
+      }
+      this.entries = journal.entries;
+    }
+  }
+
+  /**
+   * @param id the id of an action
+   * @return the journal entry of the action or undefined
+   */
+  get(id) {
+    return this.entries.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Runs an action unless it is already satisfied on chain.
+   * @param action.id stable id of the action, the same across runs
+   * @param action.description what the action does, for people reading the journal
+   * @param action.details optional fields recorded with the action, e.g. the content hash
+   * of the file the action is made from
+   * @param action.isSatisfied async function of the journal entry of an earlier run, if any,
+   * returning true when the chain already is in the state the action leads to
+   * @param action.send async function sending the transaction, returns the ethers
+   * TransactionResponse
+   * @return `{ status, receipt }` where status is skipped or applied
+   */
+  async run({ id, description, details, isSatisfied, send }) {
+    const previous = this.get(id);
+    const recorded = details ? { description, details } : { description };
+    if (previous && previous.status === "sent") {
+      // journals written before replacements were recorded only have the hash
+      const receipt = await this._findReceipt(
+        previous.hashes || [previous.hash]
+      );
+      if (receipt) {
+        this._recordReceipt(id, receipt);
+        if (receipt.status === 0) {
+          throw new Error(
+            `Transaction ${receipt.transactionHash} of ${id} reverted`
+          );
+        }
+        return { status: "applied", receipt };
+      }
+    }
+
+    if (await isSatisfied(this.get(id))) {
+      if (!previous || previous.status !== "confirmed") {
+        this._record(id, { ...recorded, status: "satisfied" });
+      }
+      return { status: "skipped" };
+    }
+
+    // written before sending, so a crash right after leaves a trace of the attempt
+    this._record(id, { ...recorded, status: "intended" });
+    let transaction;
+    try {
+      transaction = await send();
+    } catch (e) {
+      this._record(id, { status: "failed", error: e.message });
+      throw e;
+    }
+    this._record(id, { status: "sent", hashes: [transaction.hash] });
+    let receipt;
+    try {
+      receipt = await transaction.wait();
+    } catch (e) {
+      if (e.receipt) {
+        this._recordReceipt(id, e.receipt);
+      }
+      throw e;
+    }
+    this._recordReceipt(id, receipt);
+    return { status: "applied", receipt };
+  }
+
+  /**
+   * Records a transaction sent in place of a stuck one, e.g. from the `onReplaced` option of
+   * a TransactionSender, so a run after a crash also waits on the replacement.
+   * @param hash of the stuck transaction
+   * @param replacement the ethers TransactionResponse of the replacement
+   */
+  recordReplacement(hash, replacement) {
+    const entry = this.entries.find(
+      (each) => each.status === "sent" && each.hashes.includes(hash)
+    );
+    if (!entry) {
+      throw new Error(`No action waits on transaction ${hash}`);
+    }
+    this._record(entry.id, {
+      hashes: [...entry.hashes, replacement.hash],
+    });
+  }
+
+  /**
+   * Waits for whichever transaction of an earlier run is mined, of the ones still known to
+   * the node. They share their nonce, so at most one of them is ever mined.
+   * @return the receipt, or null if every transaction was dropped
+   */
+  async _findReceipt(hashes) {
+    const known = (
+      await Promise.all(
+        hashes.map((hash) => this.provider.getTransaction(hash))
+      )
+    ).filter((transaction) => transaction);
+    if (known.length === 0) {
+      return null;
+    }
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const receipts = await Promise.all(
+        known.map(({ hash }) => this.provider.getTransactionReceipt(hash))
+      );
+      const mined = receipts.find((receipt) => receipt);
+      if (mined) {
+        return mined;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => this.provider.once("block", resolve));
+    }
+  }
+
+  _recordReceipt(id, receipt) {
+    this._record(id, {
+      status: receipt.status === 0 ? "failed" : "confirmed",
+      hash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      receiptStatus: receipt.status,
+      ...(receipt.contractAddress
+        ? { contractAddress: receipt.contractAddress }
+        : {}),
+    });
+  }
+
+  _record(id, fields) {
+    const entry = {
+      ...(this.get(id) || { id }),
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    this.entries = this.get(id)
+      ? this.entries.map((each) => (each.id === id ? entry : each))
+      : [...this.entries, entry];
+    this._write();
+  }
+
+  _write() {
+    if (!this.path) {
+      return;
+    }
+    // write and rename so a crash never leaves a half written journal behind
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const temporary = `${this.path}.tmp`;
+    fs.writeFileSync(
+      temporary,
+      JSON.stringify(
+        { version: JOURNAL_VERSION, entries: this.entries },
+        null,
+        2
+      )
+    );
+    fs.renameSync(temporary, this.path);
+  }
+}
+
+module.exports = { JOURNAL_VERSION, TransactionJournal };
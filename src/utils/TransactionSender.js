@@ -0,0 +1,339 @@
+const { BigNumber, utils } = require("ethers");
+
+const { defaultAbiCoder, Logger } = utils;
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// nodes refuse a replacement that does not raise the fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+
+const FEE_STRATEGIES = ["eip1559", "legacy"];
+
+const max = (a, b) => (a.gt(b) ? a : b);
+const min = (a, b) => (a.lt(b) ? a : b);
+
+/**
+ * @param data return data of a reverted call
+ * @return the reason encoded in the data, if any
+ */
+function decodeRevertData(data) {
+  if (typeof data !== "string") {
+    return undefined;
+  }
+  if (data.startsWith(ERROR_SELECTOR)) {
+    return defaultAbiCoder.decode(["string"], `0x${data.slice(10)}`)[0];
+  }
+  if (data.startsWith(PANIC_SELECTOR)) {
+    const [code] = defaultAbiCoder.decode(["uint256"], `0x${data.slice(10)}`);
+    return `panic ${code.toHexString()}`;
+  }
+  return undefined;
+}
+
+/**
+ * Finds the revert reason in an error thrown by ethers, wherever the provider nested the
+ * revert data or message, e.g. `StakingPools: only governance`.
+ * @param error the error thrown by a call, gas estimation or send
+ * @return the reason or undefined
+ */
+function decodeRevertReason(error) {
+  if (!error || typeof error !== "object") {
+    return undefined;
+  }
+  const fromData =
+    typeof error.data === "object"
+      ? decodeRevertReason(error.data)
+      : decodeRevertData(error.data);
+  if (fromData) {
+    return fromData;
+  }
+  let body;
+  try {
+    body = typeof error.body === "string" ? JSON.parse(error.body) : undefined;
+  } catch (e) {
+    body = undefined;
+  }
+  const nested =
+    decodeRevertReason(error.error) || decodeRevertReason(body && body.error);
+  if (nested) {
+    return nested;
+  }
+  const message = `${error.reason || ""} ${error.message || ""}`;
+  const match =
+    message.match(/reverted with reason string '([^']*)'/) ||
+    message.match(/execution reverted: ([^"\n]*)/);
+  return match ? match[1].trim() : undefined;
+}
+
+// wraps an error of the provider into one that leads with the revert reason
+const revertError = (error, message) => {
+  const reason = decodeRevertReason(error);
+  const wrapped = new Error(
+    reason ? `${message}: ${reason}` : `${message}: ${error.message}`
+  );
+  wrapped.reason = reason;
+  return wrapped;
+};
+
+/**
+ * Sends transactions for a single signer without relying on fixed gas prices or timers.
+ *
+ * Nonces are handed out locally, so transactions can be sent back to back, and are read
+ * from the chain again after a failed send. Fees follow the base fee of the latest block
+ * (or the gas price on chains without EIP-1559) and never exceed the cap. A transaction that
+ * is not mined within the timeout is sent again with the same nonce and bumped fees, and
+ * whichever of the attempts is mined is waited on for the configured confirmations. Gas
+ * estimation and reverted transactions are reported with their decoded revert reason.
+ */
+class TransactionSender {
+  /**
+   * @param signer ethers signer the transactions are sent from
+   * @param options.confirmations blocks to wait for after the block of the transaction
+   * @param options.timeout ms to wait for an attempt to be mined before bumping its fees
+   * @param options.maxBumps replacements to send before giving up
+   * @param options.bumpPercent fee increase of each replacement, at least 10
+   * @param options.feeStrategy eip1559 or legacy, eip1559 falls back to legacy on chains
+   * without a base fee
+   * @param options.baseFeeMultiplier headroom of maxFeePerGas over the latest base fee
+   * @param options.maxPriorityFeePerGas tip in wei, defaults to the provider's suggestion
+   * @param options.maxFeePerGas cap in wei of maxFeePerGas or of the gas price
+   * @param options.onReplaced called with the hash of the stuck attempt and the replacement
+   */
+  constructor(
+    signer,
+    {
+      confirmations = 1,
+      timeout = 120000,
+      maxBumps = 3,
+      bumpPercent = 15,
+      feeStrategy = "eip1559",
+      baseFeeMultiplier = 2,
+      maxPriorityFeePerGas,
+      maxFeePerGas,
+      onReplaced = () => {},
+    } = {}
+  ) {
+    if (!FEE_STRATEGIES.includes(feeStrategy)) {
+      throw new Error(`Unknown fee strategy: ${feeStrategy}`);
+    }
+    if (bumpPercent < MIN_BUMP_PERCENT) {
+      throw new Error(`bumpPercent must be at least ${MIN_BUMP_PERCENT}`);
+    }
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.confirmations = confirmations;
+    this.timeout = timeout;
+    this.maxBumps = maxBumps;
+    this.bumpPercent = bumpPercent;
+    this.feeStrategy = feeStrategy;
+    this.baseFeeMultiplier = baseFeeMultiplier;
+    this.maxPriorityFeePerGas =
+      maxPriorityFeePerGas === undefined
+        ? undefined
+        : BigNumber.from(maxPriorityFeePerGas);
+    this.maxFeePerGas =
+      maxFeePerGas === undefined ? undefined : BigNumber.from(maxFeePerGas);
+    this.onReplaced = onReplaced;
+    this.nextNonce = undefined;
+  }
+
+  /**
+   * @return the fee fields of the next transaction, `{ type, maxFeePerGas,
+   * maxPriorityFeePerGas }` or `{ type, gasPrice }`
+   */
+  async getFees() {
+    const block = await this.provider.getBlock("latest");
+    if (this.feeStrategy === "eip1559" && block.baseFeePerGas) {
+      if (this.maxFeePerGas && this.maxFeePerGas.lt(block.baseFeePerGas)) {
+        throw new Error(
+          `Base fee of ${block.baseFeePerGas} is above the fee cap of ${this.maxFeePerGas}`
+        );
+      }
+      const tip =
+        this.maxPriorityFeePerGas ||
+        (await this.provider.getFeeData()).maxPriorityFeePerGas;
+      const maxFeePerGas = this._cap(
+        block.baseFeePerGas.mul(this.baseFeeMultiplier).add(tip)
+      );
+      return {
+        type: 2,
+        maxFeePerGas,
+        maxPriorityFeePerGas: min(tip, maxFeePerGas),
+      };
+    }
+    return {
+      type: 0,
+      gasPrice: this._cap(await this.provider.getGasPrice()),
+    };
+  }
+
+  /**
+   * Sends a transaction with the next nonce.
+   * @param request transaction request or a promise of one, e.g. from
+   * `contract.populateTransaction`, the `from` of the request is ignored
+   * @return the ethers TransactionResponse, its `wait()` waits for the confirmations and
+   * replaces the transaction while it is stuck
+   */
+  async send(request) {
+    const { from, ...resolved } = await request;
+    let { gasLimit } = resolved;
+    if (gasLimit === undefined) {
+      try {
+        gasLimit = await this.signer.estimateGas(resolved);
+      } catch (e) {
+        throw revertError(e, `Transaction to ${resolved.to} would revert`);
+      }
+    }
+    const fees = await this.getFees();
+    let transaction;
+    let response;
+    try {
+      transaction = {
+        ...resolved,
+        gasLimit,
+        nonce: await this._takeNonce(),
+        ...fees,
+      };
+      response = await this.signer.sendTransaction(transaction);
+    } catch (e) {
+      // the nonce is read from the chain again, whether or not the node took it
+      this.nextNonce = undefined;
+      throw revertError(e, `Transaction to ${resolved.to} failed`);
+    }
+    return {
+      ...response,
+      wait: () => this._wait(transaction, [response.hash], 0),
+    };
+  }
+
+  _takeNonce() {
+    const nonce = this.nextNonce || this.signer.getTransactionCount("pending");
+    this.nextNonce = nonce.then((value) => value + 1);
+    return nonce;
+  }
+
+  _cap(fee) {
+    return this.maxFeePerGas ? min(fee, this.maxFeePerGas) : fee;
+  }
+
+  async _wait(transaction, hashes, bumps) {
+    const hash = hashes[hashes.length - 1];
+    let receipt;
+    try {
+      receipt = await this.provider.waitForTransaction(
+        hash,
+        this.confirmations,
+        this.timeout
+      );
+    } catch (e) {
+      if (e.code !== Logger.errors.TIMEOUT) {
+        throw e;
+      }
+    }
+    receipt = receipt || (await this._findMined(hashes));
+    if (receipt) {
+      return this._checkReceipt(transaction, receipt);
+    }
+
+    if (bumps >= this.maxBumps) {
+      throw new Error(
+        `Transaction ${hash} with nonce ${transaction.nonce} is not mined after ${bumps} fee bumps`
+      );
+    }
+    const replacement = {
+      ...transaction,
+      ...(await this._bumpFees(transaction, hash)),
+    };
+    let response;
+    try {
+      response = await this.signer.sendTransaction(replacement);
+    } catch (e) {
+      // an earlier attempt may have been mined in the meantime
+      const mined = await this._findMined(hashes);
+      if (mined) {
+        return this._checkReceipt(transaction, mined);
+      }
+      throw e;
+    }
+    this.onReplaced(hash, response);
+    return this._wait(replacement, [...hashes, response.hash], bumps + 1);
+  }
+
+  async _bumpFees(transaction, hash) {
+    const fresh = await this.getFees();
+    const bump = (fee) => fee.mul(100 + this.bumpPercent).div(100);
+    const minimum = (fee) => fee.mul(100 + MIN_BUMP_PERCENT).div(100);
+    const field = transaction.type === 2 ? "maxFeePerGas" : "gasPrice";
+
+    const fee = this._cap(
+      max(bump(BigNumber.from(transaction[field])), fresh[field])
+    );
+    if (fee.lt(minimum(BigNumber.from(transaction[field])))) {
+      throw new Error(
+        `Fee cap of ${this.maxFeePerGas} is reached, transaction ${hash} is still pending`
+      );
+    }
+    if (transaction.type !== 2) {
+      return { gasPrice: fee };
+    }
+    return {
+      maxFeePerGas: fee,
+      maxPriorityFeePerGas: min(
+        max(
+          bump(BigNumber.from(transaction.maxPriorityFeePerGas)),
+          fresh.maxPriorityFeePerGas
+        ),
+        fee
+      ),
+    };
+  }
+
+  async _findMined(hashes) {
+    const receipts = await Promise.all(
+      hashes.map((hash) => this.provider.getTransactionReceipt(hash))
+    );
+    const mined = receipts.find((receipt) => receipt);
+    return mined
+      ? this.provider.waitForTransaction(
+          mined.transactionHash,
+          this.confirmations
+        )
+      : null;
+  }
+
+  async _checkReceipt(transaction, receipt) {
+    if (receipt.status !== 0) {
+      return receipt;
+    }
+    // replay the transaction at its block to read the revert reason
+    let reason;
+    try {
+      await this.provider.call(
+        {
+          from: await this.signer.getAddress(),
+          to: transaction.to,
+          data: transaction.data,
+          value: transaction.value,
+        },
+        receipt.blockNumber
+      );
+    } catch (e) {
+      reason = decodeRevertReason(e);
+    }
+    const error = new Error(
+      `Transaction ${receipt.transactionHash} reverted${
+        reason ? `: ${reason}` : ""
+      }`
+    );
+    error.reason = reason;
+    error.receipt = receipt;
+    throw error;
+  }
+}
+
+module.exports = {
+  FEE_STRATEGIES,
+  decodeRevertReason,
+  TransactionSender,
+};
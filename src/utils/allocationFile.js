@@ -0,0 +1,355 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber, utils } = require("ethers");
+
+const {
+  formatUnits,
+  getAddress,
+  isAddress,
+  keccak256,
+  parseUnits,
+  toUtf8Bytes,
+  verifyTypedData,
+} = utils;
+
+const MANIFEST_VERSION = 1;
+
+// This is the manifest that is signed off before an allocation is minted. It pins the
+// recipients and amounts of the allocation file by their content hash, so the file can
+// not change after review without the mint refusing it.
+// interface AllocationManifest {
+//   version: 1
+//   name: string
+//   file: string // CSV or JSON allocation, relative to the manifest
+//   decimals: number // of the amounts in the file, 0 for amounts in wei
+//   total: string // declared total, in the units of the file
+//   count: number
+//   contentHash: string // see getAllocationHash
+//   signoffs?: { // EIP-712 signatures of the manifest, see signAllocationManifest
+//     signer: string
+//     signature: string
+//   }[]
+// }
+
+// the signed message does not depend on a chain, the same allocation may be minted anywhere
+const MANIFEST_DOMAIN = { name: "Allocation Manifest", version: "1" };
+const MANIFEST_TYPES = {
+  Allocation: [
+    { name: "name", type: "string" },
+    { name: "decimals", type: "uint8" },
+    { name: "total", type: "uint256" },
+    { name: "count", type: "uint256" },
+    { name: "contentHash", type: "bytes32" },
+  ],
+};
+
+const isChecksummed = (value) =>
+  isAddress(value) && getAddress(value) === value;
+
+/**
+ * Reads the rows of a CSV allocation. The first line is the header, which must name an
+ * `address` and an `amount` column, other columns are ignored.
+ * @param text contents of the CSV file
+ * @return `{ rows: [{ line, address, amount }], errors }`
+ */
+function parseAllocationCSV(text) {
+  const lines = text.split(/\r?\n/);
+  const header = lines[0].split(",").map((column) => column.trim());
+  const addressColumn = header.indexOf("address");
+  const amountColumn = header.indexOf("amount");
+  if (addressColumn === -1 || amountColumn === -1) {
+    return {
+      rows: [],
+      errors: ["CSV header must have address and amount columns"],
+    };
+  }
+
+  return lines.slice(1).reduce(
+    (memo, content, index) => {
+      if (content.trim() === "") {
+        return memo;
+      }
+      const columns = content.split(",").map((column) => column.trim());
+      if (columns.length !== header.length) {
+        memo.errors.push(
+          `Line ${index + 2}: expected ${header.length} columns`
+        );
+        return memo;
+      }
+      memo.rows.push({
+        line: index + 2,
+        address: columns[addressColumn],
+        amount: columns[amountColumn],
+      });
+      return memo;
+    },
+    { rows: [], errors: [] }
+  );
+}
+
+/**
+ * Reads the rows of a JSON allocation, either `{ [address]: amount }` or
+ * `[{ address, amount }]`.
+ * @param value the parsed JSON
+ * @return `{ rows: [{ line, address, amount }], errors }` where line is the entry number
+ */
+function parseAllocationJSON(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : Object.keys(value || {}).map((address) => ({
+        address,
+        amount: value[address],
+      }));
+  return {
+    rows: entries.map(({ address, amount }, index) => ({
+      line: index + 1,
+      address,
+      amount,
+    })),
+    errors: [],
+  };
+}
+
+/**
+ * Hashes the recipients and amounts of an allocation independently of the file format,
+ * its order and the case of its addresses.
+ * @param recipients `{ [address]: BigNumber }` amounts in base units
+ * @return keccak256 of the sorted `address,amount` lines
+ */
+function getAllocationHash(recipients) {
+  const lines = Object.keys(recipients)
+    .map((address) => getAddress(address))
+    .sort()
+    .map((address) => `${address},${BigNumber.from(recipients[address])}\n`);
+  return keccak256(toUtf8Bytes(lines.join("")));
+}
+
+/**
+ * Checks the rows of an allocation: every address must carry a valid EIP-55 checksum, no
+ * address may appear twice once normalised and the amounts must add up to the declared
+ * total.
+ * @param rows output of parseAllocationCSV or parseAllocationJSON
+ * @param options.decimals of the amounts, defaults to 18
+ * @param options.total declared total in the units of the amounts
+ * @return `{ valid, errors, recipients, total, contentHash }` with amounts as strings in
+ * the units of the file and the total in base units
+ */
+function validateAllocation(rows, { decimals = 18, total } = {}) {
+  const errors = [];
+  const recipients = {};
+  const amounts = {};
+  const lines = {};
+  rows.forEach(({ line, address, amount }) => {
+    if (!isAddress(address)) {
+      errors.push(`Line ${line}: invalid address ${address}`);
+      return;
+    }
+    if (!isChecksummed(address)) {
+      errors.push(`Line ${line}: ${address} is not EIP-55 checksummed`);
+    }
+    const key = getAddress(address);
+    if (lines[key] !== undefined) {
+      errors.push(
+        `Line ${line}: ${address} is a duplicate of line ${lines[key]}`
+      );
+      return;
+    }
+    lines[key] = line;
+    let parsed;
+    try {
+      parsed = parseUnits(String(amount), decimals);
+    } catch (e) {
+      parsed = undefined;
+    }
+    if (!parsed || parsed.lte(0)) {
+      errors.push(`Line ${line}: invalid amount ${amount}`);
+      return;
+    }
+    recipients[key] = String(amount);
+    amounts[key] = parsed;
+  });
+
+  const sum = Object.values(amounts).reduce(
+    (memo, amount) => memo.add(amount),
+    BigNumber.from(0)
+  );
+  if (total === undefined) {
+    errors.push("Missing declared total");
+  } else if (errors.length === 0 && !sum.eq(parseUnits(total, decimals))) {
+    errors.push(
+      `Amounts add up to ${formatUnits(
+        sum,
+        decimals
+      )} not the declared ${total}`
+    );
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    recipients,
+    total: sum,
+    contentHash: getAllocationHash(amounts),
+  };
+}
+
+/**
+ * Reads an allocation from a CSV or JSON file and validates it.
+ * @param file path of the allocation, CSV unless it ends in .json
+ * @param options see validateAllocation
+ * @return the valid allocation
+ */
+function loadAllocation(file, options) {
+  const text = fs.readFileSync(file, "utf8");
+  const { rows, errors } =
+    path.extname(file) === ".json"
+      ? parseAllocationJSON(JSON.parse(text))
+      : parseAllocationCSV(text);
+  if (errors.length > 0) {
+    throw new Error(`Invalid allocation ${file}: ${errors.join("; ")}`);
+  }
+  const allocation = validateAllocation(rows, options);
+  if (!allocation.valid) {
+    throw new Error(
+      `Invalid allocation ${file}: ${allocation.errors.join("; ")}`
+    );
+  }
+  return allocation;
+}
+
+/**
+ * Creates the manifest of an allocation file to be signed off.
+ * @param file path of the allocation
+ * @param options.name what the allocation is for
+ * @param options.decimals of the amounts in the file
+ * @param options.total declared total in the units of the file
+ * @param options.manifestDir directory the manifest is written to, file is stored relative
+ * to it
+ */
+function createAllocationManifest(
+  file,
+  { name, decimals = 18, total, manifestDir = path.dirname(file) }
+) {
+  const allocation = loadAllocation(file, { decimals, total });
+  return {
+    version: MANIFEST_VERSION,
+    name,
+    file: path.relative(manifestDir, file),
+    decimals,
+    total,
+    count: Object.keys(allocation.recipients).length,
+    contentHash: allocation.contentHash,
+  };
+}
+
+const getManifestValue = (manifest) => ({
+  name: manifest.name,
+  decimals: manifest.decimals,
+  total: parseUnits(manifest.total, manifest.decimals),
+  count: manifest.count,
+  contentHash: manifest.contentHash,
+});
+
+/**
+ * Signs off a manifest with a local signer.
+ * @param manifest output of createAllocationManifest
+ * @param signer ethers signer supporting `_signTypedData`
+ * @return a copy of the manifest with the signature added to `signoffs`, replacing an
+ * earlier one of the same signer
+ */
+async function signAllocationManifest(manifest, signer) {
+  const [address, signature] = await Promise.all([
+    signer.getAddress(),
+    signer._signTypedData(
+      MANIFEST_DOMAIN,
+      MANIFEST_TYPES,
+      getManifestValue(manifest)
+    ),
+  ]);
+  const others = (manifest.signoffs || []).filter(
+    (each) => each.signer !== getAddress(address)
+  );
+  return {
+    ...manifest,
+    signoffs: [...others, { signer: getAddress(address), signature }].sort(
+      (a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1)
+    ),
+  };
+}
+
+/**
+ * Reads a manifest and the allocation it pins, and refuses both unless the allocation
+ * still hashes to the manifest and the manifest is signed off by one of the allowed
+ * signers.
+ * @param manifestFile path of the manifest JSON
+ * @param options.signers addresses allowed to sign off allocations
+ * @param options.allowUnsigned skip the sign-off check when no signers are given, e.g. to
+ * check a manifest before signing it off
+ * @return `{ manifest, recipients, contentHash }` with recipients in the units of the file
+ */
+function loadAllocationManifest(
+  manifestFile,
+  { signers = [], allowUnsigned = false } = {}
+) {
+  if (signers.length === 0 && !allowUnsigned) {
+    throw new Error("No allocation signers are allowed");
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version: ${manifest.version}`);
+  }
+  const allocation = loadAllocation(
+    path.join(path.dirname(manifestFile), manifest.file),
+    { decimals: manifest.decimals, total: manifest.total }
+  );
+  if (
+    allocation.contentHash !== manifest.contentHash ||
+    Object.keys(allocation.recipients).length !== manifest.count
+  ) {
+    throw new Error(
+      `${manifest.file} changed after ${manifestFile} was signed off, its content hash is ${allocation.contentHash}`
+    );
+  }
+
+  if (signers.length > 0) {
+    const allowed = signers.map((signer) => getAddress(signer));
+    const signedOff = (manifest.signoffs || []).some(
+      ({ signer, signature }) => {
+        try {
+          return (
+            allowed.includes(getAddress(signer)) &&
+            verifyTypedData(
+              MANIFEST_DOMAIN,
+              MANIFEST_TYPES,
+              getManifestValue(manifest),
+              signature
+            ) === getAddress(signer)
+          );
+        } catch (e) {
+          return false;
+        }
+      }
+    );
+    if (!signedOff) {
+      throw new Error(`${manifestFile} is not signed off by an allowed signer`);
+    }
+  }
+
+  return {
+    manifest,
+    recipients: allocation.recipients,
+    contentHash: allocation.contentHash,
+  };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  parseAllocationCSV,
+  parseAllocationJSON,
+  getAllocationHash,
+  validateAllocation,
+  loadAllocation,
+  createAllocationManifest,
+  signAllocationManifest,
+  loadAllocationManifest,
+};
@@ -0,0 +1,126 @@
+const { BigNumber, utils } = require("ethers");
+
+const { getAddress } = utils;
+
+/**
+ * Looks up the claims of an account in a distribution and keeps those that can still be
+ * claimed on chain, one per pool.
+ *
+ * Throws if claims are disabled or if the distribution was built for a different root than
+ * the one currently set, since every proof would revert with INVALID_PROOF.
+ *
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution output of parseBalanceMap
+ * @param account the staker to build claims for
+ * @return `[{ index, poolId, totalLPTokenAmount, totalTICAmount, proof, lpTokenAmount,
+ * ticTokenAmount }]` where lpTokenAmount / ticTokenAmount are what the claim will transfer
+ * and consume
+ */
+async function getClaimableClaims(merklePools, distribution, account) {
+  const [isClaimsEnabled, merkleRoot] = await Promise.all([
+    merklePools.isClaimsEnabled(),
+    merklePools.merkleRoot(),
+  ]);
+  if (!isClaimsEnabled) {
+    throw new Error("MerklePools claims are disabled");
+  }
+  if (merkleRoot !== distribution.merkleRoot) {
+    throw new Error(
+      `Distribution root ${distribution.merkleRoot} does not match on chain root ${merkleRoot}`
+    );
+  }
+
+  const parsed = getAddress(account);
+  const claimsByPool = distribution.claims[parsed] || {};
+
+  const claims = await Promise.all(
+    Object.keys(claimsByPool).map(async (poolId) => {
+      const claim = claimsByPool[poolId];
+      const [stake, totalUnclaimed] = await Promise.all([
+        merklePools.stakes(parsed, poolId),
+        merklePools.getStakeTotalUnclaimed(parsed, poolId),
+      ]);
+      const lpTokenAmount = BigNumber.from(claim.totalLPTokenAmount).sub(
+        stake.totalRealizedLP
+      );
+      const ticTokenAmount = BigNumber.from(claim.totalTICAmount).sub(
+        stake.totalRealizedTIC
+      );
+      // mirrors the INVALID_CLAIM_AMOUNT and INVALID_UNCLAIMED_AMOUNT checks in claim
+      if (
+        lpTokenAmount.lte(0) ||
+        ticTokenAmount.lte(0) ||
+        ticTokenAmount.gt(totalUnclaimed)
+      ) {
+        return null;
+      }
+      return {
+        index: claim.index,
+        poolId: Number(poolId),
+        totalLPTokenAmount: BigNumber.from(claim.totalLPTokenAmount),
+        totalTICAmount: BigNumber.from(claim.totalTICAmount),
+        proof: claim.proof,
+        lpTokenAmount,
+        ticTokenAmount,
+      };
+    })
+  );
+  return claims.filter((claim) => claim !== null);
+}
+
+/**
+ * Builds unsigned `claim` transactions for every claimable pool of an account.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution output of parseBalanceMap
+ * @param account the staker, which must also be the sender of the transactions
+ * @return `[{ claim, transaction }]` where transaction is `{ to, from, data }`
+ */
+async function buildClaimTransactions(merklePools, distribution, account) {
+  const claims = await getClaimableClaims(merklePools, distribution, account);
+  // encoded by hand, ethers refuses to override from on a contract connected to a signer
+  return claims.map((claim) => ({
+    claim,
+    transaction: {
+      to: merklePools.address,
+      from: getAddress(account),
+      data: merklePools.interface.encodeFunctionData("claim", [
+        claim.index,
+        claim.poolId,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        claim.proof,
+      ]),
+    },
+  }));
+}
+
+/**
+ * Sends every claimable `claim` of the signer's account, one pool at a time.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution output of parseBalanceMap
+ * @param signer ethers signer of the staker
+ * @return the sent transactions
+ */
+async function sendClaims(merklePools, distribution, signer) {
+  const claims = await getClaimableClaims(
+    merklePools,
+    distribution,
+    await signer.getAddress()
+  );
+  return claims.reduce(async (previous, claim) => {
+    const sent = await previous;
+    const tx = await merklePools
+      .connect(signer)
+      .claim(
+        claim.index,
+        claim.poolId,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        claim.proof
+      );
+    await tx.wait();
+    return [...sent, tx];
+  }, Promise.resolve([]));
+}
+
+module.exports = { getClaimableClaims, buildClaimTransactions, sendClaims };
@@ -0,0 +1,199 @@
+const { BigNumber, utils } = require("ethers");
+const { createDistributionFile } = require("./distributionFile");
+const { generateDistribution } = require("./generateDistribution");
+const { getMerklePoolsEvents } = require("./merklePoolsEvents");
+
+const { formatEther, getAddress } = utils;
+
+const ZERO = BigNumber.from(0);
+
+const TOTAL_KEYS = [
+  "ticEmitted",
+  "ticClaimed",
+  "ticUnclaimed",
+  "ticInLP",
+  "ticNotInLP",
+  "lpGenerated",
+  "lpClaimed",
+];
+
+const sumTotals = (rows) =>
+  TOTAL_KEYS.reduce((memo, key) => {
+    memo[key] = rows.reduce((sum, row) => sum.add(row[key]), ZERO);
+    return memo;
+  }, {});
+
+const toStrings = (totals) =>
+  TOTAL_KEYS.reduce((memo, key) => {
+    memo[key] = totals[key].toString();
+    return memo;
+  }, {});
+
+/**
+ * Snapshots a MerklePools or MerklePoolsForeign deployment at a block: the distribution for
+ * its next root and how much TIC its pools have emitted, put in LP and paid out in claims.
+ *
+ * Per pool, `ticEmitted` is the TIC claimed so far plus `getPoolTotalUnclaimed`, and
+ * `ticNotInLP` is the TIC that still has to be paired into LP before it can be claimed. On
+ * MerklePoolsForeign that is the TIC the DAO has to transfer in through `generateLPTokens`.
+ *
+ * @param merklePools ethers contract for the proxy, connected to a provider of its chain
+ * @param options.kind MerklePools or MerklePoolsForeign, only used to label the chain
+ * @param options.fromBlock block the proxy was deployed at
+ * @param options.toBlock snapshot block
+ * @param options.forfeitAddress overrides the forfeit address read from the contract
+ * @param options.poolIds poolIds of LPTokensGenerated events by transaction hash, see
+ * getMerklePoolsEvents
+ * @return `{ chainId, contract, kind, snapshotBlock, distribution, pools, totals }` where
+ * distribution is a distribution file, or null once everything is claimed, and amounts are
+ * BigNumbers
+ */
+async function getChainSnapshot(
+  merklePools,
+  {
+    kind = "MerklePools",
+    fromBlock = 0,
+    toBlock,
+    forfeitAddress,
+    chunkSize,
+    poolIds,
+  } = {}
+) {
+  const { provider } = merklePools;
+  const [{ chainId }, snapshotBlock] = await Promise.all([
+    provider.getNetwork(),
+    toBlock === undefined ? provider.getBlockNumber() : Number(toBlock),
+  ]);
+  const blockTag = snapshotBlock;
+
+  const events = await getMerklePoolsEvents(merklePools, {
+    fromBlock,
+    toBlock: snapshotBlock,
+    chunkSize,
+    poolIds,
+  });
+  const { accounting, distribution } = await generateDistribution(merklePools, {
+    forfeitAddress,
+    events,
+  });
+
+  const poolCount = (await merklePools.poolCount({ blockTag })).toNumber();
+  const pools = await Promise.all(
+    [...Array(poolCount).keys()].map(async (poolId) => {
+      const [pool, ticUnclaimed] = await Promise.all([
+        merklePools.getPool(poolId, { blockTag }),
+        merklePools.getPoolTotalUnclaimed(poolId, { blockTag }),
+      ]);
+      const poolEvents = events.filter((event) =>
+        event.poolId !== undefined
+          ? BigNumber.from(event.poolId).eq(poolId)
+          : event.args.poolId !== undefined &&
+            BigNumber.from(event.args.poolId).eq(poolId)
+      );
+      const sumOf = (name, key) =>
+        poolEvents
+          .filter(({ event }) => event === name)
+          .reduce((sum, { args }) => sum.add(args[key]), ZERO);
+      const ticClaimed = sumOf("TokensClaimed", "ticTokenAmountClaimed");
+
+      return {
+        poolId,
+        token: pool.token,
+        ticEmitted: ticClaimed.add(ticUnclaimed),
+        ticClaimed,
+        ticUnclaimed,
+        ticInLP: pool.totalUnclaimedTICInLP,
+        ticNotInLP: ticUnclaimed.sub(pool.totalUnclaimedTICInLP),
+        lpGenerated: sumOf("LPTokensGenerated", "lpAmountCreated"),
+        lpClaimed: sumOf("TokensClaimed", "lpTokenAmountClaimed"),
+      };
+    })
+  );
+
+  return {
+    chainId,
+    contract: getAddress(merklePools.address),
+    kind,
+    snapshotBlock,
+    distribution:
+      distribution &&
+      createDistributionFile(distribution, {
+        chainId,
+        contract: merklePools.address,
+        snapshotBlock,
+        previousRoot: await merklePools.merkleRoot({ blockTag }),
+        metadata: {
+          generator: "merkle:crosschain",
+          fromBlock,
+          forfeitAddress: accounting.forfeitAddress,
+          forfeitPolicy: accounting.forfeitPolicy,
+        },
+      }),
+    pools,
+    totals: sumTotals(pools),
+  };
+}
+
+/**
+ * Combines chain snapshots into a single report. Every chain keeps its own totals since
+ * TIC on one chain can not be used to back claims on another.
+ * @param snapshots output of getChainSnapshot for every deployment
+ * @return JSON serializable report with amounts as decimal strings
+ */
+function buildCrossChainReport(snapshots) {
+  return {
+    chains: snapshots.map((snapshot) => ({
+      chainId: snapshot.chainId,
+      contract: snapshot.contract,
+      kind: snapshot.kind,
+      snapshotBlock: snapshot.snapshotBlock,
+      merkleRoot: snapshot.distribution
+        ? snapshot.distribution.merkleRoot
+        : null,
+      pools: snapshot.pools.map((pool) => ({
+        poolId: pool.poolId,
+        token: pool.token,
+        ...toStrings(pool),
+      })),
+      totals: toStrings(snapshot.totals),
+    })),
+    totals: toStrings(sumTotals(snapshots.map(({ totals }) => totals))),
+  };
+}
+
+/**
+ * Formats a cross chain report for the console.
+ * @param report output of buildCrossChainReport
+ * @return the lines of the report
+ */
+function formatCrossChainReport(report) {
+  const describe = (totals) =>
+    [
+      `emitted ${formatEther(totals.ticEmitted)} TIC`,
+      `claimed ${formatEther(totals.ticClaimed)} TIC`,
+      `in LP ${formatEther(totals.ticInLP)} TIC`,
+      `to pair into LP ${formatEther(totals.ticNotInLP)} TIC`,
+    ].join(", ");
+
+  return [
+    ...report.chains.reduce(
+      (memo, chain) => [
+        ...memo,
+        `${chain.kind} ${chain.contract} on chain ${chain.chainId} at block ${
+          chain.snapshotBlock
+        }: ${describe(chain.totals)}`,
+        ...chain.pools.map(
+          (pool) => `  pool ${pool.poolId} (${pool.token}): ${describe(pool)}`
+        ),
+      ],
+      []
+    ),
+    `All chains: ${describe(report.totals)}`,
+  ];
+}
+
+module.exports = {
+  getChainSnapshot,
+  buildCrossChainReport,
+  formatCrossChainReport,
+};
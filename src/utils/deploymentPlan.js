@@ -0,0 +1,668 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber, constants, utils } = require("ethers");
+const { loadAllocationManifest } = require("./allocationFile");
+const { TransactionJournal } = require("./TransactionJournal");
+const { TransactionSender } = require("./TransactionSender");
+
+const { getAddress, isAddress, parseUnits } = utils;
+
+const PLAN_VERSION = 1;
+
+// sections in the order they are applied
+const PLAN_SECTIONS = ["mints", "pools", "weights", "grants", "renounces"];
+
+const ROLES = ["ADMIN_ROLE", "MINTER_ROLE"];
+
+// This is the launch of a chain as data. Tokens and addresses are referenced by name: a
+// token alias, a named account from hardhat.config.js, a hardhat-deploy deployment or a
+// literal address.
+// interface DeploymentPlan {
+//   version: 1
+//   network: string // hardhat network the plan is applied to
+//   stakingPools: string // reference to the StakingPools contract
+//   tokens: {
+//     [alias: string]: string // deployment name or address, the zero address until known
+//   }
+//   mints: {
+//     label: string
+//     token: string
+//     decimals?: number // of the amounts below, defaults to 18, 0 for amounts in wei
+//     total?: string // the recipient amounts must add up to it
+//     recipients: {
+//       [recipient: string]: string
+//     }
+//     // or, instead of the three fields above, a signed-off allocation file, see
+//     // allocationFile.js, whose content hash is recorded in the journal with each mint
+//     allocation: string // path of the AllocationManifest, relative to the plan
+//   }[]
+//   pools: { // in pool id order, pools that already exist on chain must come first
+//     token: string
+//     weight: number
+//   }[]
+//   grants: {
+//     token: string
+//     role: "ADMIN_ROLE" | "MINTER_ROLE"
+//     account: string
+//   }[]
+//   renounces: { // renounced by the account applying the plan
+//     token: string
+//     role: "ADMIN_ROLE" | "MINTER_ROLE"
+//   }[]
+// }
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const isName = (value) => typeof value === "string" && value.length > 0;
+const looksLikeAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(value);
+const isAmount = (value, decimals) => {
+  try {
+    return typeof value === "string" && parseUnits(value, decimals).gte(0);
+  } catch (e) {
+    return false;
+  }
+};
+
+function validateMint(mint, index) {
+  const errors = [];
+  const label = `mints[${index}]`;
+  if (!isObject(mint)) {
+    return [`Invalid ${label}`];
+  }
+  const decimals = mint.decimals === undefined ? 18 : mint.decimals;
+  if (!isName(mint.label)) {
+    errors.push(`Missing label of ${label}`);
+  }
+  if (!isName(mint.token)) {
+    errors.push(`Invalid token of ${label}: ${mint.token}`);
+  }
+  if (mint.allocation !== undefined && mint.recipients === undefined) {
+    errors.push(
+      `Allocation of ${label} is not loaded, read the plan with loadPlan`
+    );
+    return errors;
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+    errors.push(`Invalid decimals of ${label}: ${mint.decimals}`);
+    return errors;
+  }
+  if (!isObject(mint.recipients) || Object.keys(mint.recipients).length === 0) {
+    errors.push(`Missing recipients of ${label}`);
+    return errors;
+  }
+
+  const seen = new Set();
+  Object.keys(mint.recipients).forEach((recipient) => {
+    if (looksLikeAddress(recipient) && !isAddress(recipient)) {
+      errors.push(`Invalid checksum in ${label}: ${recipient}`);
+      return;
+    }
+    const key = isAddress(recipient) ? getAddress(recipient) : recipient;
+    if (seen.has(key)) {
+      errors.push(`Duplicate recipient in ${label}: ${recipient}`);
+    }
+    seen.add(key);
+    if (!isAmount(mint.recipients[recipient], decimals)) {
+      errors.push(
+        `Invalid amount in ${label} for ${recipient}: ${mint.recipients[recipient]}`
+      );
+    }
+  });
+  if (errors.length > 0 || mint.total === undefined) {
+    return errors;
+  }
+
+  if (!isAmount(mint.total, decimals)) {
+    errors.push(`Invalid total of ${label}: ${mint.total}`);
+  } else {
+    const total = Object.values(mint.recipients).reduce(
+      (sum, amount) => sum.add(parseUnits(amount, decimals)),
+      BigNumber.from(0)
+    );
+    if (!total.eq(parseUnits(mint.total, decimals))) {
+      errors.push(
+        `Recipients of ${label} add up to ${utils.formatUnits(
+          total,
+          decimals
+        )} not ${mint.total}`
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks that a parsed JSON value follows the deployment plan format. References are not
+ * resolved here, that happens when the plan is applied.
+ * @param plan the parsed JSON
+ * @return `{ valid, errors }`
+ */
+function validatePlan(plan) {
+  if (!isObject(plan)) {
+    return { valid: false, errors: ["Deployment plan must be an object"] };
+  }
+
+  const errors = [];
+  if (plan.version !== PLAN_VERSION) {
+    errors.push(`Unsupported plan version: ${plan.version}`);
+  }
+  if (!isName(plan.network)) {
+    errors.push(`Invalid network: ${plan.network}`);
+  }
+  if (!isName(plan.stakingPools)) {
+    errors.push(`Invalid stakingPools: ${plan.stakingPools}`);
+  }
+  if (!isObject(plan.tokens)) {
+    errors.push("Missing tokens");
+  } else {
+    Object.keys(plan.tokens).forEach((alias) => {
+      if (!isName(plan.tokens[alias])) {
+        errors.push(`Invalid token ${alias}: ${plan.tokens[alias]}`);
+      }
+    });
+  }
+
+  PLAN_SECTIONS.filter((section) => section !== "weights").forEach(
+    (section) => {
+      if (!Array.isArray(plan[section])) {
+        errors.push(`Missing ${section}`);
+      }
+    }
+  );
+  if (Array.isArray(plan.mints)) {
+    plan.mints.forEach((mint, index) => {
+      errors.push(...validateMint(mint, index));
+    });
+  }
+  if (Array.isArray(plan.pools)) {
+    plan.pools.forEach((pool, index) => {
+      if (
+        !isObject(pool) ||
+        !isName(pool.token) ||
+        !Number.isInteger(pool.weight) ||
+        pool.weight < 0
+      ) {
+        errors.push(`Invalid pools[${index}]`);
+      }
+    });
+  }
+  ["grants", "renounces"].forEach((section) => {
+    if (!Array.isArray(plan[section])) {
+      return;
+    }
+    plan[section].forEach((entry, index) => {
+      if (
+        !isObject(entry) ||
+        !isName(entry.token) ||
+        !ROLES.includes(entry.role) ||
+        (section === "grants" && !isName(entry.account))
+      ) {
+        errors.push(`Invalid ${section}[${index}]`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a deployment plan and throws with every error found.
+ * @param plan the parsed JSON
+ * @return the plan
+ */
+function parsePlan(plan) {
+  const { valid, errors } = validatePlan(plan);
+  if (!valid) {
+    throw new Error(`Invalid deployment plan: ${errors.join("; ")}`);
+  }
+  return plan;
+}
+
+/**
+ * Reads a deployment plan from disk, loads the allocation files its mints refer to and
+ * validates it.
+ * @param file path to the plan JSON
+ * @param options.signers addresses allowed to sign off allocations, every allocation must
+ * be signed off by one of them
+ * @param options.allowUnsigned accept allocations that are not signed off when no signers
+ * are given
+ */
+function loadPlan(file, { signers, allowUnsigned } = {}) {
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!plan || !Array.isArray(plan.mints)) {
+    return parsePlan(plan);
+  }
+  const mints = plan.mints.map((mint) => {
+    if (!mint || mint.allocation === undefined) {
+      return mint;
+    }
+    const { manifest, recipients, contentHash } = loadAllocationManifest(
+      path.join(path.dirname(file), mint.allocation),
+      { signers, allowUnsigned }
+    );
+    return {
+      ...mint,
+      decimals: manifest.decimals,
+      total: manifest.total,
+      recipients,
+      contentHash,
+    };
+  });
+  return parsePlan({ ...plan, mints });
+}
+
+/**
+ * Builds a resolver for the references of a plan.
+ * @param plan a valid deployment plan
+ * @param hre hardhat runtime environment with hardhat-deploy
+ * @return async function from a reference to a checksummed address
+ */
+async function createResolver(plan, { deployments, getNamedAccounts }) {
+  const namedAccounts = await getNamedAccounts();
+  const resolve = async (reference, { aliases = true } = {}) => {
+    if (isAddress(reference)) {
+      if (getAddress(reference) === constants.AddressZero) {
+        throw new Error("The zero address can not be used, update the plan");
+      }
+      return getAddress(reference);
+    }
+    if (aliases && plan.tokens[reference] !== undefined) {
+      try {
+        return await resolve(plan.tokens[reference], { aliases: false });
+      } catch (e) {
+        throw new Error(`Token ${reference}: ${e.message}`);
+      }
+    }
+    if (namedAccounts[reference] !== undefined) {
+      return getAddress(namedAccounts[reference]);
+    }
+    const deployment = await deployments.getOrNull(reference);
+    if (deployment) {
+      return getAddress(deployment.address);
+    }
+    throw new Error(`Unknown reference: ${reference}`);
+  };
+  return resolve;
+}
+
+/**
+ * Tracks the tokens minted to the recipients of a token by the account applying the plan, so
+ * a mint is not repeated when the plan is applied again. Mints by anyone else, e.g. staking
+ * rewards, do not count. Logs are read in chunks of blocks from the block the token was
+ * deployed at, see roleAudit.getRoleMembers, and every call only reads the blocks after the
+ * ones read before, so all mint steps of a token share a single scan.
+ * @param token ethers contract of the token
+ * @param recipients addresses the plan mints the token to
+ * @param from address applying the plan
+ * @param options.fromBlock block the token was deployed at
+ * @param options.chunkSize max number of blocks to request logs for at once
+ * @return async function of a recipient returning the amount minted to it so far
+ */
+function trackMintedBy(
+  token,
+  recipients,
+  from,
+  { fromBlock, chunkSize = 5000 }
+) {
+  const totals = {};
+  let nextBlock = fromBlock;
+  return async (to) => {
+    const lastBlock = await token.provider.getBlockNumber();
+    while (nextBlock <= lastBlock) {
+      const end = Math.min(nextBlock + chunkSize - 1, lastBlock);
+      // eslint-disable-next-line no-await-in-loop
+      const transfers = await token.queryFilter(
+        token.filters.Transfer(constants.AddressZero, recipients),
+        nextBlock,
+        end
+      );
+      // the logs do not tell who sent a mint, so its transaction is read, one at a time
+      // eslint-disable-next-line no-await-in-loop
+      const senders = await [
+        ...new Set(transfers.map(({ transactionHash }) => transactionHash)),
+      ].reduce(
+        async (previous, hash) => ({
+          ...(await previous),
+          [hash]: (await token.provider.getTransaction(hash)).from,
+        }),
+        Promise.resolve({})
+      );
+      transfers
+        .filter(({ transactionHash }) => senders[transactionHash] === from)
+        .forEach(({ args }) => {
+          const recipient = getAddress(args.to);
+          totals[recipient] = (totals[recipient] || BigNumber.from(0)).add(
+            args.value
+          );
+        });
+      nextBlock = end + 1;
+    }
+    return totals[to] || BigNumber.from(0);
+  };
+}
+
+/**
+ * Turns a plan into steps, each an action for a TransactionJournal. Each step checks the
+ * chain for whether it is already satisfied right before it would send its transaction, so
+ * a plan can be applied again after a failure, or after it was extended, without repeating
+ * what already happened.
+ *
+ * @param plan a valid deployment plan
+ * @param hre hardhat runtime environment with hardhat-deploy
+ * @param options.only sections to build steps for, defaults to every section
+ * @param options.senderOptions options of the TransactionSender the steps send with
+ * @return `{ signer, steps: [{ id, section, description, details?, isSatisfied(), send() }] }`
+ */
+async function buildPlanSteps(
+  plan,
+  hre,
+  { only = PLAN_SECTIONS, senderOptions } = {}
+) {
+  const { ethers, deployments, getNamedAccounts } = hre;
+  const { admin } = await getNamedAccounts();
+  const signer = await ethers.getSigner(admin);
+  const sender = new TransactionSender(signer, senderOptions);
+  const resolve = await createResolver(plan, hre);
+
+  const [tokenArtifact, stakingPoolsArtifact] = await Promise.all([
+    deployments.getArtifact("TimeToken"),
+    deployments.getArtifact("StakingPools"),
+  ]);
+  // TicToken and TimeToken share the ERC20 and role interface used here
+  const getToken = async (reference) =>
+    new ethers.Contract(await resolve(reference), tokenArtifact.abi, signer);
+  const getStakingPools = async () =>
+    new ethers.Contract(
+      await resolve(plan.stakingPools),
+      stakingPoolsArtifact.abi,
+      signer
+    );
+  // hardhat-deploy keeps the receipt of every contract it deployed
+  const allDeployments = await deployments.all();
+  const getDeploymentBlock = (address) => {
+    const deployment = Object.values(allDeployments).find(
+      (each) => each.receipt && getAddress(each.address) === address
+    );
+    if (!deployment) {
+      throw new Error(
+        `No deployment receipt of ${address}, the block to read its mints from is unknown`
+      );
+    }
+    return deployment.receipt.blockNumber;
+  };
+  const builders = {
+    mints: async () => {
+      const recipients = await Promise.all(
+        plan.mints.map(async (mint, index) => {
+          const decimals = mint.decimals === undefined ? 18 : mint.decimals;
+          const token = await getToken(mint.token);
+          return Promise.all(
+            Object.keys(mint.recipients).map(async (recipient) => ({
+              index,
+              mint,
+              token,
+              to: await resolve(recipient),
+              units: mint.recipients[recipient],
+              amount: parseUnits(mint.recipients[recipient], decimals),
+            }))
+          );
+        })
+      );
+
+      // one scan of the mints of each token, shared by the steps of its recipients
+      const entries = recipients.flat();
+      const trackers = {};
+      entries.forEach(({ token }) => {
+        if (!trackers[token.address]) {
+          const tokenRecipients = entries
+            .filter((entry) => entry.token.address === token.address)
+            .map(({ to }) => to);
+          trackers[token.address] = trackMintedBy(
+            token,
+            [...new Set(tokenRecipients)],
+            signer.address,
+            { fromBlock: getDeploymentBlock(token.address) }
+          );
+        }
+      });
+
+      // a recipient can be in several mints of a token, so every step is satisfied once
+      // the signer minted the amounts of that step and of the same recipient's steps before it
+      const planned = {};
+      return entries.map(({ index, mint, token, to, units, amount }) => {
+        const key = `${token.address}:${to}`;
+        const total = (planned[key] || BigNumber.from(0)).add(amount);
+        planned[key] = total;
+        const minted = () => trackers[token.address](to);
+        return {
+          id: `mints:${index}:${mint.token}:${to}`,
+          section: "mints",
+          description: `${mint.label}: mint ${units} ${mint.token} to ${to}`,
+          details: mint.contentHash
+            ? {
+                allocation: mint.allocation,
+                contentHash: mint.contentHash,
+              }
+            : undefined,
+          isSatisfied: async () => (await minted()).gte(total),
+          send: async () =>
+            sender.send(
+              token.populateTransaction.mint(to, total.sub(await minted()))
+            ),
+        };
+      });
+    },
+
+    pools: async () => {
+      const stakingPools = await getStakingPools();
+      return Promise.all(
+        plan.pools.map(async ({ token: reference }, poolId) => {
+          const token = await resolve(reference);
+          return {
+            id: `pools:${poolId}`,
+            section: "pools",
+            description: `pool ${poolId}: ${reference} ${token}`,
+            isSatisfied: async () => {
+              const id = await stakingPools.tokenPoolIds(token);
+              if (!id.isZero() && !id.eq(poolId + 1)) {
+                throw new Error(
+                  `${reference} is pool ${id.sub(
+                    1
+                  )} on chain but pool ${poolId} in the plan`
+                );
+              }
+              return !id.isZero();
+            },
+            send: async () => {
+              const count = await stakingPools.poolCount();
+              if (!count.eq(poolId)) {
+                throw new Error(
+                  `Pool ${poolId} can not be created while ${count} pools exist`
+                );
+              }
+              return sender.send(
+                stakingPools.populateTransaction.createPool(token)
+              );
+            },
+          };
+        })
+      );
+    },
+
+    weights: async () => {
+      const stakingPools = await getStakingPools();
+      const weights = plan.pools.map(({ weight }) => weight);
+      return [
+        {
+          id: "weights",
+          section: "weights",
+          description: `set pool weights to ${weights.join(", ")}`,
+          isSatisfied: async () => {
+            const count = (await stakingPools.poolCount()).toNumber();
+            if (count !== weights.length) {
+              return false;
+            }
+            const current = await Promise.all(
+              weights.map((weight, poolId) =>
+                stakingPools.getPoolRewardWeight(poolId)
+              )
+            );
+            return current.every((weight, poolId) =>
+              weight.eq(weights[poolId])
+            );
+          },
+          send: async () =>
+            sender.send(
+              stakingPools.populateTransaction.setRewardWeights(weights)
+            ),
+        },
+      ];
+    },
+
+    grants: async () =>
+      Promise.all(
+        plan.grants.map(async ({ token: reference, role, account }) => {
+          const token = await getToken(reference);
+          const to = await resolve(account);
+          return {
+            id: `grants:${reference}:${role}:${to}`,
+            section: "grants",
+            description: `grant ${role} of ${reference} to ${account} ${to}`,
+            isSatisfied: async () => token.hasRole(await token[role](), to),
+            send: async () =>
+              sender.send(
+                token.populateTransaction.grantRole(await token[role](), to)
+              ),
+          };
+        })
+      ),
+
+    renounces: async () =>
+      Promise.all(
+        plan.renounces.map(async ({ token: reference, role }) => {
+          const token = await getToken(reference);
+          // a token must never be left without an admin
+          const admins = await Promise.all(
+            plan.grants
+              .filter(
+                (grant) =>
+                  grant.token === reference && grant.role === "ADMIN_ROLE"
+              )
+              .map((grant) => resolve(grant.account))
+          );
+          return {
+            id: `renounces:${reference}:${role}:${signer.address}`,
+            section: "renounces",
+            description: `renounce ${role} of ${reference} from ${signer.address}`,
+            isSatisfied: async () =>
+              !(await token.hasRole(await token[role](), signer.address)),
+            send: async () => {
+              const adminRole = await token.ADMIN_ROLE();
+              const granted = await Promise.all(
+                admins
+                  .filter((account) => account !== signer.address)
+                  .map((account) => token.hasRole(adminRole, account))
+              );
+              if (role === "ADMIN_ROLE" && !granted.includes(true)) {
+                throw new Error(
+                  `Refusing to renounce ADMIN_ROLE of ${reference} before it is granted to another account`
+                );
+              }
+              return sender.send(
+                token.populateTransaction.renounceRole(
+                  await token[role](),
+                  signer.address
+                )
+              );
+            },
+          };
+        })
+      ),
+  };
+
+  const unknown = only.filter((section) => !PLAN_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown plan sections: ${unknown.join(", ")}`);
+  }
+  const sections = await Promise.all(
+    PLAN_SECTIONS.filter((section) => only.includes(section)).map((section) =>
+      builders[section]()
+    )
+  );
+  return { signer, steps: sections.flat() };
+}
+
+/**
+ * Applies a deployment plan step by step against the hardhat-deploy deployments of the
+ * current network, skipping every step already satisfied on chain.
+ *
+ * @param plan a valid deployment plan
+ * @param hre hardhat runtime environment with hardhat-deploy
+ * @param options.only sections to apply, defaults to every section
+ * @param options.dryRun only report which steps would send a transaction
+ * @param options.journal TransactionJournal to record the steps in, kept in memory when
+ * omitted
+ * @param options.senderOptions options of the TransactionSender, e.g. confirmations and
+ * the fee cap, replacements of stuck transactions are also recorded in the journal
+ * @param options.log called with a line per step
+ * @return `[{ section, description, status }]` where status is skipped, applied or pending
+ */
+async function applyPlan(
+  plan,
+  hre,
+  { only, dryRun = false, journal, senderOptions, log = () => {} } = {}
+) {
+  parsePlan(plan);
+  if (plan.network !== hre.network.name) {
+    throw new Error(
+      `Plan is for ${plan.network} but the network is ${hre.network.name}`
+    );
+  }
+  const runner =
+    journal || new TransactionJournal({ provider: hre.ethers.provider });
+  const { onReplaced = () => {} } = senderOptions || {};
+  const { steps } = await buildPlanSteps(plan, hre, {
+    only,
+    senderOptions: {
+      ...senderOptions,
+      // a run after a crash has to wait on the replacement, not send the step again
+      onReplaced: (hash, replacement) => {
+        runner.recordReplacement(hash, replacement);
+        onReplaced(hash, replacement);
+      },
+    },
+  });
+
+  // steps depend on the ones before them, e.g. weights on pools, so they run one by one
+  return steps.reduce(async (previous, step) => {
+    const results = await previous;
+    let status;
+    if (dryRun) {
+      status = (await step.isSatisfied()) ? "skipped" : "pending";
+    } else {
+      ({ status } = await runner.run({
+        id: step.id,
+        description: step.description,
+        details: step.details,
+        isSatisfied: () => step.isSatisfied(),
+        send: () => step.send(),
+      }));
+    }
+    log(`[${status}] ${step.description}`);
+    return [
+      ...results,
+      { section: step.section, description: step.description, status },
+    ];
+  }, Promise.resolve([]));
+}
+
+module.exports = {
+  PLAN_VERSION,
+  PLAN_SECTIONS,
+  validatePlan,
+  parsePlan,
+  loadPlan,
+  createResolver,
+  buildPlanSteps,
+  applyPlan,
+};
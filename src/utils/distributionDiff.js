@@ -0,0 +1,307 @@
+const { BigNumber, utils } = require("ethers");
+const { getMerklePoolsEvents } = require("./merklePoolsEvents");
+
+const { formatEther } = utils;
+
+const ZERO = BigNumber.from(0);
+
+const CSV_COLUMNS = [
+  "account",
+  "poolId",
+  "status",
+  "previousLPTokenAmount",
+  "nextLPTokenAmount",
+  "deltaLPTokenAmount",
+  "previousTICAmount",
+  "nextTICAmount",
+  "deltaTICAmount",
+  "flags",
+];
+
+const getAmounts = (distribution, account, poolId) => {
+  const claim = (distribution.claims[account] || {})[poolId];
+  return claim
+    ? {
+        lp: BigNumber.from(claim.totalLPTokenAmount),
+        tic: BigNumber.from(claim.totalTICAmount),
+      }
+    : undefined;
+};
+
+const getStatus = (previous, next) => {
+  if (!previous) {
+    return "new";
+  }
+  if (!next) {
+    return "removed";
+  }
+  if (next.lp.lt(previous.lp) || next.tic.lt(previous.tic)) {
+    return "decreased";
+  }
+  if (next.lp.eq(previous.lp) && next.tic.eq(previous.tic)) {
+    return "unchanged";
+  }
+  return "increased";
+};
+
+/**
+ * Reads how much TIC each pool of a MerklePools deployment emitted and how much LP was
+ * generated for it between two blocks. TIC emitted is the change in
+ * `getPoolTotalUnclaimed` plus the TIC claimed in between.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param options.fromBlock block of the previous snapshot (exclusive)
+ * @param options.toBlock block of the next snapshot (inclusive)
+ * @param options.poolIds poolIds of LPTokensGenerated events by transaction hash, see
+ * getMerklePoolsEvents
+ * @return `{ [poolId]: { ticAccrued, lpGenerated } }` as BigNumbers
+ */
+async function getPoolAccruals(merklePools, { fromBlock, toBlock, poolIds }) {
+  const [poolCount, previousPoolCount, events] = await Promise.all([
+    merklePools.poolCount({ blockTag: toBlock }),
+    merklePools.poolCount({ blockTag: fromBlock }),
+    getMerklePoolsEvents(merklePools, {
+      fromBlock: fromBlock + 1,
+      toBlock,
+      poolIds,
+    }),
+  ]);
+
+  const accruals = {};
+  await Promise.all(
+    [...Array(poolCount.toNumber()).keys()].map(async (poolId) => {
+      const [unclaimed, previousUnclaimed] = await Promise.all([
+        merklePools.getPoolTotalUnclaimed(poolId, { blockTag: toBlock }),
+        poolId < previousPoolCount.toNumber()
+          ? merklePools.getPoolTotalUnclaimed(poolId, { blockTag: fromBlock })
+          : ZERO,
+      ]);
+      const ticClaimed = events
+        .filter(
+          ({ event, args }) =>
+            event === "TokensClaimed" && args.poolId.eq(poolId)
+        )
+        .reduce((sum, { args }) => sum.add(args.ticTokenAmountClaimed), ZERO);
+      const lpGenerated = events
+        .filter(
+          (event) =>
+            event.event === "LPTokensGenerated" &&
+            BigNumber.from(event.poolId).eq(poolId)
+        )
+        .reduce((sum, { args }) => sum.add(args.lpAmountCreated), ZERO);
+
+      accruals[poolId] = {
+        ticAccrued: unclaimed.sub(previousUnclaimed).add(ticClaimed),
+        lpGenerated,
+      };
+    })
+  );
+  return accruals;
+}
+
+/**
+ * Compares the claims of two distribution files for the same deployment, e.g. the file of
+ * the root set on chain and the file proposed to replace it.
+ *
+ * Every claim is labelled `new`, `increased`, `unchanged`, `decreased` or `removed`. A
+ * decrease makes `claim` revert for that stake until a later root catches up and a removed
+ * claim can not be claimed at all under the new root, so both are flagged. With `accruals`
+ * (see getPoolAccruals) every increase, per claim and per pool, is also checked against
+ * what the pool emitted and generated in LP between the two snapshot blocks.
+ *
+ * @param previous distribution file of the current root
+ * @param next distribution file of the proposed root
+ * @param options.accruals on chain accruals between the two snapshot blocks
+ * @return JSON serializable diff with amounts as decimal strings
+ */
+function diffDistributions(previous, next, { accruals } = {}) {
+  if (
+    previous.chainId !== next.chainId ||
+    previous.contract !== next.contract
+  ) {
+    throw new Error(
+      `Distributions are for different deployments: ${previous.contract} on chain ${previous.chainId} and ${next.contract} on chain ${next.chainId}`
+    );
+  }
+  if (next.snapshotBlock < previous.snapshotBlock) {
+    throw new Error(
+      `Distribution at block ${next.snapshotBlock} is older than the one at block ${previous.snapshotBlock}`
+    );
+  }
+
+  const keys = [previous, next].reduce((memo, { claims }) => {
+    Object.keys(claims).forEach((account) => {
+      Object.keys(claims[account]).forEach((poolId) => {
+        memo[`${account}:${poolId}`] = { account, poolId };
+      });
+    });
+    return memo;
+  }, {});
+
+  const pools = {};
+  const getPool = (poolId) => {
+    if (!pools[poolId]) {
+      pools[poolId] = { deltaLP: ZERO, deltaTIC: ZERO, flags: [] };
+    }
+    return pools[poolId];
+  };
+
+  const rows = Object.values(keys)
+    .sort((a, b) =>
+      a.account === b.account
+        ? Number(a.poolId) - Number(b.poolId)
+        : a.account.toLowerCase().localeCompare(b.account.toLowerCase())
+    )
+    .map(({ account, poolId }) => {
+      const before = getAmounts(previous, account, poolId);
+      const after = getAmounts(next, account, poolId);
+      const previousLP = before ? before.lp : ZERO;
+      const previousTIC = before ? before.tic : ZERO;
+      const nextLP = after ? after.lp : ZERO;
+      const nextTIC = after ? after.tic : ZERO;
+      const status = getStatus(before, after);
+      const deltaLP = after ? nextLP.sub(previousLP) : ZERO;
+      const deltaTIC = after ? nextTIC.sub(previousTIC) : ZERO;
+
+      const flags = [];
+      if (status === "decreased") {
+        flags.push("DECREASED");
+      }
+      if (status === "removed") {
+        flags.push("REMOVED");
+      }
+      const accrual = accruals && accruals[poolId];
+      if (accrual && deltaTIC.gt(accrual.ticAccrued)) {
+        flags.push("EXCEEDS_ACCRUED_TIC");
+      }
+      if (accrual && deltaLP.gt(accrual.lpGenerated)) {
+        flags.push("EXCEEDS_GENERATED_LP");
+      }
+
+      const pool = getPool(poolId);
+      pool.deltaLP = pool.deltaLP.add(deltaLP);
+      pool.deltaTIC = pool.deltaTIC.add(deltaTIC);
+
+      return {
+        account,
+        poolId: Number(poolId),
+        status,
+        previousLPTokenAmount: previousLP.toString(),
+        nextLPTokenAmount: nextLP.toString(),
+        deltaLPTokenAmount: deltaLP.toString(),
+        previousTICAmount: previousTIC.toString(),
+        nextTICAmount: nextTIC.toString(),
+        deltaTICAmount: deltaTIC.toString(),
+        flags,
+      };
+    });
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    chainId: next.chainId,
+    contract: next.contract,
+    previousRoot: previous.merkleRoot,
+    nextRoot: next.merkleRoot,
+    previousSnapshotBlock: previous.snapshotBlock,
+    nextSnapshotBlock: next.snapshotBlock,
+    summary: {
+      new: count("new"),
+      increased: count("increased"),
+      unchanged: count("unchanged"),
+      decreased: count("decreased"),
+      removed: count("removed"),
+      flagged: rows.filter(({ flags }) => flags.length > 0).length,
+    },
+    pools: Object.keys(pools)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((poolId) => {
+        const pool = pools[poolId];
+        const accrual = accruals && accruals[poolId];
+        if (accrual && pool.deltaTIC.gt(accrual.ticAccrued)) {
+          pool.flags.push("EXCEEDS_ACCRUED_TIC");
+        }
+        if (accrual && pool.deltaLP.gt(accrual.lpGenerated)) {
+          pool.flags.push("EXCEEDS_GENERATED_LP");
+        }
+        return {
+          poolId: Number(poolId),
+          deltaLPTokenAmount: pool.deltaLP.toString(),
+          deltaTICAmount: pool.deltaTIC.toString(),
+          ticAccrued: accrual ? accrual.ticAccrued.toString() : undefined,
+          lpGenerated: accrual ? accrual.lpGenerated.toString() : undefined,
+          flags: pool.flags,
+        };
+      }),
+    rows,
+  };
+}
+
+/**
+ * Formats a diff for reviewers. Unchanged claims are left out and decreased or removed
+ * claims get a warning line of their own under the summary.
+ * @param diff output of diffDistributions
+ * @return the lines of the summary
+ */
+function formatDistributionDiff(diff) {
+  const { summary } = diff;
+  const flagged = (flags) => (flags.length > 0 ? ` [${flags.join(", ")}]` : "");
+  const warnings = [];
+  if (summary.decreased > 0) {
+    warnings.push(
+      `WARNING: ${summary.decreased} decreased claims revert until a later root catches up`
+    );
+  }
+  if (summary.removed > 0) {
+    warnings.push(
+      `WARNING: ${summary.removed} removed claims can not be claimed under the new root`
+    );
+  }
+  return [
+    `${diff.contract} on chain ${diff.chainId}: ${diff.previousRoot} (block ${diff.previousSnapshotBlock}) -> ${diff.nextRoot} (block ${diff.nextSnapshotBlock})`,
+    `${summary.new} new, ${summary.increased} increased, ${summary.unchanged} unchanged, ${summary.decreased} decreased, ${summary.removed} removed, ${summary.flagged} flagged`,
+    ...warnings,
+    ...diff.pools.map(
+      (pool) =>
+        `pool ${pool.poolId}: change ${formatEther(
+          pool.deltaLPTokenAmount
+        )} LP, ${formatEther(pool.deltaTICAmount)} TIC${
+          pool.ticAccrued === undefined
+            ? ""
+            : ` (accrued ${formatEther(
+                pool.ticAccrued
+              )} TIC, generated ${formatEther(pool.lpGenerated)} LP)`
+        }${flagged(pool.flags)}`
+    ),
+    ...diff.rows
+      .filter(({ status }) => status !== "unchanged")
+      .map(
+        (row) =>
+          `  ${row.status} ${row.account} pool:${row.poolId} LP ${formatEther(
+            row.previousLPTokenAmount
+          )} -> ${formatEther(row.nextLPTokenAmount)} TIC ${formatEther(
+            row.previousTICAmount
+          )} -> ${formatEther(row.nextTICAmount)}${flagged(row.flags)}`
+      ),
+  ];
+}
+
+/**
+ * @param diff output of diffDistributions
+ * @return the rows of the diff as CSV
+ */
+function distributionDiffToCSV(diff) {
+  return [
+    CSV_COLUMNS.join(","),
+    ...diff.rows.map((row) =>
+      CSV_COLUMNS.map((column) =>
+        column === "flags" ? row.flags.join(";") : row[column]
+      ).join(",")
+    ),
+  ].join("\n");
+}
+
+module.exports = {
+  getPoolAccruals,
+  diffDistributions,
+  formatDistributionDiff,
+  distributionDiffToCSV,
+};
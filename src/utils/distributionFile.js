@@ -0,0 +1,321 @@
+const fs = require("fs");
+const { BigNumber, utils } = require("ethers");
+const { FORFEIT_POLICIES } = require("./MerklePoolsAccounting");
+const { verifyDistribution } = require("./verifyDistribution");
+
+const { getAddress, isAddress, isHexString } = utils;
+
+const DISTRIBUTION_VERSION = 1;
+
+// This is the versioned file that gets published for a MerklePools root.
+// Besides the output of parseBalanceMap it binds the claims to a single deployment so a
+// file built for one chain or proxy can not be loaded against another.
+// interface DistributionFile {
+//   version: 1
+//   chainId: number
+//   contract: string // checksummed MerklePools / MerklePoolsForeign proxy address
+//   snapshotBlock: number // block the claims were computed at
+//   previousRoot: string // merkleRoot on chain at snapshotBlock
+//   merkleRoot: string
+//   lpTokenTotal: string
+//   ticTotal: string
+//   poolTotals: {
+//     [poolId: string]: {
+//       totalLPTokenAmount: string
+//       totalTICAmount: string
+//     }
+//   }
+//   claims: {
+//     [account: string]: {
+//       [poolId: string]: {
+//         index: number
+//         totalLPTokenAmount: string
+//         totalTICAmount: string
+//         proof: string[]
+//         flags?: {
+//           [flag: string]: boolean
+//         }
+//       }
+//     }
+//   }
+//   metadata: {
+//     generatedAt: string // ISO 8601 timestamp
+//     generator: string
+//     fromBlock: number
+//     forfeitAddress?: string
+//     forfeitPolicy?: "treasury" | "redistribute" | "unallocated"
+//     [key: string]: any
+//   }
+//   signatures?: { // EIP-712 signatures of the root and totals, see distributionSignature
+//     signer: string
+//     signature: string
+//   }[]
+// }
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const isBlock = (value) => Number.isInteger(value) && value >= 0;
+const isAmount = (value) => isHexString(value) && value.length > 2;
+const isChecksummed = (value) =>
+  typeof value === "string" && isAddress(value) && getAddress(value) === value;
+
+/**
+ * Checks that a parsed JSON value follows the distribution file format. Only the shape is
+ * checked here, use verifyDistribution to check the root and proofs.
+ * @param file the parsed JSON
+ * @return `{ valid, errors }`
+ */
+function validateDistributionFile(file) {
+  const errors = [];
+  if (!isObject(file)) {
+    return { valid: false, errors: ["Distribution file must be an object"] };
+  }
+
+  if (file.version !== DISTRIBUTION_VERSION) {
+    errors.push(`Unsupported distribution version: ${file.version}`);
+  }
+  if (!Number.isInteger(file.chainId) || file.chainId <= 0) {
+    errors.push(`Invalid chainId: ${file.chainId}`);
+  }
+  if (!isChecksummed(file.contract)) {
+    errors.push(`Invalid contract address: ${file.contract}`);
+  }
+  if (!isBlock(file.snapshotBlock)) {
+    errors.push(`Invalid snapshotBlock: ${file.snapshotBlock}`);
+  }
+  ["previousRoot", "merkleRoot"].forEach((key) => {
+    if (!isHexString(file[key], 32)) {
+      errors.push(`Invalid ${key}: ${file[key]}`);
+    }
+  });
+  ["lpTokenTotal", "ticTotal"].forEach((key) => {
+    if (!isAmount(file[key])) {
+      errors.push(`Invalid ${key}: ${file[key]}`);
+    }
+  });
+
+  if (!isObject(file.poolTotals)) {
+    errors.push("Missing poolTotals");
+  } else {
+    Object.keys(file.poolTotals).forEach((poolId) => {
+      const totals = file.poolTotals[poolId];
+      if (
+        !isObject(totals) ||
+        !isAmount(totals.totalLPTokenAmount) ||
+        !isAmount(totals.totalTICAmount)
+      ) {
+        errors.push(`Invalid totals for pool ${poolId}`);
+      }
+    });
+  }
+
+  if (!isObject(file.claims)) {
+    errors.push("Missing claims");
+  } else {
+    Object.keys(file.claims).forEach((account) => {
+      if (!isChecksummed(account)) {
+        errors.push(`Claim account is not checksummed: ${account}`);
+      }
+      const claimsByPool = isObject(file.claims[account])
+        ? file.claims[account]
+        : {};
+      Object.keys(claimsByPool).forEach((poolId) => {
+        const claim = claimsByPool[poolId];
+        if (
+          !/^\d+$/.test(poolId) ||
+          !isObject(claim) ||
+          !isBlock(claim.index) ||
+          !isAmount(claim.totalLPTokenAmount) ||
+          !isAmount(claim.totalTICAmount) ||
+          !Array.isArray(claim.proof) ||
+          !claim.proof.every((node) => isHexString(node, 32))
+        ) {
+          errors.push(`Invalid claim for ${account} pool ${poolId}`);
+        }
+      });
+    });
+  }
+
+  if (!isObject(file.metadata)) {
+    errors.push("Missing metadata");
+  } else {
+    if (
+      typeof file.metadata.generatedAt !== "string" ||
+      Number.isNaN(Date.parse(file.metadata.generatedAt))
+    ) {
+      errors.push(`Invalid generatedAt: ${file.metadata.generatedAt}`);
+    }
+    if (typeof file.metadata.generator !== "string") {
+      errors.push(`Invalid generator: ${file.metadata.generator}`);
+    }
+    if (!isBlock(file.metadata.fromBlock)) {
+      errors.push(`Invalid fromBlock: ${file.metadata.fromBlock}`);
+    } else if (
+      isBlock(file.snapshotBlock) &&
+      file.metadata.fromBlock > file.snapshotBlock
+    ) {
+      errors.push("fromBlock is after snapshotBlock");
+    }
+    if (
+      file.metadata.forfeitAddress !== undefined &&
+      !isAddress(file.metadata.forfeitAddress)
+    ) {
+      errors.push(`Invalid forfeitAddress: ${file.metadata.forfeitAddress}`);
+    }
+    if (
+      file.metadata.forfeitPolicy !== undefined &&
+      !FORFEIT_POLICIES.includes(file.metadata.forfeitPolicy)
+    ) {
+      errors.push(`Invalid forfeitPolicy: ${file.metadata.forfeitPolicy}`);
+    }
+  }
+
+  if (
+    file.signatures !== undefined &&
+    (!Array.isArray(file.signatures) ||
+      !file.signatures.every(
+        (each) =>
+          isObject(each) &&
+          isChecksummed(each.signer) &&
+          isHexString(each.signature, 65)
+      ))
+  ) {
+    errors.push("Invalid signatures");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Wraps the output of parseBalanceMap into a versioned distribution file.
+ * @param distribution output of parseBalanceMap
+ * @param options.chainId chain the MerklePools proxy is deployed on
+ * @param options.contract address of the MerklePools proxy
+ * @param options.snapshotBlock block the claims were computed at
+ * @param options.previousRoot merkle root set on chain at the snapshot block
+ * @param options.metadata generation metadata, `generatedAt` defaults to now
+ */
+function createDistributionFile(
+  distribution,
+  { chainId, contract, snapshotBlock, previousRoot, metadata = {} }
+) {
+  const file = {
+    version: DISTRIBUTION_VERSION,
+    chainId,
+    contract: getAddress(contract),
+    snapshotBlock,
+    previousRoot,
+    merkleRoot: distribution.merkleRoot,
+    lpTokenTotal: distribution.lpTokenTotal,
+    ticTotal: distribution.ticTotal,
+    poolTotals: distribution.poolTotals,
+    claims: distribution.claims,
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      ...metadata,
+    },
+  };
+
+  const { valid, errors } = validateDistributionFile(file);
+  if (!valid) {
+    throw new Error(`Invalid distribution file: ${errors.join("; ")}`);
+  }
+  return file;
+}
+
+/**
+ * Checks that a distribution file was built for the expected deployment.
+ * @param file a valid distribution file
+ * @param expected.chainId chain the file must be bound to
+ * @param expected.contract MerklePools proxy the file must be bound to
+ * @return the list of mismatches
+ */
+function getBindingErrors(file, { chainId, contract } = {}) {
+  const errors = [];
+  if (
+    chainId !== undefined &&
+    BigNumber.from(chainId).toNumber() !== file.chainId
+  ) {
+    errors.push(
+      `Distribution is for chain ${file.chainId} but expected ${chainId}`
+    );
+  }
+  if (contract !== undefined && getAddress(contract) !== file.contract) {
+    errors.push(
+      `Distribution is for contract ${file.contract} but expected ${getAddress(
+        contract
+      )}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Validates a distribution file, verifies its root and proofs and checks that it was
+ * built for the expected deployment.
+ * @param file the parsed JSON
+ * @param expected see getBindingErrors
+ * @return the file
+ */
+function parseDistributionFile(file, expected) {
+  const { valid, errors } = validateDistributionFile(file);
+  if (!valid) {
+    throw new Error(`Invalid distribution file: ${errors.join("; ")}`);
+  }
+  const verified = verifyDistribution(file);
+  if (!verified.valid) {
+    throw new Error(`Invalid distribution file: ${verified.errors.join("; ")}`);
+  }
+
+  const bindingErrors = getBindingErrors(file, expected);
+  if (bindingErrors.length > 0) {
+    throw new Error(bindingErrors.join("; "));
+  }
+  return file;
+}
+
+/**
+ * Reads and parses a distribution file from disk.
+ * @param path path to the distribution JSON
+ * @param expected see parseDistributionFile
+ */
+function loadDistributionFile(path, expected) {
+  return parseDistributionFile(
+    JSON.parse(fs.readFileSync(path, "utf8")),
+    expected
+  );
+}
+
+/**
+ * Reads a distribution file for a MerklePools deployment, rejecting files built for another
+ * chain or proxy and files built on top of a root that is no longer set on chain.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param path path to the distribution JSON
+ * @return the file
+ */
+async function loadDistributionForContract(merklePools, path) {
+  const [{ chainId }, merkleRoot] = await Promise.all([
+    merklePools.provider.getNetwork(),
+    merklePools.merkleRoot(),
+  ]);
+  const file = loadDistributionFile(path, {
+    chainId,
+    contract: merklePools.address,
+  });
+  if (merkleRoot !== file.previousRoot && merkleRoot !== file.merkleRoot) {
+    throw new Error(
+      `Distribution was built on root ${file.previousRoot} but ${merkleRoot} is set on chain`
+    );
+  }
+  return file;
+}
+
+module.exports = {
+  DISTRIBUTION_VERSION,
+  createDistributionFile,
+  validateDistributionFile,
+  getBindingErrors,
+  parseDistributionFile,
+  loadDistributionFile,
+  loadDistributionForContract,
+};
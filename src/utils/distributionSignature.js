@@ -0,0 +1,155 @@
+const fs = require("fs");
+const { BigNumber, utils } = require("ethers");
+const { parseDistributionFile } = require("./distributionFile");
+
+const {
+  getAddress,
+  verifyTypedData,
+  _TypedDataEncoder: TypedDataEncoder,
+} = utils;
+
+const DOMAIN_NAME = "MerklePools Distribution";
+const DOMAIN_VERSION = "1";
+
+// the chain and proxy are bound by the domain, the root commits to every claim
+const DISTRIBUTION_TYPES = {
+  Distribution: [
+    { name: "merkleRoot", type: "bytes32" },
+    { name: "previousRoot", type: "bytes32" },
+    { name: "snapshotBlock", type: "uint256" },
+    { name: "lpTokenTotal", type: "uint256" },
+    { name: "ticTotal", type: "uint256" },
+  ],
+};
+
+/**
+ * @param file a distribution file
+ * @return `{ domain, types, value }` of the EIP-712 message signed for the file
+ */
+function getDistributionTypedData(file) {
+  return {
+    domain: {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: file.chainId,
+      verifyingContract: file.contract,
+    },
+    types: DISTRIBUTION_TYPES,
+    value: {
+      merkleRoot: file.merkleRoot,
+      previousRoot: file.previousRoot,
+      snapshotBlock: file.snapshotBlock,
+      lpTokenTotal: BigNumber.from(file.lpTokenTotal),
+      ticTotal: BigNumber.from(file.ticTotal),
+    },
+  };
+}
+
+/**
+ * @param file a distribution file
+ * @return the EIP-712 digest a signer signs for the file
+ */
+function getDistributionDigest(file) {
+  const { domain, types, value } = getDistributionTypedData(file);
+  return TypedDataEncoder.hash(domain, types, value);
+}
+
+/**
+ * Signs a distribution file. Only local signers are expected, e.g. an ethers Wallet built
+ * from a private key or an encrypted keystore, nothing is sent to a node.
+ * @param file a valid distribution file
+ * @param signer ethers signer supporting `_signTypedData`
+ * @return a copy of the file with the signature added to `signatures`, replacing an earlier
+ * signature of the same signer
+ */
+async function signDistribution(file, signer) {
+  parseDistributionFile(file);
+  const { domain, types, value } = getDistributionTypedData(file);
+  const [address, signature] = await Promise.all([
+    signer.getAddress(),
+    signer._signTypedData(domain, types, value),
+  ]);
+  const others = (file.signatures || []).filter(
+    (each) => each.signer !== getAddress(address)
+  );
+  return {
+    ...file,
+    signatures: [...others, { signer: getAddress(address), signature }].sort(
+      (a, b) => (a.signer.toLowerCase() < b.signer.toLowerCase() ? -1 : 1)
+    ),
+  };
+}
+
+/**
+ * Recovers the signers of a distribution file. A signature that does not recover to the
+ * signer it is listed under, e.g. because the file changed after it was signed, is invalid.
+ * @param file a distribution file
+ * @return `{ signers, errors }` where signers are the addresses with a valid signature
+ */
+function getDistributionSigners(file) {
+  const { domain, types, value } = getDistributionTypedData(file);
+  return (file.signatures || []).reduce(
+    (memo, { signer, signature }) => {
+      let recovered;
+      try {
+        recovered = verifyTypedData(domain, types, value, signature);
+      } catch (e) {
+        recovered = undefined;
+      }
+      if (recovered && recovered === getAddress(signer)) {
+        memo.signers.push(recovered);
+      } else {
+        memo.errors.push(`Invalid signature for ${signer}`);
+      }
+      return memo;
+    },
+    { signers: [], errors: [] }
+  );
+}
+
+/**
+ * Validates a distribution file like parseDistributionFile and refuses it unless it is
+ * signed by at least one allowed signer.
+ * @param file the parsed JSON
+ * @param options.signers addresses allowed to sign distributions
+ * @param options.chainId see getBindingErrors
+ * @param options.contract see getBindingErrors
+ * @return the file
+ */
+function parseSignedDistributionFile(file, { signers = [], ...expected } = {}) {
+  if (signers.length === 0) {
+    throw new Error("No distribution signers are allowed");
+  }
+  parseDistributionFile(file, expected);
+  const allowed = signers.map((signer) => getAddress(signer));
+  const { signers: recovered } = getDistributionSigners(file);
+  if (!recovered.some((signer) => allowed.includes(signer))) {
+    throw new Error(
+      `Distribution ${file.merkleRoot} is not signed by an allowed signer`
+    );
+  }
+  return file;
+}
+
+/**
+ * Reads a distribution file from disk and refuses it unless it is signed by an allowed
+ * signer.
+ * @param path path to the distribution JSON
+ * @param options see parseSignedDistributionFile
+ */
+function loadSignedDistributionFile(path, options) {
+  return parseSignedDistributionFile(
+    JSON.parse(fs.readFileSync(path, "utf8")),
+    options
+  );
+}
+
+module.exports = {
+  DISTRIBUTION_TYPES,
+  getDistributionTypedData,
+  getDistributionDigest,
+  signDistribution,
+  getDistributionSigners,
+  parseSignedDistributionFile,
+  loadSignedDistributionFile,
+};
@@ -0,0 +1,258 @@
+const { BigNumber, utils } = require("ethers");
+
+const { formatEther } = utils;
+
+const ZERO = BigNumber.from(0);
+
+const sum = (values) => values.reduce((total, value) => total.add(value), ZERO);
+
+/**
+ * Reports every account affected by a forfeit and what was sent to the forfeit address.
+ *
+ * `MerklePools.exit` adds the forfeited TIC to the staker's `totalRealizedTIC`, so the next
+ * cumulative totals of a staker who re-enters must start from that inflated baseline. Each
+ * account is listed with the baseline the accounting computed and its next cumulative
+ * totals. With a contract the baselines are checked against `stakes` on chain and every
+ * next claim is checked the way `MerklePools.claim` will check it, so a re-entrant never
+ * gets a claim that is negative or can not be realized.
+ *
+ * Every forfeit stake is listed with what the forfeit policy did with it, and with a
+ * contract its unrealized TIC is reconciled with `getStakeTotalUnclaimed(forfeitAddress,
+ * poolId)`. Under the treasury policy its leaf is checked to be claimable like any other.
+ * LP pending redistribution in a pool that can not allocate another batch is reported as
+ * `stuckLP`, since it would wait for the next batch forever.
+ *
+ * @param accounting a MerklePoolsAccounting replayed up to the snapshot
+ * @param options.merklePools ethers contract for the MerklePools proxy to check against
+ * @param options.blockTag the snapshot block
+ * @return `{ policy, forfeits, accounts, forfeitAddresses, pools, errors }` with amounts as
+ * decimal strings
+ */
+async function buildForfeitReport(
+  accounting,
+  { merklePools, blockTag = "latest" } = {}
+) {
+  const forfeits = accounting.getForfeits();
+  const claims = accounting.getClaims().reduce((memo, claim) => {
+    memo[`${claim.account}:${claim.poolId}`] = claim;
+    return memo;
+  }, {});
+
+  const byAccount = forfeits.reduce((memo, forfeit) => {
+    const key = `${forfeit.account}:${forfeit.poolId}`;
+    memo[key] = [...(memo[key] || []), forfeit];
+    return memo;
+  }, {});
+
+  const errors = [];
+  // see MerklePools.claim, INVALID_CLAIM_AMOUNT and INVALID_UNCLAIMED_AMOUNT
+  const checkClaimable = async (claim) => {
+    const { account, poolId } = claim;
+    const [onChain, unrealized] = await Promise.all([
+      merklePools.stakes(account, poolId, { blockTag }),
+      merklePools.getStakeTotalUnclaimed(account, poolId, { blockTag }),
+    ]);
+    if (
+      claim.totalLPTokenAmount.lte(onChain.totalRealizedLP) ||
+      claim.totalTICAmount.lte(onChain.totalRealizedTIC) ||
+      claim.totalTICAmount.sub(onChain.totalRealizedTIC).gt(unrealized)
+    ) {
+      errors.push(
+        `${account} pool:${poolId} next totals ${claim.totalLPTokenAmount} LP ${claim.totalTICAmount} TIC can not be claimed from ${onChain.totalRealizedLP} LP ${onChain.totalRealizedTIC} TIC realized and ${unrealized} TIC unrealized`
+      );
+    }
+  };
+
+  const accounts = await Promise.all(
+    Object.keys(byAccount).map(async (key) => {
+      const exits = byAccount[key];
+      const { account, poolId } = exits[0];
+      const stake = accounting.stakes[account][String(poolId)];
+      const claim = claims[key];
+      const row = {
+        account,
+        poolId,
+        exits: exits.length,
+        forfeitedTIC: sum(exits.map((each) => each.forfeitedTIC)).toString(),
+        forfeitedLP: sum(
+          exits.map((each) => each.forfeitedAllocatedLP)
+        ).toString(),
+        isReentered: stake.totalDeposited.gt(0),
+        totalRealizedTIC: stake.totalRealizedTIC.toString(),
+        totalRealizedLP: stake.totalRealizedLP.toString(),
+        nextTotalTICAmount: claim ? claim.totalTICAmount.toString() : null,
+        nextTotalLPTokenAmount: claim
+          ? claim.totalLPTokenAmount.toString()
+          : null,
+      };
+      if (!merklePools) {
+        return row;
+      }
+
+      const onChain = await merklePools.stakes(account, poolId, { blockTag });
+      if (
+        !onChain.totalRealizedTIC.eq(stake.totalRealizedTIC) ||
+        !onChain.totalRealizedLP.eq(stake.totalRealizedLP)
+      ) {
+        errors.push(
+          `${account} pool:${poolId} realized ${stake.totalRealizedLP} LP ${stake.totalRealizedTIC} TIC off chain but ${onChain.totalRealizedLP} LP ${onChain.totalRealizedTIC} TIC on chain`
+        );
+      }
+      if (claim) {
+        await checkClaimable(claim);
+      }
+      return row;
+    })
+  );
+
+  const forfeitAddresses = forfeits.reduce((memo, forfeit) => {
+    const pools = memo[forfeit.forfeitAddress] || {};
+    const pool = pools[forfeit.poolId] || { tic: ZERO, lp: ZERO };
+    pools[forfeit.poolId] = {
+      tic: pool.tic.add(forfeit.forfeitedTIC),
+      lp: pool.lp.add(forfeit.forfeitedAllocatedLP),
+    };
+    memo[forfeit.forfeitAddress] = pools;
+    return memo;
+  }, {});
+
+  const addresses = await Promise.all(
+    Object.keys(forfeitAddresses).map(async (address) => ({
+      address,
+      pools: await Promise.all(
+        Object.keys(forfeitAddresses[address]).map(async (poolId) => {
+          const unrealized = accounting.getStakeTotalUnclaimed(address, poolId);
+          const claim = claims[`${address}:${poolId}`];
+          if (merklePools) {
+            const onChain = await merklePools.getStakeTotalUnclaimed(
+              address,
+              poolId,
+              { blockTag }
+            );
+            if (!onChain.eq(unrealized)) {
+              errors.push(
+                `${address} pool:${poolId} holds ${unrealized} forfeited TIC off chain but ${onChain} on chain`
+              );
+            }
+            if (claim) {
+              await checkClaimable(claim);
+            }
+          }
+          return {
+            poolId: Number(poolId),
+            forfeitedTIC: forfeitAddresses[address][poolId].tic.toString(),
+            forfeitedLP: forfeitAddresses[address][poolId].lp.toString(),
+            unrealizedTIC: unrealized.toString(),
+            nextTotalTICAmount: claim ? claim.totalTICAmount.toString() : null,
+            nextTotalLPTokenAmount: claim
+              ? claim.totalLPTokenAmount.toString()
+              : null,
+          };
+        })
+      ),
+    }))
+  );
+
+  const allocations = accounting.getForfeitAllocations();
+  return {
+    policy: accounting.forfeitPolicy,
+    forfeits: forfeits.map((forfeit) => ({
+      ...forfeit,
+      forfeitedTIC: forfeit.forfeitedTIC.toString(),
+      forfeitedAllocatedTIC: forfeit.forfeitedAllocatedTIC.toString(),
+      forfeitedAllocatedLP: forfeit.forfeitedAllocatedLP.toString(),
+      previousRealizedTIC: forfeit.previousRealizedTIC.toString(),
+      totalRealizedTIC: forfeit.totalRealizedTIC.toString(),
+    })),
+    accounts,
+    forfeitAddresses: addresses,
+    pools: Object.keys(allocations).map((poolId) => {
+      const { pendingLP } = allocations[poolId];
+      return {
+        poolId: Number(poolId),
+        redistributedLP: allocations[poolId].redistributedLP.toString(),
+        pendingLP: pendingLP.toString(),
+        stuckLP: (accounting.canAllocateBatch(poolId)
+          ? ZERO
+          : pendingLP
+        ).toString(),
+        unallocatedTIC: allocations[poolId].unallocatedTIC.toString(),
+        unallocatedLP: allocations[poolId].unallocatedLP.toString(),
+      };
+    }),
+    errors,
+  };
+}
+
+/**
+ * Formats a forfeit report for the console.
+ * @param report output of buildForfeitReport
+ * @return the lines of the report
+ */
+function formatForfeitReport(report) {
+  return [
+    `${report.forfeits.length} exits forfeited TIC from ${report.accounts.length} stakes, forfeit policy: ${report.policy}`,
+    ...report.accounts.map(
+      (row) =>
+        `  ${row.account} pool:${row.poolId} exits:${
+          row.exits
+        } forfeited ${formatEther(row.forfeitedTIC)} TIC ${formatEther(
+          row.forfeitedLP
+        )} LP, realized baseline ${formatEther(row.totalRealizedTIC)} TIC${
+          row.isReentered ? " (re-entered)" : ""
+        }${
+          row.nextTotalTICAmount === null
+            ? ""
+            : `, next totals ${formatEther(
+                row.nextTotalLPTokenAmount
+              )} LP ${formatEther(row.nextTotalTICAmount)} TIC`
+        }`
+    ),
+    ...report.forfeitAddresses.reduce(
+      (memo, { address, pools }) => [
+        ...memo,
+        ...pools.map(
+          (pool) =>
+            `  sent to ${address} pool:${pool.poolId} ${formatEther(
+              pool.forfeitedTIC
+            )} TIC ${formatEther(pool.forfeitedLP)} LP, ${formatEther(
+              pool.unrealizedTIC
+            )} TIC unrealized${
+              pool.nextTotalTICAmount === null
+                ? ""
+                : `, treasury leaf ${formatEther(
+                    pool.nextTotalLPTokenAmount
+                  )} LP ${formatEther(pool.nextTotalTICAmount)} TIC`
+            }`
+        ),
+      ],
+      []
+    ),
+    ...report.pools
+      .filter(
+        (pool) =>
+          !BigNumber.from(pool.redistributedLP).isZero() ||
+          !BigNumber.from(pool.pendingLP).isZero() ||
+          !BigNumber.from(pool.unallocatedLP).isZero()
+      )
+      .map(
+        (pool) =>
+          `  pool:${pool.poolId} redistributed ${formatEther(
+            pool.redistributedLP
+          )} LP, ${formatEther(pool.pendingLP)} LP pending, ${formatEther(
+            pool.unallocatedLP
+          )} LP ${formatEther(pool.unallocatedTIC)} TIC unallocated`
+      ),
+    ...report.pools
+      .filter((pool) => !BigNumber.from(pool.stuckLP).isZero())
+      .map(
+        (pool) =>
+          `STUCK: pool:${pool.poolId} ${formatEther(
+            pool.stuckLP
+          )} LP pending redistribution, no stake is left to take another batch of the pool`
+      ),
+    ...report.errors.map((error) => `ERROR: ${error}`),
+  ];
+}
+
+module.exports = { buildForfeitReport, formatForfeitReport };
@@ -0,0 +1,126 @@
+const { BigNumber } = require("ethers");
+const { MerklePoolsAccounting } = require("./MerklePoolsAccounting");
+const { getMerklePoolsEvents } = require("./merklePoolsEvents");
+const { parseBalanceMap } = require("./parseBalanceMap");
+const { snapshotToClaims } = require("./stateSnapshot");
+
+/**
+ * Replays the history of a MerklePools deployment up to a block and builds the
+ * claim distribution for a new merkle root.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param options.fromBlock block to start reading events from (proxy deployment block)
+ * @param options.toBlock snapshot block
+ * @param options.forfeitAddress overrides the forfeit address read from the contract
+ * @param options.forfeitPolicy treasury, redistribute or unallocated, see MerklePoolsAccounting
+ * @param options.events already fetched events, e.g. from an EventIndexer, to replay instead
+ * of querying logs
+ * @param options.poolIds poolIds of LPTokensGenerated events by transaction hash, see
+ * getMerklePoolsEvents
+ * @param options.snapshot a state snapshot at the snapshot block, see stateSnapshot. When
+ * given the claims start from the realized totals in the snapshot and are checked against it
+ * @return `{ accounting, distribution }`, distribution is null when there is nothing to claim
+ */
+async function generateDistribution(
+  merklePools,
+  {
+    fromBlock = 0,
+    toBlock = "latest",
+    forfeitAddress,
+    forfeitPolicy,
+    chunkSize,
+    events,
+    snapshot,
+    poolIds,
+  } = {}
+) {
+  const history =
+    events ||
+    (await getMerklePoolsEvents(merklePools, {
+      fromBlock,
+      toBlock,
+      chunkSize,
+      poolIds,
+    }));
+  if (history.length === 0) {
+    throw new Error("No MerklePools events found");
+  }
+
+  // the initial forfeit address is set in initialize, later changes are replayed from events
+  const initialForfeitAddress =
+    forfeitAddress ||
+    (await merklePools.forfeitAddress({ blockTag: history[0].blockNumber }));
+
+  const accounting = new MerklePoolsAccounting({
+    forfeitAddress: initialForfeitAddress,
+    forfeitPolicy,
+  }).applyEvents(history);
+
+  const claims = snapshot
+    ? snapshotToClaims(snapshot, accounting)
+    : accounting.getClaims();
+  return {
+    accounting,
+    distribution: claims.length > 0 ? parseBalanceMap(claims) : null,
+  };
+}
+
+/**
+ * Compares every claim in a distribution to what the stake has already realized on chain.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution output of parseBalanceMap
+ * @param blockTag block to read the stakes at
+ * @param options.batchSize number of stakes read at once
+ * @return one row per claim with the amounts that are still claimable
+ */
+async function diffRealized(
+  merklePools,
+  distribution,
+  blockTag = "latest",
+  { batchSize = 50 } = {}
+) {
+  const rows = Object.keys(distribution.claims).reduce((memo, account) => {
+    Object.keys(distribution.claims[account]).forEach((poolId) => {
+      memo.push({ account, poolId, ...distribution.claims[account][poolId] });
+    });
+    return memo;
+  }, []);
+
+  const diffRow = async ({
+    account,
+    poolId,
+    totalLPTokenAmount,
+    totalTICAmount,
+  }) => {
+    const stake = await merklePools.stakes(account, poolId, { blockTag });
+    const claimableLP = BigNumber.from(totalLPTokenAmount).sub(
+      stake.totalRealizedLP
+    );
+    const claimableTIC = BigNumber.from(totalTICAmount).sub(
+      stake.totalRealizedTIC
+    );
+    return {
+      account,
+      poolId,
+      totalRealizedLP: stake.totalRealizedLP,
+      totalRealizedTIC: stake.totalRealizedTIC,
+      totalLPTokenAmount: BigNumber.from(totalLPTokenAmount),
+      totalTICAmount: BigNumber.from(totalTICAmount),
+      claimableLP,
+      claimableTIC,
+      // MerklePools.claim reverts with INVALID_CLAIM_AMOUNT otherwise
+      isClaimable: claimableLP.gt(0) && claimableTIC.gt(0),
+    };
+  };
+  // batches run one after the other so the provider is never sent more than batchSize
+  // calls at once
+  const batches = [];
+  for (let i = 0; i < rows.length; i += batchSize) {
+    batches.push(rows.slice(i, i + batchSize));
+  }
+  return batches.reduce(async (previous, batch) => {
+    const diffed = await previous;
+    return [...diffed, ...(await Promise.all(batch.map(diffRow)))];
+  }, Promise.resolve([]));
+}
+
+module.exports = { generateDistribution, diffRealized };
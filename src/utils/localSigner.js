@@ -0,0 +1,25 @@
+const fs = require("fs");
+const { Wallet } = require("ethers");
+
+/**
+ * Loads the local key a task signs with, from an encrypted JSON keystore unlocked with
+ * `<prefix>_PASSWORD`, or else from `<prefix>_PRIVATE_KEY`. Nothing is sent to a node.
+ * @param prefix prefix of the environment variables, e.g. DISTRIBUTION_SIGNER
+ * @param options.keystore path of an encrypted JSON keystore
+ * @return an ethers Wallet
+ */
+async function loadLocalSigner(prefix, { keystore } = {}) {
+  if (keystore) {
+    return Wallet.fromEncryptedJson(
+      fs.readFileSync(keystore, "utf8"),
+      process.env[`${prefix}_PASSWORD`] || ""
+    );
+  }
+  const privateKey = process.env[`${prefix}_PRIVATE_KEY`];
+  if (!privateKey) {
+    throw new Error(`Set ${prefix}_PRIVATE_KEY or pass --keystore to sign`);
+  }
+  return new Wallet(privateKey);
+}
+
+module.exports = { loadLocalSigner };
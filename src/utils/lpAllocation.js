@@ -0,0 +1,144 @@
+const { BigNumber, utils } = require("ethers");
+
+const { getAddress } = utils;
+
+const SCALAR = BigNumber.from(10).pow(18); // FixedPointMath.SCALAR
+const ZERO = BigNumber.from(0);
+
+/**
+ * Splits an amount pro-rata by weight. Every share is floored and the units left over are
+ * handed out one at a time by largest remainder, so the shares always add up to exactly
+ * `total`. Ties go to the larger weight and then to the lower key, which keeps the result
+ * independent of the order of `weights`.
+ * @param total amount to split
+ * @param weights `[{ key, weight }]`, keys must be unique
+ * @return `{ [key]: BigNumber }`, all zero when the total weight is zero
+ */
+function allocateLargestRemainder(total, weights) {
+  const amount = BigNumber.from(total);
+  const totalWeight = weights.reduce(
+    (sum, { weight }) => sum.add(weight),
+    ZERO
+  );
+  const shares = weights.map(({ key, weight }) => {
+    const scaled = amount.mul(weight);
+    return {
+      key,
+      weight: BigNumber.from(weight),
+      share: totalWeight.isZero() ? ZERO : scaled.div(totalWeight),
+      remainder: totalWeight.isZero() ? ZERO : scaled.mod(totalWeight),
+    };
+  });
+  if (totalWeight.isZero()) {
+    return shares.reduce((memo, { key }) => ({ ...memo, [key]: ZERO }), {});
+  }
+
+  const leftover = amount
+    .sub(shares.reduce((sum, { share }) => sum.add(share), ZERO))
+    .toNumber();
+  const ranked = [...shares].sort((a, b) => {
+    if (!a.remainder.eq(b.remainder)) {
+      return a.remainder.gt(b.remainder) ? -1 : 1;
+    }
+    if (!a.weight.eq(b.weight)) {
+      return a.weight.gt(b.weight) ? -1 : 1;
+    }
+    return a.key.toLowerCase() < b.key.toLowerCase() ? -1 : 1;
+  });
+  ranked.slice(0, leftover).forEach((entry) => {
+    entry.share = entry.share.add(1);
+  });
+
+  return shares.reduce(
+    (memo, { key, share }) => ({ ...memo, [key]: share }),
+    {}
+  );
+}
+
+/**
+ * Allocates one `LPTokensGenerated` batch to the stakers of its pool pro-rata by the TIC
+ * they had unrealized and not yet backed by LP at the batch block.
+ *
+ * No stake is allocated more TIC than it had available, otherwise its claim would revert.
+ * If the batch consumed more TIC than the stakes had available (rounding dust between the
+ * pool and stake accumulators) the excess stays unallocated, as does all of a batch
+ * generated while no stake had anything available.
+ *
+ * @param batch `{ poolId, lpAmountCreated, ticConsumed }` plus any fields to keep for audit
+ * (block number, transaction hash, timestamp)
+ * @param available `[{ account, amount }]` TIC each stake had available at the batch block
+ * @return the batch with `lpPerTIC` (18 decimals fixed point), `allocations` as
+ * `[{ account, available, tic, lp }]` sorted by account and the unallocated amounts
+ */
+function allocateBatch(batch, available) {
+  const lpAmountCreated = BigNumber.from(batch.lpAmountCreated);
+  const ticConsumed = BigNumber.from(batch.ticConsumed);
+  const stakes = available
+    .map(({ account, amount }) => ({
+      account: getAddress(account),
+      amount: BigNumber.from(amount),
+    }))
+    .filter(({ amount }) => amount.gt(0))
+    .sort((a, b) =>
+      a.account.toLowerCase() < b.account.toLowerCase() ? -1 : 1
+    );
+  const totalAvailable = stakes.reduce(
+    (sum, { amount }) => sum.add(amount),
+    ZERO
+  );
+
+  const weights = stakes.map(({ account, amount }) => ({
+    key: account,
+    weight: amount,
+  }));
+  const ticToAllocate = ticConsumed.gt(totalAvailable)
+    ? totalAvailable
+    : ticConsumed;
+  const tic = allocateLargestRemainder(ticToAllocate, weights);
+  const lp = allocateLargestRemainder(lpAmountCreated, weights);
+
+  return {
+    ...batch,
+    lpAmountCreated,
+    ticConsumed,
+    lpPerTIC: ticConsumed.isZero()
+      ? ZERO
+      : lpAmountCreated.mul(SCALAR).div(ticConsumed),
+    allocations: stakes.map(({ account, amount }) => ({
+      account,
+      available: amount,
+      tic: tic[account],
+      lp: lp[account],
+    })),
+    unallocatedTIC: ticConsumed.sub(ticToAllocate),
+    unallocatedLP: totalAvailable.isZero() ? lpAmountCreated : ZERO,
+  };
+}
+
+/**
+ * Converts allocated batches to JSON with amounts as decimal strings.
+ * @param batches output of allocateBatch
+ */
+function serializeBatches(batches) {
+  const toString = (value) =>
+    BigNumber.isBigNumber(value) ? value.toString() : value;
+  return batches.map((batch) =>
+    Object.keys(batch).reduce((memo, key) => {
+      memo[key] =
+        key === "allocations"
+          ? batch.allocations.map((allocation) =>
+              Object.keys(allocation).reduce(
+                (row, field) => ({
+                  ...row,
+                  [field]: toString(allocation[field]),
+                }),
+                {}
+              )
+            )
+          : toString(batch[key]);
+      return memo;
+    }, {})
+  );
+}
+
+module.exports = { allocateLargestRemainder, allocateBatch, serializeBatches };
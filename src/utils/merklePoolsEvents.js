@@ -0,0 +1,181 @@
+const { BigNumber } = require("ethers");
+
+/**
+ * Finds every generateLPTokens call to the proxy in the calldata of a transaction. Governance
+ * is a multisig, so the call is usually wrapped, e.g. in the `data` of a Safe execTransaction
+ * or a MultiSend, and the selector is searched for anywhere in the input.
+ * @return the `_poolId` of every call found, in calldata order
+ */
+const findPoolIdsInCalldata = (merklePools, tx) => {
+  const fragment = merklePools.interface.getFunction("generateLPTokens");
+  const selector = merklePools.interface.getSighash(fragment).slice(2);
+  const poolIds = [];
+  for (
+    let offset = tx.data.indexOf(selector, 2);
+    offset !== -1;
+    offset = tx.data.indexOf(selector, offset + 2)
+  ) {
+    // calldata is byte aligned
+    if (offset % 2 === 0) {
+      try {
+        poolIds.push(
+          merklePools.interface.decodeFunctionData(
+            fragment,
+            `0x${tx.data.slice(offset)}`
+          )._poolId
+        );
+      } catch (e) {
+        // the selector bytes were part of another value
+      }
+    }
+  }
+  return poolIds;
+};
+
+/**
+ * Finds every generateLPTokens call to the proxy in the call trace of a transaction, for
+ * wrappers that do not carry the calldata as is. Needs a node that supports the callTracer.
+ * @return the `_poolId` of every call found, in call order, or undefined without a trace
+ */
+const findPoolIdsInTrace = async (merklePools, hash) => {
+  let trace;
+  try {
+    trace = await merklePools.provider.send("debug_traceTransaction", [
+      hash,
+      { tracer: "callTracer" },
+    ]);
+  } catch (e) {
+    return undefined;
+  }
+  const address = merklePools.address.toLowerCase();
+  const selector = merklePools.interface.getSighash("generateLPTokens");
+  const walk = (call) => [
+    ...(call.to &&
+    call.to.toLowerCase() === address &&
+    call.input &&
+    call.input.startsWith(selector)
+      ? [
+          merklePools.interface.decodeFunctionData(
+            "generateLPTokens",
+            call.input
+          )._poolId,
+        ]
+      : []),
+    ...(call.calls || []).reduce(
+      (memo, inner) => [...memo, ...walk(inner)],
+      []
+    ),
+  ];
+  return trace ? walk(trace) : undefined;
+};
+
+/**
+ * Recovers the `_poolId` of the generateLPTokens call behind each LPTokensGenerated event of a
+ * transaction. The event does not carry it, so it is read from an override, the calldata of
+ * the transaction or its call trace, in that order.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param hash the transaction hash
+ * @param count number of LPTokensGenerated events the transaction emitted
+ * @param poolIds overrides keyed by transaction hash, a poolId or one per event in log order
+ * @return one poolId per event, in log order
+ */
+async function getGeneratedPoolIds(merklePools, hash, count, poolIds = {}) {
+  if (poolIds[hash] !== undefined) {
+    const override = [].concat(poolIds[hash]).map((id) => BigNumber.from(id));
+    if (override.length !== count) {
+      throw new Error(
+        `${count} LPTokensGenerated events in ${hash} but ${override.length} poolIds given`
+      );
+    }
+    return override;
+  }
+
+  const tx = await merklePools.provider.getTransaction(hash);
+  if (tx.to && tx.to.toLowerCase() === merklePools.address.toLowerCase()) {
+    return [merklePools.interface.parseTransaction(tx).args._poolId];
+  }
+  const fromCalldata = findPoolIdsInCalldata(merklePools, tx);
+  if (fromCalldata.length === count) {
+    return fromCalldata;
+  }
+  const fromTrace = await findPoolIdsInTrace(merklePools, hash);
+  if (fromTrace && fromTrace.length === count) {
+    return fromTrace;
+  }
+  throw new Error(
+    `Can not recover the poolId of the LPTokensGenerated events in ${hash}: ` +
+      `no generateLPTokens call to ${merklePools.address} found in its calldata or trace. ` +
+      "Pass the poolId in the poolIds override (merkle:generate --pool-ids)"
+  );
+}
+
+/**
+ * Fetches every MerklePools event emitted between two blocks in chain order. Each event is
+ * decorated with the `timestamp` of its block and, for `LPTokensGenerated`, the `poolId`
+ * of the `generateLPTokens` call so that it can be replayed by MerklePoolsAccounting.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param options.fromBlock first block to read, should be at or before the proxy deployment
+ * @param options.toBlock last block to read (inclusive)
+ * @param options.chunkSize max number of blocks to request logs for at once
+ * @param options.poolIds poolIds of LPTokensGenerated events keyed by transaction hash, for
+ * calls made through a wrapper that neither the calldata nor a trace can be decoded from
+ */
+async function getMerklePoolsEvents(
+  merklePools,
+  { fromBlock = 0, toBlock = "latest", chunkSize = 5000, poolIds = {} } = {}
+) {
+  const { provider } = merklePools;
+  const lastBlock =
+    toBlock === "latest" ? await provider.getBlockNumber() : Number(toBlock);
+
+  const events = [];
+  for (let start = Number(fromBlock); start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    // eslint-disable-next-line no-await-in-loop
+    const chunk = await merklePools.queryFilter("*", start, end);
+    events.push(...chunk.filter(({ event }) => event !== undefined));
+  }
+
+  // a multisig may generate LP for several pools in one transaction
+  const generated = events
+    .filter(({ event }) => event === "LPTokensGenerated")
+    .reduce((memo, { transactionHash }) => {
+      memo[transactionHash] = (memo[transactionHash] || 0) + 1;
+      return memo;
+    }, {});
+  const generatedPoolIds = {};
+  Object.keys(generated).forEach((hash) => {
+    generatedPoolIds[hash] = getGeneratedPoolIds(
+      merklePools,
+      hash,
+      generated[hash],
+      poolIds
+    );
+  });
+  const seen = {};
+
+  const timestamps = {};
+  return Promise.all(
+    events.map(async (event) => {
+      if (!timestamps[event.blockNumber]) {
+        timestamps[event.blockNumber] = provider
+          .getBlock(event.blockNumber)
+          .then(({ timestamp }) => timestamp);
+      }
+      let poolId;
+      if (event.event === "LPTokensGenerated") {
+        const { transactionHash } = event;
+        const position = seen[transactionHash] || 0;
+        seen[transactionHash] = position + 1;
+        poolId = (await generatedPoolIds[transactionHash])[position];
+      }
+      return {
+        ...event,
+        timestamp: await timestamps[event.blockNumber],
+        poolId,
+      };
+    })
+  );
+}
+
+module.exports = { getMerklePoolsEvents, getGeneratedPoolIds };
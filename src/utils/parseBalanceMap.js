@@ -3,84 +3,138 @@ const { BalanceTree } = require("./BalanceTree");
 
 const { isAddress, getAddress } = utils;
 
-// This is the blob that gets distributed and pinned to IPFS.
-// It is completely sufficient for recreating the entire merkle tree.
-// Anyone can verify that all claims are included in the tree,
-// and the tree has no additional distributions.
-// interface MerkleDistributorInfo {
-//   merkleRoot: string
-//   tokenTotal: string
-//   claims: {
-//     [account: string]: {
-//       index: number
-//       poolId: number
-//       totalLPTokenAmount: string
-//       totalTICAmount: string
-//       proof: string[]
-//       flags?: {
-//         [flag: string]: boolean
-//       }
-//     }
-//   }
-// }
-// TODO: update to allow an address to have multiple claims per pool
+// The output holds the root, totals and claims of a distribution and is published wrapped
+// in the versioned format of distributionFile.js which binds it to a chain and contract.
 
-function parseBalanceMap(balances) {
-  // if balances are in an old format, process them
-  const balancesInNewFormat = Array.isArray(balances)
-    ? balances
-    : Object.keys(balances).map((account) => ({
-        address: account,
-        earnings: `0x${balances[account].toString(16)}`,
-      }));
+/**
+ * Normalizes the supported input formats into a flat list of entries.
+ * Balances may be provided as an array of
+ * `{ account, poolId, totalLPTokenAmount, totalTICAmount, flags? }` or as a map of
+ * `{ [account]: { [poolId]: { totalLPTokenAmount, totalTICAmount, flags? } } }`
+ * @param balances the balances to normalize
+ */
+function toEntries(balances) {
+  if (Array.isArray(balances)) {
+    return balances;
+  }
+  return Object.keys(balances).reduce((memo, account) => {
+    Object.keys(balances[account]).forEach((poolId) => {
+      memo.push({ account, poolId, ...balances[account][poolId] });
+    });
+    return memo;
+  }, []);
+}
 
-  const dataByAddress = balancesInNewFormat.reduce(
-    (memo, { address: account, earnings }) => {
+function parseBalanceMap(balances) {
+  const dataByClaim = toEntries(balances).reduce(
+    (memo, { account, poolId, totalLPTokenAmount, totalTICAmount, flags }) => {
       if (!isAddress(account)) {
         throw new Error(`Found invalid address: ${account}`);
       }
       const parsed = getAddress(account);
-      if (memo[parsed]) throw new Error(`Duplicate address: ${parsed}`);
-      const parsedNum = BigNumber.from(earnings);
-      if (parsedNum.lte(0))
-        throw new Error(`Invalid amount for account: ${account}`);
+      const parsedPoolId = BigNumber.from(poolId);
+      if (parsedPoolId.lt(0)) {
+        throw new Error(`Invalid pool id for account: ${account}`);
+      }
+      const key = `${parsed}-${parsedPoolId.toString()}`;
+      if (memo[key]) {
+        throw new Error(
+          `Duplicate claim: ${parsed} pool ${parsedPoolId.toString()}`
+        );
+      }
+      const parsedLP = BigNumber.from(totalLPTokenAmount);
+      const parsedTIC = BigNumber.from(totalTICAmount);
+      // MerklePools.claim requires both totals to be strictly above what has already been realized
+      if (parsedLP.lte(0) || parsedTIC.lte(0)) {
+        throw new Error(
+          `Invalid amount for account: ${account} pool ${parsedPoolId.toString()}`
+        );
+      }
 
-      memo[parsed] = { amount: parsedNum };
+      memo[key] = {
+        account: parsed,
+        poolId: parsedPoolId,
+        totalLPTokenAmount: parsedLP,
+        totalTICAmount: parsedTIC,
+        flags,
+      };
       return memo;
     },
     {}
   );
 
-  const sortedAddresses = Object.keys(dataByAddress).sort();
+  // sort by address and then by pool id so that indexes are deterministic
+  const sortedClaims = Object.values(dataByClaim).sort((a, b) => {
+    if (a.account !== b.account) {
+      return a.account < b.account ? -1 : 1;
+    }
+    if (a.poolId.eq(b.poolId)) {
+      return 0;
+    }
+    return a.poolId.lt(b.poolId) ? -1 : 1;
+  });
 
   // construct a tree
-  const tree = new BalanceTree(
-    sortedAddresses.map((address) => ({
-      account: address,
-      amount: dataByAddress[address].amount,
-    }))
-  );
+  const tree = new BalanceTree(sortedClaims);
 
   // generate claims
-  const claims = sortedAddresses.reduce((memo, address, index) => {
-    const { amount, flags } = dataByAddress[address];
-    memo[address] = {
+  const claims = sortedClaims.reduce((memo, claim, index) => {
+    const { account, poolId, totalLPTokenAmount, totalTICAmount, flags } =
+      claim;
+    if (!memo[account]) {
+      memo[account] = {};
+    }
+    memo[account][poolId.toString()] = {
       index,
-      amount: amount.toHexString(),
-      proof: tree.getProof(index, address, amount),
+      totalLPTokenAmount: totalLPTokenAmount.toHexString(),
+      totalTICAmount: totalTICAmount.toHexString(),
+      proof: tree.getProof(
+        index,
+        account,
+        poolId,
+        totalLPTokenAmount,
+        totalTICAmount
+      ),
       ...(flags ? { flags } : {}),
     };
     return memo;
   }, {});
 
-  const tokenTotal = sortedAddresses.reduce(
-    (memo, key) => memo.add(dataByAddress[key].amount),
+  const poolTotals = sortedClaims.reduce((memo, claim) => {
+    const poolId = claim.poolId.toString();
+    const current = memo[poolId] || {
+      totalLPTokenAmount: BigNumber.from(0),
+      totalTICAmount: BigNumber.from(0),
+    };
+    memo[poolId] = {
+      totalLPTokenAmount: current.totalLPTokenAmount.add(
+        claim.totalLPTokenAmount
+      ),
+      totalTICAmount: current.totalTICAmount.add(claim.totalTICAmount),
+    };
+    return memo;
+  }, {});
+
+  const lpTokenTotal = Object.values(poolTotals).reduce(
+    (memo, total) => memo.add(total.totalLPTokenAmount),
+    BigNumber.from(0)
+  );
+  const ticTotal = Object.values(poolTotals).reduce(
+    (memo, total) => memo.add(total.totalTICAmount),
     BigNumber.from(0)
   );
 
   return {
     merkleRoot: tree.getHexRoot(),
-    tokenTotal: tokenTotal.toHexString(),
+    lpTokenTotal: lpTokenTotal.toHexString(),
+    ticTotal: ticTotal.toHexString(),
+    poolTotals: Object.keys(poolTotals).reduce((memo, poolId) => {
+      memo[poolId] = {
+        totalLPTokenAmount: poolTotals[poolId].totalLPTokenAmount.toHexString(),
+        totalTICAmount: poolTotals[poolId].totalTICAmount.toHexString(),
+      };
+      return memo;
+    }, {}),
     claims,
   };
 }
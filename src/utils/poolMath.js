@@ -0,0 +1,279 @@
+// Exact BigInt ports of the FixedPointMath, Pool / Stake (StakingPools) and
+// MerklePool / MerkleStake (MerklePools) libraries.
+//
+// Structs are plain objects holding bigints with the same field names as the solidity
+// structs and FixedDecimal values are `{ x }`. Functions that read `block.timestamp` take
+// the timestamp as their last argument, and `update` functions mutate their struct like
+// their storage counterparts do. Anything that reverts on chain throws.
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const MAX_UINT256 = BigInt(2) ** BigInt(256) - ONE;
+
+/**
+ * Converts a BigNumber, number, string or bigint to a bigint.
+ * @param value the value to convert
+ */
+function toBigInt(value) {
+  if (typeof value === "bigint") {
+    return value;
+  }
+  return BigInt(value.toString());
+}
+
+// solidity 0.8 checked arithmetic
+function uint256(value) {
+  if (value < ZERO || value > MAX_UINT256) {
+    throw new Error("Arithmetic overflow");
+  }
+  return value;
+}
+
+const DECIMALS = BigInt(18);
+const SCALAR = BigInt(10) ** DECIMALS;
+
+const FixedPointMath = {
+  DECIMALS,
+  SCALAR,
+
+  fromU256(value) {
+    return { x: uint256(toBigInt(value) * SCALAR) };
+  },
+
+  maximumValue() {
+    return { x: MAX_UINT256 };
+  },
+
+  add(self, value) {
+    const other =
+      typeof value === "object" && "x" in value
+        ? value
+        : FixedPointMath.fromU256(value);
+    return { x: uint256(self.x + other.x) };
+  },
+
+  sub(self, value) {
+    const other =
+      typeof value === "object" && "x" in value
+        ? value
+        : FixedPointMath.fromU256(value);
+    return { x: uint256(self.x - other.x) };
+  },
+
+  mul(self, value) {
+    return { x: uint256(self.x * toBigInt(value)) };
+  },
+
+  div(self, value) {
+    const divisor = toBigInt(value);
+    if (divisor === ZERO) {
+      throw new Error("Division by zero");
+    }
+    return { x: self.x / divisor };
+  },
+
+  cmp(self, value) {
+    if (self.x < value.x) {
+      return -1;
+    }
+    if (self.x > value.x) {
+      return 1;
+    }
+    return 0;
+  },
+
+  decode(self) {
+    return self.x / SCALAR;
+  },
+};
+
+function getRewardRate(pool, ctx) {
+  if (ctx.totalRewardWeight === ZERO) {
+    return ZERO;
+  }
+  return uint256(ctx.rewardRate * pool.rewardWeight) / ctx.totalRewardWeight;
+}
+
+const Pool = {
+  getRewardRate,
+
+  getUpdatedAccumulatedRewardWeight(pool, ctx, timestamp) {
+    if (pool.totalDeposited === ZERO) {
+      return pool.accumulatedRewardWeight;
+    }
+
+    const elapsedTime = uint256(timestamp - pool.lastUpdatedBlockTimestamp);
+    if (elapsedTime === ZERO) {
+      return pool.accumulatedRewardWeight;
+    }
+
+    const amountToDistribute = uint256(getRewardRate(pool, ctx) * elapsedTime);
+    if (amountToDistribute === ZERO) {
+      return pool.accumulatedRewardWeight;
+    }
+
+    const rewardWeight = FixedPointMath.div(
+      FixedPointMath.fromU256(amountToDistribute),
+      pool.totalDeposited
+    );
+    return FixedPointMath.add(pool.accumulatedRewardWeight, rewardWeight);
+  },
+
+  update(pool, ctx, timestamp) {
+    pool.accumulatedRewardWeight = Pool.getUpdatedAccumulatedRewardWeight(
+      pool,
+      ctx,
+      timestamp
+    );
+    pool.lastUpdatedBlockTimestamp = timestamp;
+  },
+};
+
+const Stake = {
+  getUpdatedTotalUnclaimed(stake, pool, ctx, timestamp) {
+    const currentAccumulatedWeight = Pool.getUpdatedAccumulatedRewardWeight(
+      pool,
+      ctx,
+      timestamp
+    );
+    if (
+      FixedPointMath.cmp(
+        currentAccumulatedWeight,
+        stake.lastAccumulatedWeight
+      ) === 0
+    ) {
+      return stake.totalUnclaimed;
+    }
+
+    const amountToDistribute = FixedPointMath.decode(
+      FixedPointMath.mul(
+        FixedPointMath.sub(
+          currentAccumulatedWeight,
+          stake.lastAccumulatedWeight
+        ),
+        stake.totalDeposited
+      )
+    );
+    return uint256(stake.totalUnclaimed + amountToDistribute);
+  },
+
+  update(stake, pool, ctx, timestamp) {
+    stake.totalUnclaimed = Stake.getUpdatedTotalUnclaimed(
+      stake,
+      pool,
+      ctx,
+      timestamp
+    );
+    stake.lastAccumulatedWeight = Pool.getUpdatedAccumulatedRewardWeight(
+      pool,
+      ctx,
+      timestamp
+    );
+  },
+};
+
+const MerklePool = {
+  getRewardRate,
+
+  getUpdatedAccumulatedRewardWeight(pool, ctx, timestamp) {
+    if (pool.totalDeposited === ZERO) {
+      return pool.accumulatedRewardWeight;
+    }
+    const amountToDistribute = MerklePool.getUpdatedAmountToDistribute(
+      pool,
+      ctx,
+      timestamp
+    );
+    if (amountToDistribute === ZERO) {
+      return pool.accumulatedRewardWeight;
+    }
+
+    const rewardWeight = FixedPointMath.div(
+      FixedPointMath.fromU256(amountToDistribute),
+      pool.totalDeposited
+    );
+    return FixedPointMath.add(pool.accumulatedRewardWeight, rewardWeight);
+  },
+
+  getUpdatedAmountToDistribute(pool, ctx, timestamp) {
+    const elapsedTime = uint256(timestamp - pool.lastUpdatedBlockTimestamp);
+    if (elapsedTime === ZERO) {
+      return ZERO;
+    }
+    return uint256(getRewardRate(pool, ctx) * elapsedTime);
+  },
+
+  getUpdatedTotalUnclaimed(pool, ctx, timestamp) {
+    if (pool.totalDeposited === ZERO) {
+      return pool.totalUnclaimedTIC;
+    }
+    return uint256(
+      pool.totalUnclaimedTIC +
+        MerklePool.getUpdatedAmountToDistribute(pool, ctx, timestamp)
+    );
+  },
+
+  update(pool, ctx, timestamp) {
+    pool.accumulatedRewardWeight = MerklePool.getUpdatedAccumulatedRewardWeight(
+      pool,
+      ctx,
+      timestamp
+    );
+    pool.totalUnclaimedTIC = MerklePool.getUpdatedTotalUnclaimed(
+      pool,
+      ctx,
+      timestamp
+    );
+    pool.lastUpdatedBlockTimestamp = timestamp;
+  },
+};
+
+const MerkleStake = {
+  getUpdatedTotalUnclaimed(stake, pool, ctx, timestamp) {
+    const currentAccumulatedWeight =
+      MerklePool.getUpdatedAccumulatedRewardWeight(pool, ctx, timestamp);
+    if (
+      FixedPointMath.cmp(
+        currentAccumulatedWeight,
+        stake.lastAccumulatedWeight
+      ) === 0
+    ) {
+      return stake.totalUnrealized;
+    }
+
+    const amountToDistribute = FixedPointMath.decode(
+      FixedPointMath.mul(
+        FixedPointMath.sub(
+          currentAccumulatedWeight,
+          stake.lastAccumulatedWeight
+        ),
+        stake.totalDeposited
+      )
+    );
+    return uint256(stake.totalUnrealized + amountToDistribute);
+  },
+
+  update(stake, pool, ctx, timestamp) {
+    stake.totalUnrealized = MerkleStake.getUpdatedTotalUnclaimed(
+      stake,
+      pool,
+      ctx,
+      timestamp
+    );
+    stake.lastAccumulatedWeight = MerklePool.getUpdatedAccumulatedRewardWeight(
+      pool,
+      ctx,
+      timestamp
+    );
+  },
+};
+
+module.exports = {
+  MAX_UINT256,
+  toBigInt,
+  FixedPointMath,
+  Pool,
+  Stake,
+  MerklePool,
+  MerkleStake,
+};
@@ -0,0 +1,266 @@
+const { BigNumber, utils } = require("ethers");
+const { BalanceTree } = require("./BalanceTree");
+const { MerkleTree } = require("./MerkleTree");
+
+const { getAddress, isAddress } = utils;
+
+const toBuffer = (hex) => Buffer.from(hex.slice(2), "hex");
+const toHex = (buffer) => `0x${buffer.toString("hex")}`;
+
+/**
+ * Hashes a leaf up its proof the way MerkleProof.verify does, keeping every step.
+ * @return `{ leaf, steps: [{ sibling, hash }], root }` as hex strings
+ */
+function walkProof(index, account, poolId, claim) {
+  const leaf = BalanceTree.toNode(
+    index,
+    account,
+    poolId,
+    claim.totalLPTokenAmount,
+    claim.totalTICAmount
+  );
+  const steps = [];
+  const root = claim.proof.reduce((node, sibling) => {
+    const hash = MerkleTree.combinedHash(node, toBuffer(sibling));
+    steps.push({ sibling, hash: toHex(hash) });
+    return hash;
+  }, leaf);
+  return { leaf: toHex(leaf), steps, root: toHex(root) };
+}
+
+/**
+ * Finds the claims of an account in a distribution. Distribution files key claims by
+ * checksummed address, a file keyed otherwise is still searched so the mismatch can be
+ * reported.
+ * @return `{ key, claims }` where key is the address the claims were found under
+ */
+function findClaims(distribution, account) {
+  if (distribution.claims[account]) {
+    return { key: account, claims: distribution.claims[account] };
+  }
+  const key = Object.keys(distribution.claims).find(
+    (each) => each.toLowerCase() === account.toLowerCase()
+  );
+  return key ? { key, claims: distribution.claims[key] } : { key: undefined };
+}
+
+/**
+ * Explains why `MerklePools.claim` fails, or would fail, for an account and pool.
+ *
+ * The leaf is rebuilt with `BalanceTree.toNode` and hashed up the proof step by step. If
+ * the proof does not lead to the distribution root every index of the tree is tried, to
+ * tell a wrong index apart from a bad proof. The root is then compared to `merkleRoot` on
+ * chain and the totals to the stake. Like `claim`, the report stops at the first check
+ * that fails, checksum mismatches aside since they do not make `claim` revert.
+ *
+ * Every cause has a code: INVALID_ADDRESS, CHECKSUM_CASE, UNKNOWN_POOL, NO_CLAIM,
+ * WRONG_INDEX, INVALID_PROOF, ROOT_NOT_SET, STALE_ROOT, CLAIMS_DISABLED,
+ * INVALID_CLAIM_AMOUNT or INVALID_UNCLAIMED_AMOUNT.
+ *
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution a distribution file or the output of parseBalanceMap
+ * @param address the staker, as the user reported it
+ * @param poolId the pool
+ * @param options.blockTag block to read the contract at
+ * @return `{ account, poolId, claim, leaf, steps, computedRoot, merkleRoot, onChainRoot,
+ * stake, totalUnrealized, causes: [{ code, message }] }`
+ */
+async function debugClaim(
+  merklePools,
+  distribution,
+  address,
+  poolId,
+  { blockTag = "latest" } = {}
+) {
+  const causes = [];
+  const report = {
+    poolId: Number(poolId),
+    merkleRoot: distribution.merkleRoot,
+  };
+
+  if (!isAddress(address)) {
+    if (!isAddress(address.toLowerCase())) {
+      return {
+        ...report,
+        account: address,
+        causes: [
+          { code: "INVALID_ADDRESS", message: `${address} is not an address` },
+        ],
+      };
+    }
+    causes.push({
+      code: "CHECKSUM_CASE",
+      message: `${address} has an invalid EIP-55 checksum, it should be ${getAddress(
+        address.toLowerCase()
+      )}`,
+    });
+  }
+  const account = getAddress(address.toLowerCase());
+  report.account = account;
+
+  const [onChainRoot, isClaimsEnabled, stake, totalUnrealized] =
+    await Promise.all([
+      merklePools.merkleRoot({ blockTag }),
+      merklePools.isClaimsEnabled({ blockTag }),
+      merklePools.stakes(account, poolId, { blockTag }),
+      // reverts for a pool that does not exist
+      merklePools
+        .getStakeTotalUnclaimed(account, poolId, { blockTag })
+        .catch(async (e) => {
+          const poolCount = await merklePools.poolCount({ blockTag });
+          if (poolCount.gt(poolId)) {
+            throw e;
+          }
+          return undefined;
+        }),
+    ]);
+  if (totalUnrealized === undefined) {
+    causes.push({
+      code: "UNKNOWN_POOL",
+      message: `Pool ${poolId} does not exist on ${merklePools.address}`,
+    });
+    return { ...report, causes };
+  }
+  Object.assign(report, {
+    onChainRoot,
+    stake: {
+      totalRealizedLP: stake.totalRealizedLP,
+      totalRealizedTIC: stake.totalRealizedTIC,
+      totalUnrealized: stake.totalUnrealized,
+    },
+    totalUnrealized,
+  });
+
+  const { key, claims } = findClaims(distribution, account);
+  if (key !== undefined && key !== account) {
+    causes.push({
+      code: "CHECKSUM_CASE",
+      message: `Claims are keyed by ${key} instead of the checksummed ${account}, lookups by checksummed address miss them`,
+    });
+  }
+  const claim = claims && claims[String(poolId)];
+  if (!claim) {
+    causes.push({
+      code: "NO_CLAIM",
+      message: `${account} has no claim in pool ${poolId} under root ${distribution.merkleRoot}`,
+    });
+    return { ...report, causes };
+  }
+  report.claim = claim;
+
+  // 1. the proof, as MerkleProof.verify would walk it against the distribution root
+  const walked = walkProof(claim.index, account, poolId, claim);
+  Object.assign(report, {
+    leaf: walked.leaf,
+    steps: walked.steps,
+    computedRoot: walked.root,
+  });
+  if (walked.root !== distribution.merkleRoot) {
+    const leafCount = Object.values(distribution.claims).reduce(
+      (count, byPool) => count + Object.keys(byPool).length,
+      0
+    );
+    const index = [...Array(leafCount).keys()].find(
+      (candidate) =>
+        walkProof(candidate, account, poolId, claim).root ===
+        distribution.merkleRoot
+    );
+    causes.push(
+      index !== undefined
+        ? {
+            code: "WRONG_INDEX",
+            message: `The proof is for index ${index} but the claim uses index ${claim.index}`,
+          }
+        : {
+            code: "INVALID_PROOF",
+            message: `The proof leads to ${walked.root} instead of the distribution root ${distribution.merkleRoot}`,
+          }
+    );
+    return { ...report, causes };
+  }
+
+  // 2. the root set on chain
+  if (!isClaimsEnabled) {
+    causes.push({
+      code: "CLAIMS_DISABLED",
+      message: "Claims are not enabled, no merkle root has been set yet",
+    });
+  } else if (onChainRoot !== distribution.merkleRoot) {
+    causes.push(
+      onChainRoot === distribution.previousRoot
+        ? {
+            code: "ROOT_NOT_SET",
+            message: `Governance has not set ${distribution.merkleRoot} yet, ${onChainRoot} is still on chain`,
+          }
+        : {
+            code: "STALE_ROOT",
+            message: `The distribution root ${distribution.merkleRoot} is not the root on chain ${onChainRoot}`,
+          }
+    );
+  }
+  if (!isClaimsEnabled || onChainRoot !== distribution.merkleRoot) {
+    return { ...report, causes };
+  }
+
+  // 3. the totals against the stake, see MerklePools.claim
+  const totalLP = BigNumber.from(claim.totalLPTokenAmount);
+  const totalTIC = BigNumber.from(claim.totalTICAmount);
+  if (totalLP.lte(stake.totalRealizedLP)) {
+    causes.push({
+      code: "INVALID_CLAIM_AMOUNT",
+      message: `totalLPTokenAmount ${totalLP} is not above totalRealizedLP ${stake.totalRealizedLP}`,
+    });
+  }
+  if (totalTIC.lte(stake.totalRealizedTIC)) {
+    causes.push({
+      code: "INVALID_CLAIM_AMOUNT",
+      message: `totalTICAmount ${totalTIC} is not above totalRealizedTIC ${stake.totalRealizedTIC}`,
+    });
+  } else if (totalTIC.sub(stake.totalRealizedTIC).gt(totalUnrealized)) {
+    causes.push({
+      code: "INVALID_UNCLAIMED_AMOUNT",
+      message: `The claim realizes ${totalTIC.sub(
+        stake.totalRealizedTIC
+      )} TIC but only ${totalUnrealized} is unrealized`,
+    });
+  }
+
+  return { ...report, causes };
+}
+
+/**
+ * Formats a debugClaim report for the console.
+ * @param report output of debugClaim
+ * @return the lines of the report
+ */
+function formatClaimDebug(report) {
+  const lines = [`${report.account} pool:${report.poolId}`];
+  if (report.claim) {
+    lines.push(
+      `claim index:${report.claim.index} LP:${BigNumber.from(
+        report.claim.totalLPTokenAmount
+      )} TIC:${BigNumber.from(report.claim.totalTICAmount)}`,
+      `leaf ${report.leaf}`,
+      ...report.steps.map(
+        ({ sibling, hash }, i) => `  ${i + 1}. + ${sibling} -> ${hash}`
+      ),
+      `computed root     ${report.computedRoot}`,
+      `distribution root ${report.merkleRoot}`
+    );
+  }
+  if (report.onChainRoot) {
+    lines.push(
+      `on chain root     ${report.onChainRoot}`,
+      `realized LP:${report.stake.totalRealizedLP} TIC:${report.stake.totalRealizedTIC} unrealized TIC:${report.totalUnrealized}`
+    );
+  }
+  if (report.causes.length === 0) {
+    lines.push("OK: the claim should succeed");
+  }
+  return [
+    ...lines,
+    ...report.causes.map(({ code, message }) => `${code}: ${message}`),
+  ];
+}
+
+module.exports = { walkProof, debugClaim, formatClaimDebug };
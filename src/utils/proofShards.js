@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber, utils } = require("ethers");
+const { BalanceTree } = require("./BalanceTree");
+const { parseDistributionFile } = require("./distributionFile");
+
+const { getAddress, Interface } = utils;
+
+const SHARDS_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+const SHARDS_DIR = "proofs";
+
+const claimInterface = new Interface([
+  "function claim(uint256 _index, uint256 _poolId, uint256 _totalLPTokenAmount, uint256 _totalTICAmount, bytes32[] _merkleProof)",
+]);
+
+const toBuffer = (hex) => Buffer.from(hex.slice(2), "hex");
+
+/**
+ * @param address the staker
+ * @param prefixLength number of hex characters of the address a shard is keyed by
+ * @return the shard an address is in, e.g. `0x3a`
+ */
+function getShardPrefix(address, prefixLength) {
+  return `0x${getAddress(address)
+    .slice(2, 2 + prefixLength)
+    .toLowerCase()}`;
+}
+
+/**
+ * Exports a distribution as static files that can be hosted on a CDN, so a frontend only
+ * downloads the claims of addresses sharing the connected account's prefix:
+ *
+ *   manifest.json    `{ version, chainId, contract, merkleRoot, snapshotBlock,
+ *                    prefixLength, shards }`
+ *   proofs/0x3a.json `{ [account]: { [poolId]: { index, totalLPTokenAmount,
+ *                    totalTICAmount, proof } } }`
+ *
+ * @param file a distribution file, it is verified before anything is written
+ * @param outDir directory to write to
+ * @param options.prefixLength hex characters per prefix, 2 gives up to 256 shards
+ * @return the manifest
+ */
+function exportProofShards(file, outDir, { prefixLength = 2 } = {}) {
+  parseDistributionFile(file);
+  if (
+    !Number.isInteger(prefixLength) ||
+    prefixLength < 1 ||
+    prefixLength > 40
+  ) {
+    throw new Error(`Invalid prefix length: ${prefixLength}`);
+  }
+
+  const shards = Object.keys(file.claims).reduce((memo, account) => {
+    const prefix = getShardPrefix(account, prefixLength);
+    memo[prefix] = { ...memo[prefix], [account]: file.claims[account] };
+    return memo;
+  }, {});
+
+  fs.mkdirSync(path.join(outDir, SHARDS_DIR), { recursive: true });
+  Object.keys(shards).forEach((prefix) => {
+    fs.writeFileSync(
+      path.join(outDir, SHARDS_DIR, `${prefix}.json`),
+      JSON.stringify(shards[prefix])
+    );
+  });
+
+  const manifest = {
+    version: SHARDS_VERSION,
+    chainId: file.chainId,
+    contract: file.contract,
+    merkleRoot: file.merkleRoot,
+    snapshotBlock: file.snapshotBlock,
+    prefixLength,
+    shards: Object.keys(shards).sort(),
+  };
+  fs.writeFileSync(
+    path.join(outDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+  return manifest;
+}
+
+/**
+ * Fetches the shard of an account and builds a `claim` call for each of its pools. Every
+ * proof is verified against the manifest root before it is used, so a stale or tampered
+ * shard is rejected instead of producing a transaction that reverts.
+ *
+ * Only the manifest root is trusted, callers should compare it to `merkleRoot` on chain.
+ *
+ * @param account the staker
+ * @param fetchJSON `async (path) => object` reading a path relative to the export
+ * directory, in a browser a `fetch` of the path under the CDN base url
+ * @param options.manifest an already fetched manifest
+ * @return `{ manifest, claims: [{ index, poolId, totalLPTokenAmount, totalTICAmount, proof,
+ * transaction }] }` where transaction is `{ to, data }` calling claim on the contract
+ */
+async function lookupClaims(account, fetchJSON, { manifest } = {}) {
+  const parsed = getAddress(account);
+  const loaded = manifest || (await fetchJSON(MANIFEST_FILE));
+  if (loaded.version !== SHARDS_VERSION) {
+    throw new Error(`Unsupported proof shards version: ${loaded.version}`);
+  }
+  const { contract, merkleRoot, prefixLength, shards } = loaded;
+  const prefix = getShardPrefix(parsed, prefixLength);
+  const shard = shards.includes(prefix)
+    ? await fetchJSON(`${SHARDS_DIR}/${prefix}.json`)
+    : {};
+  const claimsByPool = shard[parsed] || {};
+
+  const claims = Object.keys(claimsByPool).map((poolId) => {
+    const claim = claimsByPool[poolId];
+    const isValid = BalanceTree.verifyProof(
+      claim.index,
+      parsed,
+      poolId,
+      claim.totalLPTokenAmount,
+      claim.totalTICAmount,
+      claim.proof.map(toBuffer),
+      toBuffer(merkleRoot)
+    );
+    if (!isValid) {
+      throw new Error(
+        `Invalid proof for ${parsed} in pool ${poolId} against root ${merkleRoot}`
+      );
+    }
+    const args = [
+      claim.index,
+      Number(poolId),
+      BigNumber.from(claim.totalLPTokenAmount),
+      BigNumber.from(claim.totalTICAmount),
+      claim.proof,
+    ];
+    return {
+      index: claim.index,
+      poolId: Number(poolId),
+      totalLPTokenAmount: args[2],
+      totalTICAmount: args[3],
+      proof: claim.proof,
+      transaction: {
+        to: contract,
+        data: claimInterface.encodeFunctionData("claim", args),
+      },
+    };
+  });
+
+  return { manifest: loaded, claims };
+}
+
+module.exports = {
+  SHARDS_VERSION,
+  getShardPrefix,
+  exportProofShards,
+  lookupClaims,
+};
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const { utils } = require("ethers");
+const { createResolver } = require("./deploymentPlan");
+
+const { getAddress } = utils;
+
+const POLICY_VERSION = 1;
+
+const ROLES = ["ADMIN_ROLE", "MINTER_ROLE"];
+
+// This is the expected role state of the token contracts. Accounts are referenced like in
+// a deployment plan: a named account from hardhat.config.js, a hardhat-deploy deployment
+// or a literal address.
+// interface RolePolicy {
+//   version: 1
+//   forbidden: string[] // accounts that may hold no role of any token, e.g. the deployer
+//   tokens: {
+//     [deployment: string]: { // TicToken or TimeToken deployment to audit
+//       [role: "ADMIN_ROLE" | "MINTER_ROLE"]: {
+//         required?: string[] // must hold the role
+//         allowed?: string[] // may hold the role, skipped where the reference is unknown
+//       }
+//     }
+//   }
+// }
+// Any other account holding a role is drift.
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const isNameList = (value) =>
+  Array.isArray(value) &&
+  value.every((name) => typeof name === "string" && name.length > 0);
+
+/**
+ * Checks that a parsed JSON value follows the role policy format.
+ * @param policy the parsed JSON
+ * @return `{ valid, errors }`
+ */
+function validatePolicy(policy) {
+  if (!isObject(policy)) {
+    return { valid: false, errors: ["Role policy must be an object"] };
+  }
+
+  const errors = [];
+  if (policy.version !== POLICY_VERSION) {
+    errors.push(`Unsupported policy version: ${policy.version}`);
+  }
+  if (!isNameList(policy.forbidden)) {
+    errors.push("Invalid forbidden");
+  }
+  if (!isObject(policy.tokens) || Object.keys(policy.tokens).length === 0) {
+    errors.push("Missing tokens");
+  } else {
+    Object.keys(policy.tokens).forEach((token) => {
+      const roles = policy.tokens[token];
+      if (!isObject(roles)) {
+        errors.push(`Invalid tokens.${token}`);
+        return;
+      }
+      Object.keys(roles).forEach((role) => {
+        const rule = roles[role];
+        if (
+          !ROLES.includes(role) ||
+          !isObject(rule) ||
+          (rule.required !== undefined && !isNameList(rule.required)) ||
+          (rule.allowed !== undefined && !isNameList(rule.allowed))
+        ) {
+          errors.push(`Invalid tokens.${token}.${role}`);
+        }
+      });
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a role policy and throws with every error found.
+ * @param policy the parsed JSON
+ * @return the policy
+ */
+function parsePolicy(policy) {
+  const { valid, errors } = validatePolicy(policy);
+  if (!valid) {
+    throw new Error(`Invalid role policy: ${errors.join("; ")}`);
+  }
+  return policy;
+}
+
+/**
+ * Reads a role policy from disk and validates it.
+ * @param file path to the policy JSON
+ */
+function loadPolicy(file) {
+  return parsePolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Rebuilds the members of every role of an AccessControl contract by replaying its
+ * `RoleGranted` and `RoleRevoked` events in chain order.
+ * @param token ethers contract connected to a provider
+ * @param options.fromBlock first block to read, should be at or before the deployment
+ * @param options.toBlock last block to read (inclusive)
+ * @param options.chunkSize max number of blocks to request logs for at once
+ * @return `{ [role]: address[] }` keyed by the role hash, members in the order granted
+ */
+async function getRoleMembers(
+  token,
+  { fromBlock = 0, toBlock = "latest", chunkSize = 5000 } = {}
+) {
+  const lastBlock =
+    toBlock === "latest"
+      ? await token.provider.getBlockNumber()
+      : Number(toBlock);
+
+  const events = [];
+  for (let start = Number(fromBlock); start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    // eslint-disable-next-line no-await-in-loop
+    const chunk = await Promise.all([
+      token.queryFilter(token.filters.RoleGranted(), start, end),
+      token.queryFilter(token.filters.RoleRevoked(), start, end),
+    ]);
+    events.push(...chunk.flat());
+  }
+  events.sort((a, b) =>
+    a.blockNumber === b.blockNumber
+      ? a.logIndex - b.logIndex
+      : a.blockNumber - b.blockNumber
+  );
+
+  const members = events.reduce((memo, { event, args }) => {
+    const role = memo[args.role] || new Set();
+    if (event === "RoleGranted") {
+      role.add(getAddress(args.account));
+    } else {
+      role.delete(getAddress(args.account));
+    }
+    return { ...memo, [args.role]: role };
+  }, {});
+  return Object.keys(members).reduce(
+    (memo, role) => ({ ...memo, [role]: [...members[role]] }),
+    {}
+  );
+}
+
+/**
+ * Audits the roles of the token deployments of the current network against a policy.
+ * Members are rebuilt from events and cross-checked with `hasRole`, so events that do not
+ * match the state of the contract are reported as drift too.
+ *
+ * @param policy a valid role policy
+ * @param hre hardhat runtime environment with hardhat-deploy
+ * @param options.chunkSize max number of blocks to request logs for at once
+ * @return `{ tokens: [{ name, address, roles: { [role]: address[] } }], drift: string[] }`
+ * where every member of a role outside ADMIN_ROLE and MINTER_ROLE is listed by its hash
+ */
+async function auditRoles(policy, hre, { chunkSize } = {}) {
+  parsePolicy(policy);
+  const { ethers, deployments } = hre;
+  const resolve = await createResolver({ tokens: {} }, hre);
+  const resolveAll = async (references, { optional = false } = {}) => {
+    const resolved = await Promise.all(
+      (references || []).map(async (reference) => {
+        try {
+          return { reference, address: await resolve(reference) };
+        } catch (e) {
+          if (optional && e.message.startsWith("Unknown reference")) {
+            return null;
+          }
+          throw e;
+        }
+      })
+    );
+    return resolved.filter((account) => account);
+  };
+
+  const forbidden = await resolveAll(policy.forbidden, { optional: true });
+  const artifact = await deployments.getArtifact("TimeToken");
+  const tokens = await Promise.all(
+    Object.keys(policy.tokens).map(async (name) => {
+      const deployment = await deployments.get(name);
+      // TicToken and TimeToken share the role interface used here
+      const token = new ethers.Contract(
+        deployment.address,
+        artifact.abi,
+        ethers.provider
+      );
+      const [members, roleHashes] = await Promise.all([
+        getRoleMembers(token, {
+          fromBlock: deployment.receipt ? deployment.receipt.blockNumber : 0,
+          chunkSize,
+        }),
+        Promise.all(ROLES.map((role) => token[role]())),
+      ]);
+      const roleNames = ROLES.reduce(
+        (memo, role, index) => ({ ...memo, [roleHashes[index]]: role }),
+        {}
+      );
+
+      const drift = [];
+      const roles = {};
+      await Promise.all(
+        Object.keys(members).map(async (hash) => {
+          const held = await Promise.all(
+            members[hash].map((account) => token.hasRole(hash, account))
+          );
+          members[hash].forEach((account, index) => {
+            if (!held[index]) {
+              drift.push(
+                `${name} ${
+                  roleNames[hash] || hash
+                }: ${account} was granted the role but does not hold it`
+              );
+            }
+          });
+        })
+      );
+      Object.keys(members).forEach((hash) => {
+        if (!roleNames[hash]) {
+          roles[hash] = members[hash];
+          members[hash].forEach((account) =>
+            drift.push(`${name} ${hash}: ${account} holds an unknown role`)
+          );
+        }
+      });
+
+      await ROLES.reduce(async (previous, role, index) => {
+        await previous;
+        const holders = members[roleHashes[index]] || [];
+        roles[role] = holders;
+        const rule = policy.tokens[name][role] || {};
+        const required = await resolveAll(rule.required);
+        const allowed = await resolveAll(rule.allowed, { optional: true });
+
+        required.forEach(({ reference, address }) => {
+          if (!holders.includes(address)) {
+            drift.push(`${name} ${role}: ${reference} ${address} is missing`);
+          }
+        });
+        holders.forEach((account) => {
+          const banned = forbidden.find(({ address }) => address === account);
+          if (banned) {
+            drift.push(
+              `${name} ${role}: ${banned.reference} ${account} must not hold the role`
+            );
+          } else if (
+            ![...required, ...allowed].some(
+              ({ address }) => address === account
+            )
+          ) {
+            drift.push(
+              `${name} ${role}: ${account} is not allowed to hold the role`
+            );
+          }
+        });
+      }, Promise.resolve());
+
+      return { name, address: deployment.address, roles, drift };
+    })
+  );
+
+  return {
+    tokens: tokens.map(({ name, address, roles }) => ({
+      name,
+      address,
+      roles,
+    })),
+    drift: tokens.reduce((memo, token) => [...memo, ...token.drift], []),
+  };
+}
+
+/**
+ * @param report output of auditRoles
+ * @return the report as lines of text
+ */
+function formatRoleAudit({ tokens, drift }) {
+  const lines = [];
+  tokens.forEach(({ name, address, roles }) => {
+    lines.push(`${name} ${address}`);
+    Object.keys(roles).forEach((role) => {
+      lines.push(
+        `  ${role}: ${roles[role].length > 0 ? roles[role].join(", ") : "-"}`
+      );
+    });
+  });
+  lines.push("");
+  if (drift.length === 0) {
+    lines.push("No drift from the role policy");
+  } else {
+    lines.push(`${drift.length} drift from the role policy:`);
+    drift.forEach((line) => lines.push(`  ${line}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  POLICY_VERSION,
+  validatePolicy,
+  parsePolicy,
+  loadPolicy,
+  getRoleMembers,
+  auditRoles,
+  formatRoleAudit,
+};
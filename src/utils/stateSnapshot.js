@@ -0,0 +1,292 @@
+const fs = require("fs");
+const { BigNumber, utils } = require("ethers");
+
+const { getAddress } = utils;
+
+const SNAPSHOT_VERSION = 1;
+
+const toDecimal = (value) => BigNumber.from(value).toString();
+
+// stakes of accounts that never touched a pool are left out of the snapshot
+const isEmptyStake = (stake) =>
+  ["totalDeposited", "totalUnrealized", "totalRealizedTIC", "totalRealizedLP"]
+    .map((key) => stake[key])
+    .every((value) => value === "0");
+
+/**
+ * Sorts object keys recursively so equal snapshots always serialize to the same bytes.
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((memo, key) => {
+        memo[key] = canonicalize(value[key]);
+        return memo;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Finds every account that has ever had a stake, i.e. deposited or was the forfeit address,
+ * up to a block.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param options.fromBlock block the proxy was deployed at
+ * @param options.toBlock last block to read (inclusive)
+ * @return checksummed addresses, sorted
+ */
+async function getKnownStakers(merklePools, { fromBlock = 0, toBlock }) {
+  const [deposits, forfeitUpdates, forfeitAddress] = await Promise.all([
+    merklePools.queryFilter(
+      merklePools.filters.TokensDeposited(),
+      fromBlock,
+      toBlock
+    ),
+    merklePools.queryFilter(
+      merklePools.filters.ForfeitAddressUpdated(),
+      fromBlock,
+      toBlock
+    ),
+    merklePools.forfeitAddress({ blockTag: toBlock }),
+  ]);
+  const accounts = new Set([
+    ...deposits.map(({ args }) => getAddress(args.user)),
+    ...forfeitUpdates.map(({ args }) => getAddress(args[0])),
+    getAddress(forfeitAddress),
+  ]);
+  return [...accounts].sort();
+}
+
+/**
+ * Reads the state of a MerklePools deployment at a block. Every read uses the same
+ * blockTag, so the snapshot is consistent even while the chain moves on.
+ *
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param options.blockTag block to read at, defaults to latest which is resolved to a number
+ * @param options.fromBlock block the proxy was deployed at, to find the stakers from
+ * @param options.accounts stakers to read instead of the ones found in TokensDeposited
+ * @param options.batchSize number of stakers whose stakes are read at once
+ * @return the snapshot with every amount as a decimal string, see serializeSnapshot
+ */
+async function takeSnapshot(
+  merklePools,
+  { blockTag = "latest", fromBlock = 0, accounts, batchSize = 50 } = {}
+) {
+  const { provider } = merklePools;
+  const [{ chainId }, block] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock(blockTag),
+  ]);
+  const at = { blockTag: block.number };
+
+  const [
+    merkleRoot,
+    isClaimsEnabled,
+    excessTICFromSlippage,
+    forfeitAddress,
+    poolContext,
+    poolCount,
+    stakers,
+  ] = await Promise.all([
+    merklePools.merkleRoot(at),
+    merklePools.isClaimsEnabled(at),
+    merklePools.excessTICFromSlippage(at),
+    merklePools.forfeitAddress(at),
+    merklePools.poolContext(at),
+    merklePools.poolCount(at),
+    accounts
+      ? accounts.map((account) => getAddress(account)).sort()
+      : getKnownStakers(merklePools, { fromBlock, toBlock: block.number }),
+  ]);
+  const poolIds = [...Array(poolCount.toNumber()).keys()];
+
+  const pools = await Promise.all(
+    poolIds.map(async (poolId) => {
+      const [pool, totalUnclaimed, totalUnclaimedNotInLP, rewardRate] =
+        await Promise.all([
+          merklePools.getPool(poolId, at),
+          merklePools.getPoolTotalUnclaimed(poolId, at),
+          merklePools.getPoolTotalUnclaimedNotInLP(poolId, at),
+          merklePools.getPoolRewardRate(poolId, at),
+        ]);
+      return {
+        poolId,
+        token: getAddress(pool.token),
+        totalDeposited: toDecimal(pool.totalDeposited),
+        totalUnclaimedTIC: toDecimal(pool.totalUnclaimedTIC),
+        totalUnclaimedTICInLP: toDecimal(pool.totalUnclaimedTICInLP),
+        rewardWeight: toDecimal(pool.rewardWeight),
+        accumulatedRewardWeight: toDecimal(pool.accumulatedRewardWeight.x),
+        lastUpdatedBlockTimestamp: toDecimal(pool.lastUpdatedBlockTimestamp),
+        totalUnclaimed: toDecimal(totalUnclaimed),
+        totalUnclaimedNotInLP: toDecimal(totalUnclaimedNotInLP),
+        rewardRate: toDecimal(rewardRate),
+      };
+    })
+  );
+
+  const readStakes = (account) =>
+    Promise.all(
+      poolIds.map(async (poolId) => {
+        const [stake, totalUnclaimed] = await Promise.all([
+          merklePools.stakes(account, poolId, at),
+          merklePools.getStakeTotalUnclaimed(account, poolId, at),
+        ]);
+        return {
+          account,
+          poolId,
+          stake: {
+            totalDeposited: toDecimal(stake.totalDeposited),
+            totalUnrealized: toDecimal(stake.totalUnrealized),
+            totalRealizedTIC: toDecimal(stake.totalRealizedTIC),
+            totalRealizedLP: toDecimal(stake.totalRealizedLP),
+            lastAccumulatedWeight: toDecimal(stake.lastAccumulatedWeight.x),
+            totalUnclaimed: toDecimal(totalUnclaimed),
+          },
+        };
+      })
+    );
+  // batches run one after the other so the provider is never sent more than
+  // batchSize * poolCount * 2 calls at once
+  const batches = [];
+  for (let i = 0; i < stakers.length; i += batchSize) {
+    batches.push(stakers.slice(i, i + batchSize));
+  }
+  const rows = await batches.reduce(async (previous, batch) => {
+    const read = await previous;
+    return [...read, ...(await Promise.all(batch.map(readStakes)))];
+  }, Promise.resolve([]));
+  const stakes = rows.flat().reduce((memo, { account, poolId, stake }) => {
+    if (!isEmptyStake(stake)) {
+      memo[account] = { ...memo[account], [poolId]: stake };
+    }
+    return memo;
+  }, {});
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId,
+    contract: getAddress(merklePools.address),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    timestamp: block.timestamp,
+    merkleRoot,
+    isClaimsEnabled,
+    excessTICFromSlippage: toDecimal(excessTICFromSlippage),
+    forfeitAddress: getAddress(forfeitAddress),
+    poolContext: {
+      rewardRate: toDecimal(poolContext.rewardRate),
+      totalRewardWeight: toDecimal(poolContext.totalRewardWeight),
+    },
+    pools,
+    stakes,
+  };
+}
+
+/**
+ * Serializes a snapshot as canonical JSON: keys sorted, amounts as decimal strings and a
+ * trailing newline, so two snapshots of the same block are byte for byte equal.
+ * @param snapshot output of takeSnapshot
+ */
+function serializeSnapshot(snapshot) {
+  return `${JSON.stringify(canonicalize(snapshot), null, 2)}\n`;
+}
+
+/**
+ * @param file path of a snapshot JSON
+ * @return the snapshot
+ */
+function loadSnapshot(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+  }
+  return snapshot;
+}
+
+/**
+ * Builds the claim list of a distribution from a snapshot. The realized totals every claim
+ * starts from are read from the snapshot, the LP and TIC allocated since come from the
+ * accounting replayed up to the same block.
+ *
+ * Throws if the accounting does not match the snapshot, or if a claim would revert with
+ * INVALID_UNCLAIMED_AMOUNT, rather than build a root that can not be claimed.
+ *
+ * @param snapshot output of takeSnapshot
+ * @param accounting a MerklePoolsAccounting replayed up to the snapshot block
+ * @return `[{ account, poolId, totalLPTokenAmount, totalTICAmount }]` for parseBalanceMap
+ */
+function snapshotToClaims(snapshot, accounting) {
+  if (accounting.lastTimestamp.gt(snapshot.timestamp)) {
+    throw new Error(
+      `Accounting is replayed past the snapshot at block ${snapshot.blockNumber}`
+    );
+  }
+
+  const errors = [];
+  const claims = [];
+  Object.keys(accounting.stakes).forEach((account) => {
+    Object.keys(accounting.stakes[account]).forEach((poolId) => {
+      const modelled = accounting.stakes[account][poolId];
+      const stake = (snapshot.stakes[account] || {})[poolId] || {
+        totalRealizedTIC: "0",
+        totalRealizedLP: "0",
+        totalUnclaimed: "0",
+      };
+      const unclaimed = accounting.getStakeTotalUnclaimed(
+        account,
+        poolId,
+        snapshot.timestamp
+      );
+      if (
+        !modelled.totalRealizedTIC.eq(stake.totalRealizedTIC) ||
+        !modelled.totalRealizedLP.eq(stake.totalRealizedLP) ||
+        !unclaimed.eq(stake.totalUnclaimed)
+      ) {
+        errors.push(`${account} pool:${poolId} does not match the snapshot`);
+        return;
+      }
+      if (modelled.allocatedLP.isZero() || modelled.allocatedTIC.isZero()) {
+        return;
+      }
+      if (modelled.allocatedTIC.gt(stake.totalUnclaimed)) {
+        errors.push(
+          `${account} pool:${poolId} is allocated ${modelled.allocatedTIC} TIC but only ${stake.totalUnclaimed} is unrealized`
+        );
+        return;
+      }
+      claims.push({
+        account,
+        poolId: Number(poolId),
+        totalLPTokenAmount: BigNumber.from(stake.totalRealizedLP).add(
+          modelled.allocatedLP
+        ),
+        totalTICAmount: BigNumber.from(stake.totalRealizedTIC).add(
+          modelled.allocatedTIC
+        ),
+      });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Snapshot at block ${snapshot.blockNumber} does not match: ${errors.join(
+        "; "
+      )}`
+    );
+  }
+  return claims;
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  getKnownStakers,
+  takeSnapshot,
+  serializeSnapshot,
+  loadSnapshot,
+  snapshotToClaims,
+};
@@ -0,0 +1,223 @@
+const { BigNumber, utils } = require("ethers");
+const { BalanceTree } = require("./BalanceTree");
+const { MerkleTree } = require("./MerkleTree");
+
+const { getAddress, isAddress } = utils;
+
+const toBuffer = (hex) => Buffer.from(hex.slice(2), "hex");
+
+/**
+ * Flattens the claims of a distribution into a list sorted by index.
+ * @param distribution output of parseBalanceMap
+ */
+function getClaimList(distribution) {
+  return Object.keys(distribution.claims)
+    .reduce((memo, account) => {
+      Object.keys(distribution.claims[account]).forEach((poolId) => {
+        memo.push({ account, poolId, ...distribution.claims[account][poolId] });
+      });
+      return memo;
+    }, [])
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Verifies that a distribution is internally consistent: the root can be rebuilt from the
+ * claims, every proof verifies against it and the declared totals add up.
+ * @param distribution output of parseBalanceMap
+ * @return `{ valid, errors }`
+ */
+function verifyDistribution(distribution) {
+  const errors = [];
+  const claims = getClaimList(distribution);
+  const root = toBuffer(distribution.merkleRoot);
+
+  claims.forEach((claim, i) => {
+    if (claim.index !== i) {
+      errors.push(`Expected index ${i} but found ${claim.index}`);
+    }
+    if (
+      !isAddress(claim.account) ||
+      getAddress(claim.account) !== claim.account
+    ) {
+      errors.push(
+        `Claim ${claim.index} account is not checksummed: ${claim.account}`
+      );
+    }
+  });
+
+  const leaves = claims.map(
+    ({ index, account, poolId, totalLPTokenAmount, totalTICAmount }) =>
+      BalanceTree.toNode(
+        index,
+        account,
+        poolId,
+        totalLPTokenAmount,
+        totalTICAmount
+      )
+  );
+  const rebuiltRoot = new MerkleTree(leaves).getHexRoot();
+  // the file format accepts roots in any case of hex
+  if (rebuiltRoot !== distribution.merkleRoot.toLowerCase()) {
+    errors.push(
+      `Root mismatch: file ${distribution.merkleRoot}, rebuilt ${rebuiltRoot}`
+    );
+  }
+
+  claims.forEach((claim) => {
+    const isValid = BalanceTree.verifyProof(
+      claim.index,
+      claim.account,
+      claim.poolId,
+      claim.totalLPTokenAmount,
+      claim.totalTICAmount,
+      claim.proof.map(toBuffer),
+      root
+    );
+    if (!isValid) {
+      errors.push(
+        `Invalid proof for ${claim.account} pool ${claim.poolId} (index ${claim.index})`
+      );
+    }
+  });
+
+  const poolTotals = claims.reduce((memo, claim) => {
+    const current = memo[claim.poolId] || {
+      totalLPTokenAmount: BigNumber.from(0),
+      totalTICAmount: BigNumber.from(0),
+    };
+    memo[claim.poolId] = {
+      totalLPTokenAmount: current.totalLPTokenAmount.add(
+        claim.totalLPTokenAmount
+      ),
+      totalTICAmount: current.totalTICAmount.add(claim.totalTICAmount),
+    };
+    return memo;
+  }, {});
+  const declaredPoolTotals = distribution.poolTotals || {};
+  Object.keys({ ...poolTotals, ...declaredPoolTotals }).forEach((poolId) => {
+    const actual = poolTotals[poolId];
+    const declared = declaredPoolTotals[poolId];
+    if (
+      !actual ||
+      !declared ||
+      !actual.totalLPTokenAmount.eq(declared.totalLPTokenAmount) ||
+      !actual.totalTICAmount.eq(declared.totalTICAmount)
+    ) {
+      errors.push(`Pool ${poolId} totals do not match its claims`);
+    }
+  });
+
+  const lpTokenTotal = Object.values(poolTotals).reduce(
+    (memo, total) => memo.add(total.totalLPTokenAmount),
+    BigNumber.from(0)
+  );
+  const ticTotal = Object.values(poolTotals).reduce(
+    (memo, total) => memo.add(total.totalTICAmount),
+    BigNumber.from(0)
+  );
+  if (!lpTokenTotal.eq(distribution.lpTokenTotal)) {
+    errors.push(`LP total does not match claims: ${lpTokenTotal.toString()}`);
+  }
+  if (!ticTotal.eq(distribution.ticTotal)) {
+    errors.push(`TIC total does not match claims: ${ticTotal.toString()}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Verifies a distribution against the state of a MerklePools deployment.
+ * - the TIC newly claimable in each pool must not exceed `getPoolTotalUnclaimed` nor
+ *   `totalUnclaimedTICInLP`
+ * - every claim must be above what the stake already realized, both in LP and TIC, as
+ *   `claim` reverts with INVALID_CLAIM_AMOUNT otherwise.
+ * @param merklePools ethers contract for the MerklePools proxy
+ * @param distribution output of parseBalanceMap
+ * @param blockTag block to read state at
+ * @param options.batchSize number of stakes read at once
+ * @return `{ valid, errors }`
+ */
+async function verifyDistributionOnChain(
+  merklePools,
+  distribution,
+  blockTag = "latest",
+  { batchSize = 50 } = {}
+) {
+  const errors = [];
+  const claims = getClaimList(distribution);
+
+  // batches run one after the other so the provider is never sent more than batchSize
+  // calls at once
+  const batches = [];
+  for (let i = 0; i < claims.length; i += batchSize) {
+    batches.push(claims.slice(i, i + batchSize));
+  }
+  const stakes = await batches.reduce(async (previous, batch) => {
+    const read = await previous;
+    return [
+      ...read,
+      ...(await Promise.all(
+        batch.map(({ account, poolId }) =>
+          merklePools.stakes(account, poolId, { blockTag })
+        )
+      )),
+    ];
+  }, Promise.resolve([]));
+
+  const newTICByPool = {};
+  claims.forEach((claim, i) => {
+    const { totalRealizedLP, totalRealizedTIC } = stakes[i];
+    const label = `${claim.account} pool ${claim.poolId}`;
+    if (BigNumber.from(claim.totalTICAmount).lt(totalRealizedTIC)) {
+      errors.push(
+        `${label} TIC total is below realized ${totalRealizedTIC.toString()}`
+      );
+    } else if (BigNumber.from(claim.totalTICAmount).eq(totalRealizedTIC)) {
+      errors.push(
+        `${label} has no TIC left to claim, claim reverts with INVALID_CLAIM_AMOUNT`
+      );
+    } else {
+      newTICByPool[claim.poolId] = (
+        newTICByPool[claim.poolId] || BigNumber.from(0)
+      ).add(BigNumber.from(claim.totalTICAmount).sub(totalRealizedTIC));
+    }
+    if (BigNumber.from(claim.totalLPTokenAmount).lt(totalRealizedLP)) {
+      errors.push(
+        `${label} LP total is below realized ${totalRealizedLP.toString()}`
+      );
+    } else if (BigNumber.from(claim.totalLPTokenAmount).eq(totalRealizedLP)) {
+      errors.push(
+        `${label} has no LP left to claim, claim reverts with INVALID_CLAIM_AMOUNT`
+      );
+    }
+  });
+
+  await Promise.all(
+    Object.keys(newTICByPool).map(async (poolId) => {
+      const [totalUnclaimed, pool] = await Promise.all([
+        merklePools.getPoolTotalUnclaimed(poolId, { blockTag }),
+        merklePools.getPool(poolId, { blockTag }),
+      ]);
+      const newTIC = newTICByPool[poolId];
+      if (newTIC.gt(totalUnclaimed)) {
+        errors.push(
+          `Pool ${poolId} claims ${newTIC.toString()} TIC but only ${totalUnclaimed.toString()} is unclaimed`
+        );
+      }
+      if (newTIC.gt(pool.totalUnclaimedTICInLP)) {
+        errors.push(
+          `Pool ${poolId} claims ${newTIC.toString()} TIC but only ${pool.totalUnclaimedTICInLP.toString()} is in LP`
+        );
+      }
+    })
+  );
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  getClaimList,
+  verifyDistribution,
+  verifyDistributionOnChain,
+};
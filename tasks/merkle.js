@@ -0,0 +1,636 @@
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+const { task, types } = require("hardhat/config");
+
+const { EventIndexer } = require("../src/utils/EventIndexer");
+const {
+  getChainSnapshot,
+  buildCrossChainReport,
+  formatCrossChainReport,
+} = require("../src/utils/crossChainReport");
+const {
+  createDistributionFile,
+  getBindingErrors,
+  loadDistributionFile,
+  validateDistributionFile,
+} = require("../src/utils/distributionFile");
+const {
+  getDistributionSigners,
+  loadSignedDistributionFile,
+  signDistribution,
+} = require("../src/utils/distributionSignature");
+const {
+  getPoolAccruals,
+  diffDistributions,
+  formatDistributionDiff,
+  distributionDiffToCSV,
+} = require("../src/utils/distributionDiff");
+const {
+  buildForfeitReport,
+  formatForfeitReport,
+} = require("../src/utils/forfeitReport");
+const {
+  generateDistribution,
+  diffRealized,
+} = require("../src/utils/generateDistribution");
+const { loadLocalSigner } = require("../src/utils/localSigner");
+const { serializeBatches } = require("../src/utils/lpAllocation");
+const { ProofService } = require("../src/utils/ProofService");
+const { debugClaim, formatClaimDebug } = require("../src/utils/proofDebugger");
+const { exportProofShards } = require("../src/utils/proofShards");
+const {
+  takeSnapshot,
+  serializeSnapshot,
+} = require("../src/utils/stateSnapshot");
+const {
+  verifyDistribution,
+  verifyDistributionOnChain,
+} = require("../src/utils/verifyDistribution");
+
+// named accounts in hardhat.config.js holding the proxy address of each contract per network
+const PROXY_NAMED_ACCOUNTS = {
+  MerklePools: "merklePools",
+  MerklePoolsForeign: "merklePoolsForeign",
+};
+
+// addresses allowed to sign distributions, comma separated. Without any, unsigned files are
+// only accepted with --allow-unsigned
+const getAllowedSigners = ({
+  signers = process.env.DISTRIBUTION_SIGNERS,
+  allowUnsigned,
+}) => {
+  const allowed = signers
+    ? signers.split(",").map((signer) => utils.getAddress(signer.trim()))
+    : [];
+  if (allowed.length === 0 && !allowUnsigned) {
+    throw new Error(
+      "No distribution signers are allowed, set DISTRIBUTION_SIGNERS or --signers, or pass --allow-unsigned"
+    );
+  }
+  return allowed;
+};
+
+// files must be signed by an allowed signer unless unsigned files are allowed
+const loadFile = (file, signers) =>
+  signers.length > 0
+    ? loadSignedDistributionFile(file, { signers })
+    : loadDistributionFile(file);
+
+/**
+ * Task to roll a new MerklePools merkle root from chain state.
+ */
+task("merkle:generate", "Generates a new MerklePools claim distribution")
+  .addParam("address", "address of the MerklePools proxy")
+  .addOptionalParam(
+    "fromBlock",
+    "block the proxy was deployed at",
+    0,
+    types.int
+  )
+  .addOptionalParam(
+    "block",
+    "snapshot block (defaults to latest)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("out", "path to write the distribution JSON to")
+  .addOptionalParam(
+    "database",
+    "SQLite event index to sync and replay from instead of querying logs"
+  )
+  .addOptionalParam(
+    "forfeitAddress",
+    "overrides the initial forfeit address read from the contract"
+  )
+  .addOptionalParam(
+    "batches",
+    "path to write the per staker allocation of every LP batch to"
+  )
+  .addOptionalParam(
+    "snapshot",
+    "path to write the state snapshot the claims were built from to"
+  )
+  .addOptionalParam(
+    "forfeitPolicy",
+    "what the LP of forfeited TIC goes to: treasury (a leaf for the forfeit address), redistribute (the remaining stakers of the pool) or unallocated",
+    "treasury"
+  )
+  .addOptionalParam(
+    "forfeits",
+    "path to write the stakes affected by exits and the TIC sent to the forfeit address to"
+  )
+  .addOptionalParam(
+    "poolIds",
+    "JSON file of the poolIds of LPTokensGenerated events by transaction hash, for calls the poolId can not be decoded from"
+  )
+  .addFlag(
+    "dryRun",
+    "only diff the new totals against the realized amounts on chain"
+  )
+  .addFlag(
+    "send",
+    "call setMerkleRoot from the first signer (must be governance)"
+  )
+  .setAction(async (args, { ethers }) => {
+    const merklePools = await ethers.getContractAt("MerklePools", args.address);
+    const { chainId } = await ethers.provider.getNetwork();
+    const toBlock =
+      args.block === undefined
+        ? await ethers.provider.getBlockNumber()
+        : args.block;
+
+    const poolIds = args.poolIds
+      ? JSON.parse(fs.readFileSync(args.poolIds, "utf8"))
+      : {};
+
+    console.log(
+      `Generating distribution for ${args.address} on chain ${chainId} at block ${toBlock}`
+    );
+    let events;
+    if (args.database) {
+      const indexer = new EventIndexer({ database: args.database });
+      const { address } = await indexer.addContract(merklePools, {
+        kind: "MerklePools",
+        fromBlock: args.fromBlock,
+        poolIds,
+      });
+      await indexer.sync({ toBlock });
+      events = indexer.getEvents({ chainId, address, toBlock });
+      indexer.close();
+    }
+    const snapshot = await takeSnapshot(merklePools, {
+      blockTag: toBlock,
+      fromBlock: args.fromBlock,
+    });
+    if (args.snapshot) {
+      fs.writeFileSync(args.snapshot, serializeSnapshot(snapshot));
+      console.log(`State snapshot written to ${args.snapshot}`);
+    }
+    const { accounting, distribution } = await generateDistribution(
+      merklePools,
+      {
+        fromBlock: args.fromBlock,
+        toBlock,
+        forfeitAddress: args.forfeitAddress,
+        forfeitPolicy: args.forfeitPolicy,
+        events,
+        snapshot,
+        poolIds,
+      }
+    );
+    if (!distribution) {
+      throw new Error(`Nothing to claim at block ${toBlock}`);
+    }
+    console.log(`Merkle root: ${distribution.merkleRoot}`);
+    console.log(
+      `Total LP: ${ethers.utils.formatEther(distribution.lpTokenTotal)}`
+    );
+    console.log(
+      `Total TIC: ${ethers.utils.formatEther(distribution.ticTotal)}`
+    );
+    accounting.getBatches().forEach((batch) => {
+      console.log(
+        `LP batch pool:${batch.poolId} block:${
+          batch.blockNumber
+        } ${ethers.utils.formatEther(
+          batch.lpAmountCreated
+        )} LP for ${ethers.utils.formatEther(batch.ticConsumed)} TIC to ${
+          batch.allocations.length
+        } stakers`
+      );
+    });
+    if (args.batches) {
+      fs.writeFileSync(
+        args.batches,
+        JSON.stringify(serializeBatches(accounting.getBatches()), null, 2)
+      );
+      console.log(`LP batch allocations written to ${args.batches}`);
+    }
+    const forfeits = await buildForfeitReport(accounting, {
+      merklePools,
+      blockTag: toBlock,
+    });
+    formatForfeitReport(forfeits).forEach((line) => console.log(line));
+    if (args.forfeits) {
+      fs.writeFileSync(args.forfeits, JSON.stringify(forfeits, null, 2));
+      console.log(`Forfeit report written to ${args.forfeits}`);
+    }
+
+    if (args.dryRun) {
+      // compare against what is realized now, which is what claim will check
+      const rows = await diffRealized(merklePools, distribution);
+      rows.forEach((row) => {
+        console.log(
+          [
+            row.account,
+            `pool:${row.poolId}`,
+            `LP ${ethers.utils.formatEther(
+              row.totalRealizedLP
+            )} -> ${ethers.utils.formatEther(row.totalLPTokenAmount)}`,
+            `TIC ${ethers.utils.formatEther(
+              row.totalRealizedTIC
+            )} -> ${ethers.utils.formatEther(row.totalTICAmount)}`,
+            row.isClaimable ? "" : "NOT CLAIMABLE",
+          ].join(" ")
+        );
+      });
+      return;
+    }
+    if (forfeits.errors.length > 0) {
+      throw new Error(
+        "Exited stakes do not match the chain or can not claim their next totals"
+      );
+    }
+
+    const file = createDistributionFile(distribution, {
+      chainId,
+      contract: args.address,
+      snapshotBlock: toBlock,
+      previousRoot: await merklePools.merkleRoot({ blockTag: toBlock }),
+      metadata: {
+        generator: "merkle:generate",
+        fromBlock: args.fromBlock,
+        forfeitAddress: accounting.forfeitAddress,
+        forfeitPolicy: accounting.forfeitPolicy,
+      },
+    });
+    const out =
+      args.out || path.join(process.cwd(), `merkle-${chainId}-${toBlock}.json`);
+    fs.writeFileSync(out, JSON.stringify(file, null, 2));
+    console.log(`Distribution written to ${out}`);
+
+    const data = merklePools.interface.encodeFunctionData("setMerkleRoot", [
+      distribution.merkleRoot,
+    ]);
+    console.log(`setMerkleRoot calldata for governance (to: ${args.address}):`);
+    console.log(data);
+
+    if (args.send) {
+      const [signer] = await ethers.getSigners();
+      const tx = await merklePools
+        .connect(signer)
+        .setMerkleRoot(distribution.merkleRoot);
+      console.log(`setMerkleRoot sent: ${tx.hash}`);
+      await tx.wait();
+    }
+  });
+
+task("merkle:verify", "Verifies a MerklePools claim distribution file")
+  .addParam("file", "path to the distribution JSON")
+  .addOptionalParam(
+    "address",
+    "address of the MerklePools proxy to check the distribution against"
+  )
+  .addOptionalParam(
+    "block",
+    "block to read state at (defaults to latest)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "signers",
+    "comma separated addresses allowed to sign distributions (defaults to DISTRIBUTION_SIGNERS)"
+  )
+  .addFlag("allowUnsigned", "skip the signature check when no signers are set")
+  .setAction(async (args, { ethers }) => {
+    const signers = getAllowedSigners(args);
+    const distribution = JSON.parse(fs.readFileSync(args.file, "utf8"));
+    const format = validateDistributionFile(distribution);
+    // the claims of a malformed file can not be walked
+    const result = format.valid
+      ? verifyDistribution(distribution)
+      : { errors: [] };
+    const errors = [...format.errors, ...result.errors];
+
+    if (signers.length > 0 && format.valid) {
+      const signed = getDistributionSigners(distribution);
+      errors.push(...signed.errors);
+      if (!signed.signers.some((signer) => signers.includes(signer))) {
+        errors.push("Not signed by an allowed signer");
+      }
+    }
+
+    if (args.address) {
+      const { chainId } = await ethers.provider.getNetwork();
+      // a file built for another chain or proxy must never be published for this one
+      errors.push(
+        ...getBindingErrors(distribution, { chainId, contract: args.address })
+      );
+      const merklePools = await ethers.getContractAt(
+        "MerklePools",
+        args.address
+      );
+      const onChain = await verifyDistributionOnChain(
+        merklePools,
+        distribution,
+        args.block === undefined ? "latest" : args.block
+      );
+      errors.push(...onChain.errors);
+    }
+
+    errors.forEach((error) => console.log(`ERROR: ${error}`));
+    if (errors.length > 0) {
+      throw new Error(`Distribution ${distribution.merkleRoot} is invalid`);
+    }
+    console.log(`Distribution ${distribution.merkleRoot} verified`);
+  });
+
+task(
+  "merkle:crosschain",
+  "Snapshots MerklePools and MerklePoolsForeign on every chain and reports TIC per chain"
+)
+  .addOptionalParam(
+    "networks",
+    "comma separated networks to snapshot",
+    "avalanche,mainnet"
+  )
+  .addOptionalParam(
+    "fromBlocks",
+    "comma separated deployment blocks of the proxies, in the order of networks"
+  )
+  .addOptionalParam(
+    "outDir",
+    "directory to write the distributions and report to",
+    process.cwd()
+  )
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const networks = args.networks.split(",");
+    const fromBlocks = args.fromBlocks ? args.fromBlocks.split(",") : [];
+
+    const snapshots = await networks.reduce(async (previous, name, i) => {
+      const memo = await previous;
+      const config = hre.config.networks[name];
+      if (!config) {
+        throw new Error(`Unknown network: ${name}`);
+      }
+      const provider =
+        name === hre.network.name
+          ? ethers.provider
+          : new ethers.providers.JsonRpcProvider(config.url);
+
+      // the proxy of each chain is configured as a named account in hardhat.config.js
+      const proxies = Object.keys(PROXY_NAMED_ACCOUNTS)
+        .map((kind) => ({
+          kind,
+          address: (hre.config.namedAccounts[PROXY_NAMED_ACCOUNTS[kind]] || {})[
+            name
+          ],
+        }))
+        .filter(({ address }) => address);
+      if (proxies.length === 0) {
+        throw new Error(`No MerklePools address configured for ${name}`);
+      }
+
+      const chainSnapshots = await Promise.all(
+        proxies.map(async ({ kind, address }) => {
+          const { abi } = await hre.artifacts.readArtifact(kind);
+          console.log(`Snapshotting ${kind} ${address} on ${name}`);
+          return getChainSnapshot(new ethers.Contract(address, abi, provider), {
+            kind,
+            fromBlock: Number(fromBlocks[i] || 0),
+          });
+        })
+      );
+      return [...memo, ...chainSnapshots];
+    }, Promise.resolve([]));
+
+    fs.mkdirSync(args.outDir, { recursive: true });
+    snapshots.forEach(({ chainId, contract, snapshotBlock, distribution }) => {
+      if (!distribution) {
+        console.log(
+          `Nothing left to claim from ${contract} on chain ${chainId}`
+        );
+        return;
+      }
+      const out = path.join(
+        args.outDir,
+        `merkle-${chainId}-${snapshotBlock}.json`
+      );
+      fs.writeFileSync(out, JSON.stringify(distribution, null, 2));
+      console.log(`Distribution ${distribution.merkleRoot} written to ${out}`);
+    });
+
+    const report = buildCrossChainReport(snapshots);
+    const out = path.join(args.outDir, "crosschain-report.json");
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    formatCrossChainReport(report).forEach((line) => console.log(line));
+    console.log(`Report written to ${out}`);
+  });
+
+task(
+  "merkle:diff",
+  "Reports what changed between two MerklePools distribution files"
+)
+  .addParam("from", "path to the distribution JSON of the current root")
+  .addParam("to", "path to the distribution JSON of the proposed root")
+  .addOptionalParam("json", "path to write the diff JSON to")
+  .addOptionalParam("csv", "path to write the per claim rows CSV to")
+  .addFlag(
+    "accruals",
+    "check increases against the pool accruals on chain between the snapshots"
+  )
+  .addOptionalParam(
+    "signers",
+    "comma separated addresses allowed to sign distributions (defaults to DISTRIBUTION_SIGNERS)"
+  )
+  .addFlag("allowUnsigned", "diff unsigned files when no signers are set")
+  .setAction(async (args, { ethers }) => {
+    const signers = getAllowedSigners(args);
+    const previous = loadFile(args.from, signers);
+    const next = loadFile(args.to, signers);
+
+    let accruals;
+    if (args.accruals) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const bindingErrors = getBindingErrors(next, { chainId });
+      if (bindingErrors.length > 0) {
+        throw new Error(bindingErrors.join("; "));
+      }
+      accruals = await getPoolAccruals(
+        await ethers.getContractAt("MerklePools", next.contract),
+        { fromBlock: previous.snapshotBlock, toBlock: next.snapshotBlock }
+      );
+    }
+
+    const diff = diffDistributions(previous, next, { accruals });
+    formatDistributionDiff(diff).forEach((line) => console.log(line));
+    if (args.json) {
+      fs.writeFileSync(args.json, JSON.stringify(diff, null, 2));
+      console.log(`Diff written to ${args.json}`);
+    }
+    if (args.csv) {
+      fs.writeFileSync(args.csv, distributionDiffToCSV(diff));
+      console.log(`Diff rows written to ${args.csv}`);
+    }
+  });
+
+task("merkle:serve", "Serves MerklePools claims and proofs over HTTP")
+  .addOptionalParam("files", "comma separated distribution files to load")
+  .addOptionalParam(
+    "dir",
+    "directory of distribution files to load and watch for new roots"
+  )
+  .addOptionalParam("port", "port to listen on", 3000, types.int)
+  .addOptionalParam("host", "interface to listen on", "127.0.0.1")
+  .addOptionalParam(
+    "signers",
+    "comma separated addresses allowed to sign distributions (defaults to DISTRIBUTION_SIGNERS)"
+  )
+  .addFlag("allowUnsigned", "serve unsigned files when no signers are set")
+  .addFlag("offline", "serve without reading realized amounts from the chain")
+  .setAction(async (args, { ethers }) => {
+    const signers = getAllowedSigners(args);
+    const providers = {};
+    if (!args.offline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      providers[chainId] = ethers.provider;
+    }
+    const service = new ProofService({
+      providers,
+      signers,
+      allowUnsigned: args.allowUnsigned,
+      log: (line) => console.log(line),
+    });
+    (args.files ? args.files.split(",") : []).forEach((file) =>
+      console.log(`Loaded distribution ${service.loadFile(file)}`)
+    );
+    if (args.dir) {
+      service
+        .watch(args.dir)
+        .forEach((key) => console.log(`Loaded distribution ${key}`));
+    }
+
+    const server = await service.listen(args.port, args.host);
+    const { address, port } = server.address();
+    console.log(
+      `Serving proofs on http://${address}:${port}/proofs/:chainId/:address`
+    );
+    await new Promise((resolve) => server.on("close", resolve));
+  });
+
+task(
+  "merkle:shards",
+  "Exports a distribution as static per address prefix proof files"
+)
+  .addParam("file", "path to the distribution JSON")
+  .addParam("outDir", "directory to write the manifest and proofs to")
+  .addOptionalParam(
+    "prefixLength",
+    "hex characters of the address each shard is keyed by",
+    2,
+    types.int
+  )
+  .addOptionalParam(
+    "signers",
+    "comma separated addresses allowed to sign distributions (defaults to DISTRIBUTION_SIGNERS)"
+  )
+  .addFlag("allowUnsigned", "export an unsigned file when no signers are set")
+  .setAction(async (args) => {
+    const manifest = exportProofShards(
+      loadFile(args.file, getAllowedSigners(args)),
+      args.outDir,
+      { prefixLength: args.prefixLength }
+    );
+    console.log(
+      `Wrote ${manifest.shards.length} shards for ${manifest.merkleRoot} to ${args.outDir}`
+    );
+  });
+
+task("merkle:debug", "Explains why a MerklePools claim fails for an account")
+  .addParam("account", "address of the staker, as reported")
+  .addParam("poolId", "the pool of the claim", undefined, types.int)
+  .addParam("file", "path to the distribution JSON")
+  .addOptionalParam(
+    "address",
+    "address of the MerklePools proxy (defaults to the contract of the file)"
+  )
+  .addOptionalParam(
+    "block",
+    "block to read state at (defaults to latest)",
+    undefined,
+    types.int
+  )
+  .setAction(async (args, { ethers }) => {
+    // read without validation, a broken file is what is being debugged
+    const distribution = JSON.parse(fs.readFileSync(args.file, "utf8"));
+    const address = args.address || distribution.contract;
+    const { chainId } = await ethers.provider.getNetwork();
+    getBindingErrors(distribution, { chainId, contract: address }).forEach(
+      (error) => console.log(`WARNING: ${error}`)
+    );
+    const report = await debugClaim(
+      await ethers.getContractAt("MerklePools", address),
+      distribution,
+      args.account,
+      args.poolId,
+      { blockTag: args.block === undefined ? "latest" : args.block }
+    );
+    formatClaimDebug(report).forEach((line) => console.log(line));
+  });
+
+task(
+  "merkle:snapshot",
+  "Writes the state of a MerklePools proxy at a block as canonical JSON"
+)
+  .addParam("address", "address of the MerklePools proxy")
+  .addOptionalParam(
+    "fromBlock",
+    "block the proxy was deployed at",
+    0,
+    types.int
+  )
+  .addOptionalParam(
+    "block",
+    "block to read state at (defaults to latest)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("out", "path to write the snapshot JSON to")
+  .setAction(async (args, { ethers }) => {
+    const snapshot = await takeSnapshot(
+      await ethers.getContractAt("MerklePools", args.address),
+      {
+        blockTag: args.block === undefined ? "latest" : args.block,
+        fromBlock: args.fromBlock,
+      }
+    );
+    const out =
+      args.out ||
+      path.join(
+        process.cwd(),
+        `snapshot-${snapshot.chainId}-${snapshot.blockNumber}.json`
+      );
+    fs.writeFileSync(out, serializeSnapshot(snapshot));
+    console.log(
+      `Snapshot of ${Object.keys(snapshot.stakes).length} stakers at block ${
+        snapshot.blockNumber
+      } written to ${out}`
+    );
+  });
+
+task("merkle:sign", "Signs a distribution file with a local key")
+  .addParam("file", "path to the distribution JSON")
+  .addOptionalParam(
+    "out",
+    "path to write the signed file to (defaults to file)"
+  )
+  .addOptionalParam(
+    "keystore",
+    "encrypted JSON keystore to sign with, unlocked with DISTRIBUTION_SIGNER_PASSWORD (defaults to DISTRIBUTION_SIGNER_PRIVATE_KEY)"
+  )
+  .setAction(async (args) => {
+    const signer = await loadLocalSigner("DISTRIBUTION_SIGNER", {
+      keystore: args.keystore,
+    });
+    const signed = await signDistribution(
+      loadDistributionFile(args.file),
+      signer
+    );
+    const out = args.out || args.file;
+    fs.writeFileSync(out, JSON.stringify(signed, null, 2));
+    console.log(
+      `Distribution ${signed.merkleRoot} signed by ${signer.address} written to ${out}`
+    );
+  });
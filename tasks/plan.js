@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+const { task, types } = require("hardhat/config");
+
+const {
+  createAllocationManifest,
+  loadAllocationManifest,
+  signAllocationManifest,
+} = require("../src/utils/allocationFile");
+const {
+  PLAN_SECTIONS,
+  applyPlan,
+  loadPlan,
+} = require("../src/utils/deploymentPlan");
+const { loadLocalSigner } = require("../src/utils/localSigner");
+const { TransactionJournal } = require("../src/utils/TransactionJournal");
+
+// addresses allowed to sign off allocations, comma separated. Without any, allocations that
+// are not signed off are only accepted with --allow-unsigned
+const getAllowedSigners = (signers = process.env.ALLOCATION_SIGNERS) =>
+  signers
+    ? signers.split(",").map((signer) => utils.getAddress(signer.trim()))
+    : [];
+
+/**
+ * Task to launch a chain from a declarative deployment plan.
+ */
+task("plan:apply", "Applies a deployment plan to the current network")
+  .addParam("plan", "path to the deployment plan JSON")
+  .addOptionalParam(
+    "only",
+    `comma separated sections to apply (${PLAN_SECTIONS.join(", ")})`
+  )
+  .addOptionalParam(
+    "journal",
+    "path of the transaction journal to record and resume from (defaults to journals/<network>/plan.json)"
+  )
+  .addOptionalParam(
+    "confirmations",
+    "blocks to wait for after each transaction",
+    1,
+    types.int
+  )
+  .addOptionalParam("maxFee", "cap of the fee per gas in gwei")
+  .addOptionalParam("priorityFee", "priority fee per gas in gwei")
+  .addOptionalParam(
+    "signers",
+    "comma separated addresses allowed to sign off allocations (defaults to ALLOCATION_SIGNERS)"
+  )
+  .addFlag(
+    "allowUnsigned",
+    "accept allocations that are not signed off when no signers are set"
+  )
+  .addFlag("dryRun", "only report the steps that would send a transaction")
+  .setAction(async (args, hre) => {
+    const plan = loadPlan(args.plan, {
+      signers: getAllowedSigners(args.signers),
+      allowUnsigned: args.allowUnsigned,
+    });
+    const results = await applyPlan(plan, hre, {
+      only: args.only
+        ? args.only.split(",").map((section) => section.trim())
+        : undefined,
+      dryRun: args.dryRun,
+      journal: new TransactionJournal({
+        path:
+          args.journal ||
+          path.join(process.cwd(), "journals", hre.network.name, "plan.json"),
+        provider: hre.ethers.provider,
+      }),
+      senderOptions: {
+        confirmations: args.confirmations,
+        maxFeePerGas: args.maxFee && utils.parseUnits(args.maxFee, "gwei"),
+        maxPriorityFeePerGas:
+          args.priorityFee && utils.parseUnits(args.priorityFee, "gwei"),
+        onReplaced: (hash, replacement) =>
+          console.log(`Replaced stuck ${hash} with ${replacement.hash}`),
+      },
+      log: (line) => console.log(line),
+    });
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    console.log(
+      `${count("applied")} applied, ${count(
+        "skipped"
+      )} already satisfied, ${count("pending")} pending`
+    );
+  });
+
+task(
+  "plan:allocation",
+  "Checks a CSV or JSON allocation and writes the manifest to sign off"
+)
+  .addParam("file", "path to the allocation, with address and amount columns")
+  .addParam("name", "what the allocation is for, e.g. Team TIME tokens")
+  .addParam("total", "declared total of the amounts")
+  .addOptionalParam(
+    "decimals",
+    "decimals of the amounts, 0 for amounts in wei",
+    18,
+    types.int
+  )
+  .addOptionalParam(
+    "out",
+    "path to write the manifest to (defaults to <file>.manifest.json)"
+  )
+  .setAction(async (args) => {
+    const out =
+      args.out ||
+      path.join(
+        path.dirname(args.file),
+        `${path.basename(args.file, path.extname(args.file))}.manifest.json`
+      );
+    const manifest = createAllocationManifest(args.file, {
+      name: args.name,
+      decimals: args.decimals,
+      total: args.total,
+      manifestDir: path.dirname(out),
+    });
+    fs.writeFileSync(out, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(
+      `${manifest.count} recipients of ${manifest.total} with content hash ${manifest.contentHash} written to ${out}`
+    );
+  });
+
+task("plan:signoff", "Signs off an allocation manifest with a local key")
+  .addParam("manifest", "path to the allocation manifest JSON")
+  .addOptionalParam(
+    "keystore",
+    "encrypted JSON keystore to sign with, unlocked with ALLOCATION_SIGNER_PASSWORD (defaults to ALLOCATION_SIGNER_PRIVATE_KEY)"
+  )
+  .setAction(async (args) => {
+    const signer = await loadLocalSigner("ALLOCATION_SIGNER", {
+      keystore: args.keystore,
+    });
+
+    // refuses manifests whose allocation file changed since it was written
+    const { manifest } = loadAllocationManifest(args.manifest, {
+      allowUnsigned: true,
+    });
+    const signed = await signAllocationManifest(manifest, signer);
+    fs.writeFileSync(args.manifest, `${JSON.stringify(signed, null, 2)}\n`);
+    console.log(
+      `Allocation ${manifest.contentHash} signed off by ${signer.address}`
+    );
+  });
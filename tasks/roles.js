@@ -0,0 +1,29 @@
+const { task } = require("hardhat/config");
+
+const {
+  auditRoles,
+  formatRoleAudit,
+  loadPolicy,
+} = require("../src/utils/roleAudit");
+
+/**
+ * Task to check the AccessControl roles of the token contracts against a policy.
+ */
+task(
+  "roles:audit",
+  "Rebuilds the role members of TicToken and the TimeTokens from events and fails on drift from the policy"
+)
+  .addOptionalParam(
+    "policy",
+    "path to the role policy JSON",
+    "plans/roles.json"
+  )
+  .setAction(async (args, hre) => {
+    const report = await auditRoles(loadPolicy(args.policy), hre);
+    console.log(formatRoleAudit(report));
+    if (report.drift.length > 0) {
+      throw new Error(
+        `Roles on ${hre.network.name} drifted from ${args.policy}`
+      );
+    }
+  });
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+
+const {
+  createAllocationManifest,
+  getAllocationHash,
+  loadAllocation,
+  loadAllocationManifest,
+  parseAllocationCSV,
+  parseAllocationJSON,
+  signAllocationManifest,
+  validateAllocation,
+} = require("../src/utils/allocationFile");
+
+describe("allocationFile", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "allocation-file-"));
+    file = path.join(dir, "team.csv");
+    fs.writeFileSync(
+      file,
+      `address,amount,note\n${account1},500,lead\n\n${account2},250,dev\n`
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads CSV and JSON allocations to the same content hash", () => {
+    const csv = loadAllocation(file, { total: "750" });
+    expect(csv.recipients).to.deep.eq({ [account1]: "500", [account2]: "250" });
+
+    const json = validateAllocation(
+      parseAllocationJSON([
+        { address: account2, amount: "250" },
+        { address: account1, amount: "500" },
+      ]).rows,
+      { total: "750" }
+    );
+    expect(json.valid).to.eq(true);
+    expect(json.contentHash).to.eq(csv.contentHash);
+
+    // the hash covers the amounts in base units, not how they are written
+    const wei = validateAllocation(
+      parseAllocationJSON({
+        [account1]: "500000000000000000000",
+        [account2]: "250000000000000000000",
+      }).rows,
+      { decimals: 0, total: "750000000000000000000" }
+    );
+    expect(wei.contentHash).to.eq(csv.contentHash);
+    expect(getAllocationHash({ [account1]: 1, [account2]: 2 })).not.to.eq(
+      getAllocationHash({ [account1]: 2, [account2]: 1 })
+    );
+  });
+
+  it("rejects bad checksums, duplicates and wrong totals", () => {
+    expect(parseAllocationCSV("account,value\n").errors).to.deep.eq([
+      "CSV header must have address and amount columns",
+    ]);
+    expect(
+      parseAllocationCSV(`address,amount\n${account1}\n`).errors
+    ).to.deep.eq(["Line 2: expected 2 columns"]);
+
+    const { errors } = validateAllocation(
+      parseAllocationCSV(
+        [
+          "address,amount",
+          `${account1},500`,
+          `${account1.toLowerCase()},1`,
+          `${account2.toLowerCase()},250`,
+          "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549192,1",
+          "0x123,1",
+          `${account2},-1`,
+          "0xf481F3A48696f1f20679707fED3F680e4A84BE0B,-1",
+        ].join("\n")
+      ).rows,
+      { total: "750" }
+    );
+    expect(errors).to.deep.eq([
+      `Line 3: ${account1.toLowerCase()} is not EIP-55 checksummed`,
+      `Line 3: ${account1.toLowerCase()} is a duplicate of line 2`,
+      `Line 4: ${account2.toLowerCase()} is not EIP-55 checksummed`,
+      "Line 5: invalid address 0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549192",
+      "Line 6: invalid address 0x123",
+      `Line 7: ${account2} is a duplicate of line 4`,
+      "Line 8: invalid amount -1",
+    ]);
+
+    expect(
+      validateAllocation(
+        parseAllocationCSV(`address,amount\n${account1},5\n${account1},5\n`)
+          .rows,
+        { total: "10" }
+      ).errors
+    ).to.deep.eq([`Line 3: ${account1} is a duplicate of line 2`]);
+    expect(() => loadAllocation(file, { total: "700" })).to.throw(
+      "Amounts add up to 750.0 not the declared 700"
+    );
+    expect(() => loadAllocation(file, {})).to.throw("Missing declared total");
+  });
+
+  it("pins the allocation with a signed-off manifest", async () => {
+    const signer = new Wallet(`0x${"11".repeat(32)}`);
+    const other = new Wallet(`0x${"22".repeat(32)}`);
+    const manifestFile = path.join(dir, "team.manifest.json");
+    const manifest = createAllocationManifest(file, {
+      name: "Team TIME tokens",
+      total: "750",
+    });
+    expect(manifest).to.deep.include({
+      file: "team.csv",
+      decimals: 18,
+      total: "750",
+      count: 2,
+    });
+    fs.writeFileSync(
+      manifestFile,
+      JSON.stringify(await signAllocationManifest(manifest, signer))
+    );
+
+    const loaded = loadAllocationManifest(manifestFile, {
+      signers: [signer.address],
+    });
+    expect(loaded.contentHash).to.eq(manifest.contentHash);
+    expect(loaded.recipients[account2]).to.eq("250");
+    expect(() =>
+      loadAllocationManifest(manifestFile, { signers: [other.address] })
+    ).to.throw("is not signed off by an allowed signer");
+    expect(() => loadAllocationManifest(manifestFile)).to.throw(
+      "No allocation signers are allowed"
+    );
+    expect(
+      loadAllocationManifest(manifestFile, { allowUnsigned: true }).contentHash
+    ).to.eq(manifest.contentHash);
+
+    // a manifest edited after sign-off no longer verifies
+    fs.writeFileSync(
+      manifestFile,
+      JSON.stringify({
+        ...(await signAllocationManifest(manifest, signer)),
+        name: "Advisor TIME tokens",
+      })
+    );
+    expect(() =>
+      loadAllocationManifest(manifestFile, { signers: [signer.address] })
+    ).to.throw("is not signed off by an allowed signer");
+
+    // so does the allocation once an amount moves between recipients
+    fs.writeFileSync(
+      manifestFile,
+      JSON.stringify(await signAllocationManifest(manifest, signer))
+    );
+    fs.writeFileSync(
+      file,
+      `address,amount\n${account1},450\n${account2},300\n`
+    );
+    expect(() =>
+      loadAllocationManifest(manifestFile, { signers: [signer.address] })
+    ).to.throw("team.csv changed after");
+  });
+});
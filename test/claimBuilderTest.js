@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  buildClaimTransactions,
+  getClaimableClaims,
+  sendClaims,
+} = require("../src/utils/claimBuilder");
+const { generateDistribution } = require("../src/utils/generateDistribution");
+const {
+  advance,
+  deployMerklePoolsFixture,
+  expectRejection,
+} = require("./helpers/merklePoolsFixture");
+
+describe("claimBuilder", () => {
+  let accounts;
+  let exchange;
+  let merklePools;
+  let staker1;
+  let distribution;
+
+  beforeEach(async () => {
+    let stake;
+    let generateLP;
+    ({ accounts, exchange, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+    [, , staker1] = accounts;
+
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker1, 1, ethers.utils.parseUnits("10"));
+    await advance(7 * 86400);
+    await generateLP(0, await merklePools.getPoolTotalUnclaimedNotInLP(0));
+    await generateLP(1, await merklePools.getPoolTotalUnclaimedNotInLP(1));
+    ({ distribution } = await generateDistribution(merklePools));
+  });
+
+  it("fails before claims are enabled", async () => {
+    await expectRejection(
+      getClaimableClaims(merklePools, distribution, staker1.address),
+      "MerklePools claims are disabled"
+    );
+  });
+
+  it("fails when the distribution does not match the on chain root", async () => {
+    await merklePools.setMerkleRoot(`0x${"11".repeat(32)}`);
+    await expectRejection(
+      getClaimableClaims(merklePools, distribution, staker1.address),
+      "does not match on chain root"
+    );
+  });
+
+  it("builds one unsigned claim transaction per pool", async () => {
+    await merklePools.setMerkleRoot(distribution.merkleRoot);
+    const transactions = await buildClaimTransactions(
+      merklePools,
+      distribution,
+      staker1.address.toLowerCase()
+    );
+    expect(transactions.map(({ claim }) => claim.poolId)).to.deep.eq([0, 1]);
+
+    const { claim, transaction } = transactions[0];
+    expect(transaction.to).to.eq(merklePools.address);
+    expect(transaction.from).to.eq(staker1.address);
+    expect(claim.lpTokenAmount).to.eq(claim.totalLPTokenAmount);
+
+    await staker1.sendTransaction(transaction);
+    expect(await exchange.balanceOf(staker1.address)).to.eq(
+      ethers.utils.parseUnits("90").add(claim.lpTokenAmount)
+    );
+
+    // the claimed pool is no longer returned
+    const remaining = await getClaimableClaims(
+      merklePools,
+      distribution,
+      staker1.address
+    );
+    expect(remaining.map(({ poolId }) => poolId)).to.deep.eq([1]);
+  });
+
+  it("sends every claimable claim from a signer", async () => {
+    await merklePools.setMerkleRoot(distribution.merkleRoot);
+    const claims = await getClaimableClaims(
+      merklePools,
+      distribution,
+      staker1.address
+    );
+    const expectedLP = claims.reduce(
+      (memo, { lpTokenAmount }) => memo.add(lpTokenAmount),
+      ethers.utils.parseUnits("90")
+    );
+
+    const sent = await sendClaims(merklePools, distribution, staker1);
+    expect(sent).to.have.length(2);
+    expect(await exchange.balanceOf(staker1.address)).to.eq(expectedLP);
+    expect(
+      await getClaimableClaims(merklePools, distribution, staker1.address)
+    ).to.have.length(0);
+  });
+});
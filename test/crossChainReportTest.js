@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  getChainSnapshot,
+  buildCrossChainReport,
+  formatCrossChainReport,
+} = require("../src/utils/crossChainReport");
+const { parseDistributionFile } = require("../src/utils/distributionFile");
+const {
+  advance,
+  deployMerklePoolsFixture,
+} = require("./helpers/merklePoolsFixture");
+
+describe("crossChainReport", () => {
+  let accounts;
+  let exchange;
+  let merklePools;
+  let merklePoolsForeign;
+  let deployProxy;
+
+  beforeEach(async () => {
+    let stake;
+    let generateLP;
+    ({ accounts, exchange, merklePools, deployProxy, stake, generateLP } =
+      await deployMerklePoolsFixture());
+    merklePoolsForeign = await deployProxy("MerklePoolsForeign");
+
+    await stake(accounts[2], 0, ethers.utils.parseUnits("100"));
+    await stake(
+      accounts[3],
+      1,
+      ethers.utils.parseUnits("10"),
+      merklePoolsForeign
+    );
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("1000"));
+    await generateLP(1, ethers.utils.parseUnits("500"), merklePoolsForeign);
+  });
+
+  it("builds a distribution and TIC totals per deployment", async () => {
+    const avalanche = await getChainSnapshot(merklePools);
+    const mainnet = await getChainSnapshot(merklePoolsForeign, {
+      kind: "MerklePoolsForeign",
+    });
+
+    // every distribution is bound to its own proxy
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(() =>
+      parseDistributionFile(mainnet.distribution, {
+        chainId,
+        contract: merklePools.address,
+      })
+    ).to.throw("Distribution is for contract");
+    expect(
+      parseDistributionFile(avalanche.distribution, {
+        chainId,
+        contract: merklePools.address,
+      }).merkleRoot
+    ).to.not.eq(mainnet.distribution.merkleRoot);
+
+    // rewards keep accruing after the snapshot, so compare against the snapshot block
+    const blockTag = mainnet.snapshotBlock;
+    const [ticPool, lpPool] = mainnet.pools;
+    expect(ticPool.ticInLP).to.eq(0);
+    expect(lpPool.ticInLP).to.eq(ethers.utils.parseUnits("500"));
+    expect(lpPool.ticEmitted).to.eq(
+      await merklePoolsForeign.getPoolTotalUnclaimed(1, { blockTag })
+    );
+    expect(lpPool.ticNotInLP).to.eq(
+      await merklePoolsForeign.getPoolTotalUnclaimedNotInLP(1, { blockTag })
+    );
+    // the proxy also holds the LP tokens staked in the LP pool
+    expect(mainnet.totals.lpGenerated).to.eq(
+      (await exchange.balanceOf(merklePoolsForeign.address, { blockTag })).sub(
+        await merklePoolsForeign.getPoolTotalDeposited(1, { blockTag })
+      )
+    );
+
+    const report = buildCrossChainReport([avalanche, mainnet]);
+    expect(report.chains.map(({ kind }) => kind)).to.deep.eq([
+      "MerklePools",
+      "MerklePoolsForeign",
+    ]);
+    expect(report.totals.ticInLP).to.eq(
+      avalanche.totals.ticInLP.add(mainnet.totals.ticInLP).toString()
+    );
+    expect(formatCrossChainReport(report)).to.have.length(
+      report.chains.length + 4 + 1
+    );
+  });
+
+  it("reports claimed TIC once paid out", async () => {
+    const staker1 = accounts[2];
+    const avalanche = await getChainSnapshot(merklePools);
+    await merklePools.setMerkleRoot(avalanche.distribution.merkleRoot);
+    const claim = avalanche.distribution.claims[staker1.address]["0"];
+    await merklePools
+      .connect(staker1)
+      .claim(
+        claim.index,
+        0,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        claim.proof
+      );
+    const claimed = await getChainSnapshot(merklePools);
+    expect(claimed.pools[0].ticClaimed).to.eq(claim.totalTICAmount);
+    expect(claimed.pools[0].lpClaimed).to.eq(claim.totalLPTokenAmount);
+    expect(claimed.pools[0].ticEmitted).to.eq(
+      claimed.pools[0].ticClaimed.add(
+        await merklePools.getPoolTotalUnclaimed(0)
+      )
+    );
+
+    expect(buildCrossChainReport([claimed]).totals.ticClaimed).to.eq(
+      ethers.BigNumber.from(claim.totalTICAmount).toString()
+    );
+  });
+
+  it("has no distribution for a deployment without stakers", async () => {
+    const empty = await getChainSnapshot(await deployProxy("MerklePools"));
+    expect(empty.distribution).to.be.null;
+    expect(empty.totals.ticEmitted).to.eq(0);
+    expect(buildCrossChainReport([empty]).chains[0].merkleRoot).to.be.null;
+  });
+});
@@ -0,0 +1,334 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const {
+  createAllocationManifest,
+  signAllocationManifest,
+} = require("../src/utils/allocationFile");
+const {
+  applyPlan,
+  loadPlan,
+  validatePlan,
+} = require("../src/utils/deploymentPlan");
+const { TransactionJournal } = require("../src/utils/TransactionJournal");
+const { expectRejection } = require("./helpers/merklePoolsFixture");
+
+const { ethers, deployments } = hre;
+
+const statuses = (results) => results.map(({ status }) => status);
+
+describe("deploymentPlan", () => {
+  let accounts;
+  let plan;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    await deployments.fixture();
+
+    plan = {
+      version: 1,
+      network: "hardhat",
+      stakingPools: "StakingPools",
+      tokens: {
+        tic: "TicToken",
+        daoTime: "TimeTokenDAO",
+        teamTime: "TimeTokenTeam",
+        preSeedTime: "TimeTokenPreSeed",
+        lp: "QuoteToken",
+      },
+      mints: [
+        {
+          label: "TIC pre-mine",
+          token: "tic",
+          recipients: { governance: "1000" },
+        },
+        {
+          label: "Pre-seed",
+          token: "preSeedTime",
+          decimals: 0,
+          total: "300",
+          recipients: {
+            [accounts[2].address]: "100",
+            [accounts[3].address.toLowerCase()]: "200",
+          },
+        },
+      ],
+      pools: [
+        { token: "teamTime", weight: 0 },
+        { token: "preSeedTime", weight: 0 },
+        { token: "daoTime", weight: 1000 },
+        { token: "tic", weight: 1600 },
+        { token: "lp", weight: 4800 },
+      ],
+      grants: [
+        { token: "tic", role: "MINTER_ROLE", account: "StakingPools" },
+        { token: "tic", role: "ADMIN_ROLE", account: "governance" },
+      ],
+      renounces: [
+        { token: "tic", role: "ADMIN_ROLE" },
+        { token: "tic", role: "MINTER_ROLE" },
+      ],
+    };
+  });
+
+  it("applies a plan once and skips what is already on chain", async () => {
+    const [admin, governance] = accounts;
+    const ticToken = await ethers.getContractAt(
+      "TicToken",
+      (
+        await deployments.get("TicToken")
+      ).address
+    );
+    const preSeedTime = await ethers.getContractAt(
+      "TimeToken",
+      (
+        await deployments.get("TimeTokenPreSeed")
+      ).address
+    );
+    const stakingPools = await ethers.getContractAt(
+      "StakingPools",
+      (
+        await deployments.get("StakingPools")
+      ).address
+    );
+
+    const preview = await applyPlan(plan, hre, { dryRun: true });
+    expect(statuses(preview)).to.deep.eq([
+      "pending",
+      "pending",
+      "pending",
+      "skipped",
+      "skipped",
+      "skipped",
+      "skipped",
+      "pending",
+      "pending",
+      "skipped",
+      "pending",
+      "pending",
+      "pending",
+    ]);
+
+    // the TIC minted to the DAO as staking rewards or by anyone else does not count
+    await ticToken.grantRole(await ticToken.MINTER_ROLE(), governance.address);
+    await ticToken
+      .connect(governance)
+      .mint(governance.address, ethers.utils.parseUnits("5"));
+    await ticToken.mint(governance.address, ethers.utils.parseUnits("400"));
+
+    const results = await applyPlan(plan, hre, { only: ["mints", "pools"] });
+    expect(statuses(results)).to.deep.eq([
+      "applied",
+      "applied",
+      "applied",
+      "skipped",
+      "skipped",
+      "skipped",
+      "skipped",
+      "applied",
+    ]);
+    expect(await ticToken.balanceOf(governance.address)).to.eq(
+      ethers.utils.parseUnits("1005")
+    );
+    expect(await preSeedTime.balanceOf(accounts[3].address)).to.eq(200);
+    expect(await stakingPools.poolCount()).to.eq(5);
+
+    const rest = await applyPlan(plan, hre);
+    expect(statuses(rest)).to.deep.eq([
+      ...Array(7).fill("skipped"),
+      "skipped",
+      "applied",
+      "skipped",
+      "applied",
+      "applied",
+      "applied",
+    ]);
+    expect(await stakingPools.getPoolRewardWeight(4)).to.eq(4800);
+    const adminRole = await ticToken.ADMIN_ROLE();
+    expect(await ticToken.hasRole(adminRole, governance.address)).to.eq(true);
+    expect(await ticToken.hasRole(adminRole, admin.address)).to.eq(false);
+
+    const again = await applyPlan(plan, hre);
+    expect(statuses(again)).to.deep.eq(Array(13).fill("skipped"));
+  });
+
+  it("refuses plans that do not match the chain", async () => {
+    expect(
+      validatePlan({
+        ...plan,
+        mints: [{ ...plan.mints[1], total: "301" }],
+        grants: [{ token: "tic", role: "OWNER_ROLE", account: "governance" }],
+      }).errors
+    ).to.deep.eq([
+      "Recipients of mints[0] add up to 300 not 301",
+      "Invalid grants[0]",
+    ]);
+
+    await expectRejection(
+      applyPlan({ ...plan, network: "avalanche" }, hre),
+      "Plan is for avalanche but the network is hardhat"
+    );
+    await expectRejection(
+      applyPlan(
+        {
+          ...plan,
+          pools: [
+            { token: "preSeedTime", weight: 0 },
+            ...plan.pools.filter(({ token }) => token !== "preSeedTime"),
+          ],
+        },
+        hre,
+        { only: ["pools"] }
+      ),
+      "preSeedTime is pool 1 on chain but pool 0 in the plan"
+    );
+    await expectRejection(
+      applyPlan(
+        {
+          ...plan,
+          tokens: { ...plan.tokens, lp: ethers.constants.AddressZero },
+        },
+        hre,
+        { only: ["pools"] }
+      ),
+      "Token lp: The zero address can not be used"
+    );
+
+    // the deployer keeps its admin role until the DAO holds it
+    await expectRejection(
+      applyPlan({ ...plan, grants: [] }, hre, { only: ["renounces"] }),
+      "Refusing to renounce ADMIN_ROLE of tic"
+    );
+
+    // without the receipt of a token its mints can not be read from its deployment on
+    const TimeToken = await ethers.getContractFactory("TimeToken");
+    const undeployed = await TimeToken.deploy("Time", "TIME");
+    await expectRejection(
+      applyPlan(
+        { ...plan, tokens: { ...plan.tokens, tic: undeployed.address } },
+        hre,
+        { only: ["mints"] }
+      ),
+      `No deployment receipt of ${undeployed.address}`
+    );
+  });
+
+  it("mints the sum of every mint of a recipient", async () => {
+    const [, governance] = accounts;
+    const ticToken = await ethers.getContractAt(
+      "TicToken",
+      (
+        await deployments.get("TicToken")
+      ).address
+    );
+    const twice = {
+      ...plan,
+      mints: [
+        plan.mints[0],
+        {
+          label: "TIC liquidity",
+          token: "tic",
+          recipients: { governance: "250" },
+        },
+      ],
+    };
+
+    const results = await applyPlan(twice, hre, { only: ["mints"] });
+    expect(statuses(results)).to.deep.eq(["applied", "applied"]);
+    expect(await ticToken.balanceOf(governance.address)).to.eq(
+      ethers.utils.parseUnits("1250")
+    );
+    const again = await applyPlan(twice, hre, { only: ["mints"] });
+    expect(statuses(again)).to.deep.eq(["skipped", "skipped"]);
+  });
+
+  it("journals the replacements of stuck transactions", async () => {
+    const journal = new TransactionJournal({ provider: ethers.provider });
+    const replaced = [];
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let results;
+    try {
+      results = await applyPlan({ ...plan, mints: [plan.mints[0]] }, hre, {
+        only: ["mints"],
+        journal,
+        senderOptions: {
+          timeout: 200,
+          onReplaced: (hash) => {
+            replaced.push(hash);
+            hre.network.provider.send("evm_mine");
+          },
+        },
+      });
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+
+    expect(statuses(results)).to.deep.eq(["applied"]);
+    const [entry] = journal.entries;
+    expect(entry.hashes).to.have.length(2);
+    expect(entry.hashes[0]).to.eq(replaced[0]);
+    expect(entry.hash).to.eq(entry.hashes[1]);
+  });
+
+  it("mints signed-off allocation files and journals their content hash", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-plan-"));
+    try {
+      const csv = path.join(dir, "team.csv");
+      fs.writeFileSync(
+        csv,
+        `address,amount\n${accounts[2].address},500\n${accounts[3].address},250\n`
+      );
+      const manifest = createAllocationManifest(csv, {
+        name: "Team TIME tokens",
+        total: "750",
+      });
+      const manifestFile = path.join(dir, "team.manifest.json");
+      fs.writeFileSync(
+        manifestFile,
+        JSON.stringify(await signAllocationManifest(manifest, accounts[5]))
+      );
+      const planFile = path.join(dir, "plan.json");
+      fs.writeFileSync(
+        planFile,
+        JSON.stringify({
+          ...plan,
+          mints: [
+            {
+              label: "Team TIME tokens",
+              token: "teamTime",
+              allocation: "team.manifest.json",
+            },
+          ],
+        })
+      );
+
+      expect(() =>
+        loadPlan(planFile, { signers: [accounts[6].address] })
+      ).to.throw("is not signed off by an allowed signer");
+      const journal = new TransactionJournal({ provider: ethers.provider });
+      const results = await applyPlan(
+        loadPlan(planFile, { signers: [accounts[5].address] }),
+        hre,
+        { only: ["mints"], journal }
+      );
+      expect(statuses(results)).to.deep.eq(["applied", "applied"]);
+      expect(
+        journal.entries.map(({ details }) => details.contentHash)
+      ).to.deep.eq([manifest.contentHash, manifest.contentHash]);
+      const teamTime = await ethers.getContractAt(
+        "TimeToken",
+        (
+          await deployments.get("TimeTokenTeam")
+        ).address
+      );
+      expect(await teamTime.balanceOf(accounts[3].address)).to.eq(
+        ethers.utils.parseUnits("250")
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
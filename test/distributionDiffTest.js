@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+
+const { createDistributionFile } = require("../src/utils/distributionFile");
+const {
+  diffDistributions,
+  formatDistributionDiff,
+  distributionDiffToCSV,
+} = require("../src/utils/distributionDiff");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+
+describe("distributionDiff", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+  const account3 = "0x0000000000000000000000000000000000000003";
+  const proxy = "0x0e2b0bd5a9c3d5c8a5b1c1d3f0e8c6a9b8d7e6f5";
+  const zeroRoot =
+    "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+  const build = (claims, snapshotBlock, contract = proxy) =>
+    createDistributionFile(parseBalanceMap(claims), {
+      chainId: 43114,
+      contract,
+      snapshotBlock,
+      previousRoot: zeroRoot,
+      metadata: { generator: "test", fromBlock: 0 },
+    });
+
+  let previous;
+  let next;
+
+  before(() => {
+    previous = build(
+      [
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 100,
+          totalTICAmount: 1000,
+        },
+        {
+          account: account2,
+          poolId: 0,
+          totalLPTokenAmount: 50,
+          totalTICAmount: 500,
+        },
+        {
+          account: account2,
+          poolId: 1,
+          totalLPTokenAmount: 10,
+          totalTICAmount: 20,
+        },
+      ],
+      100
+    );
+    next = build(
+      [
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 150,
+          totalTICAmount: 1500,
+        },
+        {
+          account: account2,
+          poolId: 0,
+          totalLPTokenAmount: 40,
+          totalTICAmount: 500,
+        },
+        {
+          account: account3,
+          poolId: 0,
+          totalLPTokenAmount: 5,
+          totalTICAmount: 50,
+        },
+      ],
+      200
+    );
+  });
+
+  it("labels new, increased, decreased and removed claims", () => {
+    const diff = diffDistributions(previous, next);
+    expect(diff.summary).to.deep.eq({
+      new: 1,
+      increased: 1,
+      unchanged: 0,
+      decreased: 1,
+      removed: 1,
+      flagged: 2,
+    });
+    const byKey = diff.rows.reduce(
+      (memo, row) => ({ ...memo, [`${row.account}:${row.poolId}`]: row }),
+      {}
+    );
+    expect(byKey[`${account1}:0`].status).to.eq("increased");
+    expect(byKey[`${account1}:0`].deltaTICAmount).to.eq("500");
+    expect(byKey[`${account2}:0`].flags).to.deep.eq(["DECREASED"]);
+    expect(byKey[`${account2}:1`].status).to.eq("removed");
+    expect(byKey[`${account2}:1`].flags).to.deep.eq(["REMOVED"]);
+    expect(byKey[`${account3}:0`].status).to.eq("new");
+
+    const [pool0] = diff.pools;
+    expect(pool0.deltaLPTokenAmount).to.eq("45");
+    expect(pool0.deltaTICAmount).to.eq("550");
+    const lines = formatDistributionDiff(diff);
+    expect(lines).to.have.length(2 + 2 + 2 + 4);
+    expect(lines[3]).to.eq(
+      "WARNING: 1 removed claims can not be claimed under the new root"
+    );
+  });
+
+  it("flags increases above what the pool accrued between the snapshots", () => {
+    const diff = diffDistributions(previous, next, {
+      accruals: {
+        0: {
+          ticAccrued: BigNumber.from(500),
+          lpGenerated: BigNumber.from(50),
+        },
+        1: { ticAccrued: BigNumber.from(0), lpGenerated: BigNumber.from(0) },
+      },
+    });
+    const [pool0] = diff.pools;
+    expect(pool0.flags).to.deep.eq(["EXCEEDS_ACCRUED_TIC"]);
+    expect(pool0.ticAccrued).to.eq("500");
+    // every claim stays within the accrual on its own, only their sum exceeds it
+    const row = diff.rows.find(({ account }) => account === account1);
+    expect(row.flags).to.deep.eq([]);
+
+    const csv = distributionDiffToCSV(diff).split("\n");
+    expect(csv[0]).to.eq(
+      "account,poolId,status,previousLPTokenAmount,nextLPTokenAmount,deltaLPTokenAmount,previousTICAmount,nextTICAmount,deltaTICAmount,flags"
+    );
+    expect(csv).to.have.length(diff.rows.length + 1);
+  });
+
+  it("rejects files of another deployment or in the wrong order", () => {
+    expect(() => diffDistributions(next, previous)).to.throw(
+      "is older than the one at block"
+    );
+    const other = build(
+      [
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 1,
+          totalTICAmount: 1,
+        },
+        {
+          account: account2,
+          poolId: 0,
+          totalLPTokenAmount: 1,
+          totalTICAmount: 1,
+        },
+      ],
+      300,
+      "0x2c4d6e8f0a1b3c5d7e9f1a2b3c4d5e6f7a8b9c0d"
+    );
+    expect(() => diffDistributions(previous, other)).to.throw(
+      "Distributions are for different deployments"
+    );
+  });
+});
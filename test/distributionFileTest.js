@@ -0,0 +1,124 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { utils } = require("ethers");
+
+const {
+  DISTRIBUTION_VERSION,
+  createDistributionFile,
+  validateDistributionFile,
+  parseDistributionFile,
+  loadDistributionFile,
+} = require("../src/utils/distributionFile");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+
+describe("distributionFile", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+  const avalancheProxy = "0x0e2b0bd5a9c3d5c8a5b1c1d3f0e8c6a9b8d7e6f5";
+  const mainnetProxy = "0x2c4d6e8f0a1b3c5d7e9f1a2b3c4d5e6f7a8b9c0d";
+  const zeroRoot =
+    "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+  const build = (overrides = {}) =>
+    createDistributionFile(
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 100,
+          totalTICAmount: 1000,
+        },
+        {
+          account: account2,
+          poolId: 1,
+          totalLPTokenAmount: 25,
+          totalTICAmount: 250,
+        },
+      ]),
+      {
+        chainId: 43114,
+        contract: avalancheProxy,
+        snapshotBlock: 1200,
+        previousRoot: zeroRoot,
+        metadata: { generator: "test", fromBlock: 1000 },
+        ...overrides,
+      }
+    );
+
+  it("binds a distribution to a chain and contract", () => {
+    const file = build();
+
+    expect(file.version).to.eq(DISTRIBUTION_VERSION);
+    expect(file.contract).to.eq(utils.getAddress(avalancheProxy));
+    expect(file.metadata.generatedAt).to.be.a("string");
+    expect(validateDistributionFile(file).valid).to.be.true;
+    expect(
+      parseDistributionFile(file, {
+        chainId: 43114,
+        contract: utils.getAddress(avalancheProxy),
+      })
+    ).to.eq(file);
+  });
+
+  it("rejects files built for another chain or contract", () => {
+    const file = build();
+
+    expect(() => parseDistributionFile(file, { chainId: 1 })).to.throw(
+      "Distribution is for chain 43114 but expected 1"
+    );
+    expect(() =>
+      parseDistributionFile(file, { chainId: 43114, contract: mainnetProxy })
+    ).to.throw("Distribution is for contract");
+  });
+
+  it("rejects malformed and tampered files", () => {
+    const file = build();
+
+    expect(validateDistributionFile({ ...file, version: 2 }).errors).to.deep.eq(
+      ["Unsupported distribution version: 2"]
+    );
+    expect(
+      validateDistributionFile({ ...file, chainId: undefined }).errors
+    ).to.deep.eq(["Invalid chainId: undefined"]);
+    expect(
+      validateDistributionFile({
+        ...file,
+        metadata: { ...file.metadata, fromBlock: 1300 },
+      }).errors
+    ).to.deep.eq(["fromBlock is after snapshotBlock"]);
+    expect(
+      validateDistributionFile({
+        ...file,
+        metadata: { ...file.metadata, forfeitPolicy: "burn" },
+      }).errors
+    ).to.deep.eq(["Invalid forfeitPolicy: burn"]);
+    expect(() => build({ previousRoot: "0x1234" })).to.throw(
+      "Invalid previousRoot: 0x1234"
+    );
+
+    const tampered = JSON.parse(JSON.stringify(file));
+    tampered.claims[account1]["0"].totalTICAmount = "0x03e9";
+    expect(validateDistributionFile(tampered).valid).to.be.true;
+    expect(() => parseDistributionFile(tampered)).to.throw(
+      "Invalid distribution file: Root mismatch"
+    );
+  });
+
+  it("loads files from disk", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "distribution-"));
+    const file = path.join(dir, "merkle.json");
+    try {
+      fs.writeFileSync(file, JSON.stringify(build(), null, 2));
+      expect(loadDistributionFile(file, { chainId: 43114 }).merkleRoot).to.eq(
+        build().merkleRoot
+      );
+      expect(() => loadDistributionFile(file, { chainId: 1 })).to.throw(
+        "Distribution is for chain 43114 but expected 1"
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+
+const { createDistributionFile } = require("../src/utils/distributionFile");
+const {
+  getDistributionDigest,
+  getDistributionSigners,
+  loadSignedDistributionFile,
+  parseSignedDistributionFile,
+  signDistribution,
+} = require("../src/utils/distributionSignature");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+
+describe("distributionSignature", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+  const proxy = "0x0e2b0bd5a9c3d5c8a5b1c1d3f0e8c6a9b8d7e6f5";
+  const zeroRoot =
+    "0x0000000000000000000000000000000000000000000000000000000000000000";
+  let builder;
+  let reviewer;
+  let file;
+
+  beforeEach(() => {
+    builder = new Wallet(`0x${"11".repeat(32)}`);
+    reviewer = new Wallet(`0x${"22".repeat(32)}`);
+    file = createDistributionFile(
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 100,
+          totalTICAmount: 1000,
+        },
+        {
+          account: account2,
+          poolId: 1,
+          totalLPTokenAmount: 25,
+          totalTICAmount: 250,
+        },
+      ]),
+      {
+        chainId: 43114,
+        contract: proxy,
+        snapshotBlock: 1200,
+        previousRoot: zeroRoot,
+        metadata: { generator: "test", fromBlock: 1000 },
+      }
+    );
+  });
+
+  it("accepts files signed by an allowed signer", async () => {
+    const signed = await signDistribution(
+      await signDistribution(file, builder),
+      reviewer
+    );
+    expect(signed.signatures.map(({ signer }) => signer).sort()).to.deep.eq(
+      [builder.address, reviewer.address].sort()
+    );
+    expect(getDistributionSigners(signed).signers.sort()).to.deep.eq(
+      [builder.address, reviewer.address].sort()
+    );
+
+    // signing again replaces the earlier signature of the same key
+    expect((await signDistribution(signed, builder)).signatures.length).to.eq(
+      2
+    );
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "signed-"));
+    const out = path.join(dir, "distribution.json");
+    fs.writeFileSync(out, JSON.stringify(signed));
+    expect(
+      loadSignedDistributionFile(out, {
+        signers: [reviewer.address.toLowerCase()],
+        chainId: 43114,
+      }).merkleRoot
+    ).to.eq(file.merkleRoot);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("refuses unsigned, foreign and modified files", async () => {
+    const signers = [builder.address];
+    expect(() => parseSignedDistributionFile(file, { signers })).to.throw(
+      `Distribution ${file.merkleRoot} is not signed by an allowed signer`
+    );
+    expect(() => parseSignedDistributionFile(file, { signers: [] })).to.throw(
+      "No distribution signers are allowed"
+    );
+
+    const signed = await signDistribution(file, builder);
+    expect(() =>
+      parseSignedDistributionFile(signed, { signers: [reviewer.address] })
+    ).to.throw("is not signed by an allowed signer");
+
+    // the snapshot block is signed, the chain and proxy are bound by the domain
+    const moved = { ...signed, snapshotBlock: 1300 };
+    expect(getDistributionDigest(moved)).to.not.eq(
+      getDistributionDigest(signed)
+    );
+    expect(getDistributionSigners(moved).errors).to.deep.eq([
+      `Invalid signature for ${builder.address}`,
+    ]);
+    expect(() => parseSignedDistributionFile(moved, { signers })).to.throw(
+      "is not signed by an allowed signer"
+    );
+    expect(() =>
+      parseSignedDistributionFile({ ...signed, chainId: 1 }, { signers })
+    ).to.throw("is not signed by an allowed signer");
+  });
+});
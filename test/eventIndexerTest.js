@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+
+const { EventIndexer } = require("../src/utils/EventIndexer");
+const { MerklePoolsAccounting } = require("../src/utils/MerklePoolsAccounting");
+const { getMerklePoolsEvents } = require("../src/utils/merklePoolsEvents");
+const {
+  advance,
+  deployMerklePoolsFixture,
+  expectRejection,
+  latestTimestamp,
+} = require("./helpers/merklePoolsFixture");
+
+describe("EventIndexer", () => {
+  let accounts;
+  let merklePools;
+  let stakingPools;
+  let stake;
+  let generateLP;
+  let dir;
+
+  beforeEach(async () => {
+    ({ accounts, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+    const StakingPools = await deployments.get("StakingPools");
+    stakingPools = new ethers.Contract(
+      StakingPools.address,
+      StakingPools.abi,
+      accounts[0]
+    );
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-indexer-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("indexes MerklePools and StakingPools events and resumes from the last block", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    const database = path.join(dir, "events.db");
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await advance(86400);
+
+    const indexer = new EventIndexer({ database });
+    const merkle = await indexer.addContract(merklePools, {
+      kind: "MerklePools",
+    });
+    const staking = await indexer.addContract(stakingPools, {
+      kind: "StakingPools",
+    });
+    await indexer.sync({ chunkSize: 7 });
+    const firstBlock = await ethers.provider.getBlockNumber();
+    expect(indexer.getLastIndexedBlock(merkle.chainId, merkle.address)).to.eq(
+      firstBlock
+    );
+    expect(
+      indexer.getEvents({ ...staking, event: "PoolCreated" })
+    ).to.have.length(4);
+    indexer.close();
+
+    await stake(staker2, 1, ethers.utils.parseUnits("10"));
+    await advance(86400);
+    await merklePools.connect(staker1).exit(0);
+    await generateLP(1, ethers.utils.parseUnits("1"));
+    await merklePools.setRewardRate(ethers.utils.parseUnits("2"));
+
+    // a new process picks up where the last sync stopped
+    const resumed = new EventIndexer({ database });
+    await resumed.addContract(merklePools, { kind: "MerklePools" });
+    await resumed.addContract(stakingPools, { kind: "StakingPools" });
+    const added = await resumed.sync();
+    expect(added).to.eq(
+      (await getMerklePoolsEvents(merklePools, { fromBlock: firstBlock + 1 }))
+        .length
+    );
+
+    const events = resumed.getEvents(merkle);
+    expect(events.map(({ event }) => event)).to.include.members([
+      "PoolCreated",
+      "RewardRateUpdated",
+      "PoolRewardWeightUpdated",
+      "TokensDeposited",
+      "TokensWithdrawn",
+      "LPTokensGenerated",
+    ]);
+    expect(
+      resumed
+        .getAccountEvents(staker1.address, merkle)
+        .map(({ event }) => event)
+    ).to.deep.eq(["TokensDeposited", "TokensWithdrawn"]);
+    expect(
+      resumed
+        .getPoolEvents(1, { ...merkle, event: "LPTokensGenerated" })
+        .map(({ poolId }) => poolId)
+    ).to.deep.eq([1]);
+    expect(
+      resumed.getBlockRangeEvents(firstBlock + 1, undefined, merkle)
+    ).to.have.length(added);
+
+    // replaying the index gives the same state as the contract
+    const accounting = new MerklePoolsAccounting({
+      forfeitAddress: accounts[1].address,
+    }).applyEvents(events);
+    const timestamp = await latestTimestamp();
+    expect(
+      accounting.getStakeTotalUnclaimed(staker2.address, 1, timestamp)
+    ).to.eq(await merklePools.getStakeTotalUnclaimed(staker2.address, 1));
+    expect(
+      accounting.getStakeTotalUnclaimed(accounts[1].address, 0, timestamp)
+    ).to.eq(await merklePools.getStakeTotalUnclaimed(accounts[1].address, 0));
+    resumed.close();
+  });
+
+  it("rejects a contract registered under another kind", async () => {
+    const indexer = new EventIndexer();
+    await indexer.addContract(merklePools, { kind: "MerklePools" });
+    await expectRejection(
+      indexer.addContract(merklePools, { kind: "StakingPools" }),
+      "is already indexed as MerklePools"
+    );
+    indexer.close();
+  });
+});
@@ -0,0 +1,157 @@
+const { ethers, deployments, upgrades } = require("hardhat");
+const exchangeArtifact = require("@elasticswap/elasticswap/artifacts/src/contracts/Exchange.sol/Exchange.json");
+
+const latestTimestamp = async () =>
+  (await ethers.provider.getBlock("latest")).timestamp;
+
+const advance = async (seconds) => {
+  await ethers.provider.send("evm_setNextBlockTimestamp", [
+    (await latestTimestamp()) + seconds,
+  ]);
+  await ethers.provider.send("evm_mine");
+};
+
+/**
+ * Awaits a promise that is expected to reject and asserts on the error message.
+ */
+const expectRejection = async (promise, message) => {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  if (!error || !error.message.includes(message)) {
+    throw new Error(
+      `Expected rejection with "${message}" but got ${
+        error ? `"${error.message}"` : "none"
+      }`
+    );
+  }
+};
+
+/**
+ * Deploys a MerklePools proxy with a TIC pool (0) and a TIC<>USDC ELP pool (1).
+ * accounts[0] is governance, accounts[1] is the forfeit address and accounts[2..4]
+ * are funded with TIC and ELP to stake. `deployProxy` deploys further proxies with the same
+ * pools, e.g. a MerklePoolsForeign next to a MerklePools, and `stake` / `generateLP` accept
+ * the proxy to act on as their last argument.
+ * @param contractName MerklePools or MerklePoolsForeign
+ */
+const deployMerklePoolsFixture = async (contractName = "MerklePools") => {
+  const accounts = await ethers.getSigners();
+  await deployments.fixture();
+
+  const ExchangeFactory = await deployments.get("ExchangeFactory");
+  const exchangeFactory = new ethers.Contract(
+    ExchangeFactory.address,
+    ExchangeFactory.abi,
+    accounts[0]
+  );
+  const QuoteToken = await deployments.get("QuoteToken"); // mock for USDC
+  const usdcToken = new ethers.Contract(
+    QuoteToken.address,
+    QuoteToken.abi,
+    accounts[0]
+  );
+  const TicToken = await deployments.get("TicToken");
+  const ticToken = new ethers.Contract(
+    TicToken.address,
+    TicToken.abi,
+    accounts[0]
+  );
+
+  await exchangeFactory.createNewExchange(ticToken.address, usdcToken.address);
+  const exchange = new ethers.Contract(
+    await exchangeFactory.exchangeAddressByTokenAddress(
+      ticToken.address,
+      usdcToken.address
+    ),
+    exchangeArtifact.abi,
+    accounts[0]
+  );
+
+  const minterRole = await ticToken.MINTER_ROLE();
+  const contractNames = {};
+  const deployProxy = async (name) => {
+    const MerklePools = await ethers.getContractFactory(name);
+    const proxy = await upgrades.deployProxy(MerklePools, [
+      ticToken.address,
+      usdcToken.address,
+      exchange.address,
+      accounts[0].address,
+      accounts[1].address,
+    ]);
+    await proxy.deployed();
+
+    await proxy.createPool(ticToken.address);
+    await proxy.createPool(exchange.address);
+    await proxy.setRewardRate(ethers.utils.parseUnits("1", 18));
+    await proxy.setRewardWeights([25, 75]);
+    await ticToken.grantRole(minterRole, proxy.address);
+    contractNames[proxy.address] = name;
+    return proxy;
+  };
+
+  const merklePools = await deployProxy(contractName);
+  await ticToken.grantRole(minterRole, accounts[0].address);
+
+  // seed the exchange at TIC = $10USDC and hand out LP so stakers can use the LP pool
+  const liquidity = ethers.utils.parseUnits("10000", 18);
+  await ticToken.mint(accounts[0].address, liquidity.mul(10));
+  await ticToken.approve(exchange.address, liquidity);
+  await usdcToken.approve(exchange.address, liquidity.mul(10));
+  await exchange.addLiquidity(
+    liquidity,
+    liquidity.mul(10),
+    0,
+    0,
+    accounts[0].address,
+    (await latestTimestamp()) + 6000
+  );
+  await accounts.slice(2, 5).reduce(async (previous, staker) => {
+    await previous;
+    await ticToken.mint(staker.address, ethers.utils.parseUnits("1000"));
+    await exchange.transfer(staker.address, ethers.utils.parseUnits("100"));
+  }, Promise.resolve());
+
+  const stake = async (staker, poolId, amount, proxy = merklePools) => {
+    const token = poolId === 0 ? ticToken : exchange;
+    await token.connect(staker).approve(proxy.address, amount);
+    await proxy.connect(staker).deposit(poolId, amount);
+  };
+
+  const generateLP = async (poolId, ticAmount, proxy = merklePools) => {
+    const usdcToAdd = ticAmount.mul(10);
+    await usdcToken.approve(proxy.address, usdcToAdd);
+    if (contractNames[proxy.address] === "MerklePoolsForeign") {
+      await ticToken.approve(proxy.address, ticAmount);
+    }
+    await proxy.generateLPTokens(
+      poolId,
+      ticAmount,
+      usdcToAdd,
+      0,
+      0,
+      (await latestTimestamp()) + 6000
+    );
+  };
+
+  return {
+    accounts,
+    ticToken,
+    usdcToken,
+    exchange,
+    merklePools,
+    deployProxy,
+    stake,
+    generateLP,
+  };
+};
+
+module.exports = {
+  advance,
+  deployMerklePoolsFixture,
+  expectRejection,
+  latestTimestamp,
+};
@@ -0,0 +1,27 @@
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+
+const { loadLocalSigner } = require("../src/utils/localSigner");
+const { expectRejection } = require("./helpers/merklePoolsFixture");
+
+const privateKey =
+  "0x1111111111111111111111111111111111111111111111111111111111111111";
+
+describe("localSigner", () => {
+  afterEach(() => {
+    delete process.env.TEST_SIGNER_PRIVATE_KEY;
+  });
+
+  it("loads the private key of the prefix", async () => {
+    process.env.TEST_SIGNER_PRIVATE_KEY = privateKey;
+    const signer = await loadLocalSigner("TEST_SIGNER");
+    expect(signer.address).to.eq(new Wallet(privateKey).address);
+  });
+
+  it("refuses to sign without a key", async () => {
+    await expectRejection(
+      loadLocalSigner("TEST_SIGNER"),
+      "Set TEST_SIGNER_PRIVATE_KEY or pass --keystore to sign"
+    );
+  });
+});
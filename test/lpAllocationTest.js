@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+
+const {
+  allocateLargestRemainder,
+  allocateBatch,
+  serializeBatches,
+} = require("../src/utils/lpAllocation");
+
+const alice = "0x1111111111111111111111111111111111111111";
+const bob = "0x2222222222222222222222222222222222222222";
+const carol = "0x3333333333333333333333333333333333333333";
+
+describe("lpAllocation", () => {
+  it("hands the rounding dust out by largest remainder", () => {
+    const shares = allocateLargestRemainder(100, [
+      { key: alice, weight: 1 },
+      { key: bob, weight: 1 },
+      { key: carol, weight: 1 },
+    ]);
+    // 33.33 each, the single leftover unit goes to the lowest key on a full tie
+    expect(shares[alice].toNumber()).to.eq(34);
+    expect(shares[bob].toNumber()).to.eq(33);
+    expect(shares[carol].toNumber()).to.eq(33);
+
+    const uneven = allocateLargestRemainder(10, [
+      { key: carol, weight: 5 },
+      { key: alice, weight: 2 },
+      { key: bob, weight: 2 },
+    ]);
+    // 5.55, 2.22, 2.22: carol has the largest remainder
+    expect(uneven[carol].toNumber()).to.eq(6);
+    expect(uneven[alice].toNumber()).to.eq(2);
+    expect(uneven[bob].toNumber()).to.eq(2);
+  });
+
+  it("is independent of the order of the weights", () => {
+    const weights = [
+      { key: alice, weight: 7 },
+      { key: bob, weight: 11 },
+      { key: carol, weight: 13 },
+    ];
+    const forward = allocateLargestRemainder(1000, weights);
+    const reversed = allocateLargestRemainder(1000, [...weights].reverse());
+    [alice, bob, carol].forEach((key) =>
+      expect(forward[key].toNumber()).to.eq(reversed[key].toNumber())
+    );
+    expect(
+      Object.values(forward)
+        .reduce((sum, share) => sum.add(share))
+        .toNumber()
+    ).to.eq(1000);
+  });
+
+  it("allocates a batch without exceeding the LP or the available TIC", () => {
+    const batch = allocateBatch(
+      {
+        poolId: 1,
+        blockNumber: 12,
+        lpAmountCreated: BigNumber.from(1001),
+        ticConsumed: BigNumber.from(305),
+      },
+      [
+        { account: bob, amount: 200 },
+        { account: alice, amount: 100 },
+        { account: carol, amount: 0 },
+      ]
+    );
+    expect(batch.allocations.map(({ account }) => account)).to.deep.eq([
+      alice,
+      bob,
+    ]);
+    expect(batch.allocations.map(({ tic }) => tic.toNumber())).to.deep.eq([
+      100, 200,
+    ]);
+    expect(batch.unallocatedTIC.toNumber()).to.eq(5);
+    expect(
+      batch.allocations
+        .reduce((sum, { lp }) => sum.add(lp), BigNumber.from(0))
+        .toNumber()
+    ).to.eq(1001);
+    expect(batch.lpPerTIC.toString()).to.eq(
+      BigNumber.from(1001).mul(BigNumber.from(10).pow(18)).div(305).toString()
+    );
+    expect(batch.blockNumber).to.eq(12);
+  });
+
+  it("leaves a batch unallocated when no stake has TIC available", () => {
+    const batch = allocateBatch(
+      { poolId: 0, lpAmountCreated: 50, ticConsumed: 5 },
+      [{ account: alice, amount: 0 }]
+    );
+    expect(batch.allocations).to.deep.eq([]);
+    expect(batch.unallocatedLP.toNumber()).to.eq(50);
+    expect(batch.unallocatedTIC.toNumber()).to.eq(5);
+
+    const [json] = serializeBatches([batch]);
+    expect(json.unallocatedLP).to.eq("50");
+    expect(json.poolId).to.eq(0);
+  });
+});
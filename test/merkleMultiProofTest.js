@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { keccak256 } = require("ethereumjs-util");
+
+const { BalanceTree } = require("../src/utils/BalanceTree");
+const { MerkleTree } = require("../src/utils/MerkleTree");
+
+describe("Merkle multiproofs", () => {
+  const randomLeaves = (count) =>
+    [...Array(count).keys()].map((i) => keccak256(Buffer.from(`leaf-${i}`)));
+
+  // every non empty subset of the leaves
+  const subsets = (leaves) =>
+    [...Array(2 ** leaves.length - 1).keys()].map((mask) =>
+      leaves.filter((_, i) => Math.floor((mask + 1) / 2 ** i) % 2 === 1)
+    );
+
+  it("proves every subset of a complete tree", () => {
+    [1, 2, 4, 8].forEach((count) => {
+      const leaves = randomLeaves(count);
+      const tree = new MerkleTree(leaves);
+      subsets(leaves).forEach((subset) => {
+        const {
+          leaves: ordered,
+          proof,
+          proofFlags,
+        } = tree.getHexMultiProof(subset);
+        expect(ordered).to.have.length(subset.length);
+        expect(
+          MerkleTree.verifyMultiProof(
+            tree.getHexRoot(),
+            ordered,
+            proof,
+            proofFlags
+          )
+        ).to.be.true;
+      });
+    });
+  });
+
+  it("proves every subset of trees with promoted pairs", () => {
+    [3, 6, 7, 12].forEach((count) => {
+      const leaves = randomLeaves(count);
+      const tree = new MerkleTree(leaves);
+      subsets(leaves).forEach((subset) => {
+        const {
+          leaves: ordered,
+          proof,
+          proofFlags,
+        } = tree.getMultiProof(subset);
+        expect(ordered).to.have.length(subset.length);
+        expect(
+          MerkleTree.verifyMultiProof(
+            tree.getRoot(),
+            ordered,
+            proof,
+            proofFlags
+          )
+        ).to.be.true;
+      });
+    });
+  });
+
+  it("rejects only the subsets joining a promoted element with deeper ones", () => {
+    const leaves = randomLeaves(5);
+    const tree = new MerkleTree(leaves);
+    // the last element is promoted twice and paired with the root of the other four
+    const promoted = tree.elements[4];
+    expect(tree.getRoot()).to.deep.eq(
+      MerkleTree.combinedHash(
+        new MerkleTree(tree.elements.slice(0, 4)).getRoot(),
+        promoted
+      )
+    );
+
+    subsets(leaves).forEach((subset) => {
+      if (subset.length > 1 && subset.some((leaf) => leaf.equals(promoted))) {
+        expect(() => tree.getMultiProof(subset)).to.throw(
+          "Elements cannot be combined into a multiproof"
+        );
+        return;
+      }
+      const { leaves: ordered, proof, proofFlags } = tree.getMultiProof(subset);
+      expect(
+        MerkleTree.verifyMultiProof(tree.getRoot(), ordered, proof, proofFlags)
+      ).to.be.true;
+    });
+    // a single element is always provable
+    leaves.forEach((leaf) => {
+      const { proof, proofFlags } = tree.getMultiProof([leaf]);
+      expect(proofFlags.every((flag) => !flag)).to.be.true;
+      expect(proof).to.have.length(tree.getProof(leaf).length);
+    });
+  });
+
+  it("rejects tampered multiproofs", () => {
+    const leaves = randomLeaves(8);
+    const tree = new MerkleTree(leaves);
+    const {
+      leaves: ordered,
+      proof,
+      proofFlags,
+    } = tree.getHexMultiProof([leaves[1], leaves[4], leaves[5]]);
+    const root = tree.getHexRoot();
+
+    expect(MerkleTree.verifyMultiProof(root, ordered, proof, proofFlags)).to.be
+      .true;
+    expect(
+      MerkleTree.verifyMultiProof(
+        root,
+        [...ordered].reverse(),
+        proof,
+        proofFlags
+      )
+    ).to.be.false;
+    expect(
+      MerkleTree.verifyMultiProof(
+        root,
+        ordered,
+        proof.slice(1),
+        proofFlags.slice(1)
+      )
+    ).to.be.false;
+    expect(
+      MerkleTree.verifyMultiProof(root, ordered, proof, proofFlags.slice(1))
+    ).to.be.false;
+    expect(() =>
+      tree.getMultiProof([keccak256(Buffer.from("other"))])
+    ).to.throw("Element does not exist in Merkle tree");
+  });
+
+  it("proves several claims of a BalanceTree at once", () => {
+    const balances = [
+      "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191",
+      "0x4aC83585B497D50B7e187919aD85a522A452586e",
+      "0x6dc0c0be4c8b2dfe750156dc7d59faabfb5b923d",
+      "0xa0e2c1a7a0a5a4fc1f4e7a7b1b2a1b8c9d0e1f20",
+    ].reduce(
+      (memo, account) => [
+        ...memo,
+        ...[0, 1].map((poolId) => ({
+          account,
+          poolId,
+          totalLPTokenAmount: 100 + memo.length,
+          totalTICAmount: 1000 + memo.length,
+        })),
+      ],
+      []
+    );
+    const tree = new BalanceTree(balances);
+    const claims = balances
+      .map((balance, index) => ({ index, ...balance }))
+      .filter((_, index) => index % 2 === 0 || index === 3);
+
+    const { claims: ordered, proof, proofFlags } = tree.getMultiProof(claims);
+    expect(ordered).to.have.length(claims.length);
+    expect(ordered).to.have.members(claims);
+    expect(
+      BalanceTree.verifyMultiProof(
+        ordered,
+        proof,
+        proofFlags,
+        tree.getHexRoot()
+      )
+    ).to.be.true;
+
+    const [first, ...rest] = ordered;
+    expect(
+      BalanceTree.verifyMultiProof(
+        [{ ...first, totalTICAmount: first.totalTICAmount + 1 }, ...rest],
+        proof,
+        proofFlags,
+        tree.getHexRoot()
+      )
+    ).to.be.false;
+  });
+});
@@ -0,0 +1,376 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { MerklePoolsAccounting } = require("../src/utils/MerklePoolsAccounting");
+const {
+  buildForfeitReport,
+  formatForfeitReport,
+} = require("../src/utils/forfeitReport");
+const {
+  generateDistribution,
+  diffRealized,
+} = require("../src/utils/generateDistribution");
+const { getMerklePoolsEvents } = require("../src/utils/merklePoolsEvents");
+const {
+  verifyDistribution,
+  verifyDistributionOnChain,
+} = require("../src/utils/verifyDistribution");
+const {
+  advance,
+  deployMerklePoolsFixture,
+  latestTimestamp,
+} = require("./helpers/merklePoolsFixture");
+
+describe("MerklePoolsAccounting", () => {
+  let accounts;
+  let usdcToken;
+  let exchange;
+  let merklePools;
+  let stake;
+  let generateLP;
+
+  const expectParity = async (accounting, stakers) => {
+    const timestamp = await latestTimestamp();
+    const checks = [0, 1].reduce(
+      (memo, poolId) => [
+        ...memo,
+        [
+          accounting.getPoolTotalUnclaimed(poolId, timestamp),
+          merklePools.getPoolTotalUnclaimed(poolId),
+        ],
+        ...stakers.map((staker) => [
+          accounting.getStakeTotalUnclaimed(staker, poolId, timestamp),
+          merklePools.getStakeTotalUnclaimed(staker, poolId),
+        ]),
+      ],
+      []
+    );
+    const onChain = await Promise.all(checks.map(([, value]) => value));
+    checks.forEach(([offChain], i) => expect(offChain).to.eq(onChain[i]));
+  };
+
+  beforeEach(async () => {
+    ({ accounts, usdcToken, exchange, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+  });
+
+  it("matches on chain unclaimed values through deposits, weight changes and exits", async () => {
+    const [staker1, staker2, staker3] = accounts.slice(2, 5);
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await advance(3600);
+    await stake(staker2, 0, ethers.utils.parseUnits("333"));
+    await stake(staker3, 1, ethers.utils.parseUnits("17"));
+    await advance(86400);
+    await merklePools.setRewardWeights([40, 60]);
+    await stake(staker1, 1, ethers.utils.parseUnits("71"));
+    await advance(7 * 86400);
+    await merklePools.connect(staker2).exit(0);
+    await advance(86400);
+    await merklePools.setRewardRate(ethers.utils.parseUnits("3", 18));
+    await stake(staker2, 0, ethers.utils.parseUnits("5"));
+    await advance(86400);
+
+    const accounting = new MerklePoolsAccounting({
+      forfeitAddress: accounts[1].address,
+    }).applyEvents(await getMerklePoolsEvents(merklePools));
+
+    await expectParity(accounting, [
+      staker1.address,
+      staker2.address,
+      staker3.address,
+      accounts[1].address,
+    ]);
+    expect(
+      await merklePools.getStakeTotalUnclaimed(accounts[1].address, 0)
+    ).to.not.eq(0);
+  });
+
+  it("allocates generated LP into claimable cumulative totals", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker2, 0, ethers.utils.parseUnits("300"));
+    await advance(30 * 86400);
+    await merklePools.connect(staker2).exit(0);
+    await advance(86400);
+    await generateLP(0, await merklePools.getPoolTotalUnclaimedNotInLP(0));
+
+    const { accounting: snapshot, distribution } = await generateDistribution(
+      merklePools
+    );
+    const claims = snapshot.getClaims();
+    expect(claims.map(({ account }) => account).sort()).to.deep.eq(
+      [staker1.address, accounts[1].address].sort()
+    );
+
+    // the single batch is allocated in full, at one LP per TIC rate for every staker
+    const [batch] = snapshot.getBatches(0);
+    expect(
+      batch.allocations.reduce(
+        (sum, { lp }) => sum.add(lp),
+        ethers.BigNumber.from(0)
+      )
+    ).to.eq(batch.lpAmountCreated);
+    expect(batch.allocations.map(({ account }) => account).sort()).to.deep.eq(
+      claims.map(({ account }) => account).sort()
+    );
+
+    // the allocated LP never exceeds what the contract holds
+    expect(
+      ethers.BigNumber.from(distribution.lpTokenTotal).lte(
+        await exchange.balanceOf(merklePools.address)
+      )
+    ).to.be.true;
+    const rows = await diffRealized(merklePools, distribution);
+    expect(rows.every(({ isClaimable }) => isClaimable)).to.be.true;
+    expect(
+      await diffRealized(merklePools, distribution, "latest", { batchSize: 1 })
+    ).to.deep.eq(rows);
+    expect(verifyDistribution(distribution).valid).to.be.true;
+    expect((await verifyDistributionOnChain(merklePools, distribution)).valid)
+      .to.be.true;
+
+    await merklePools.setMerkleRoot(distribution.merkleRoot);
+    const claim = distribution.claims[staker1.address]["0"];
+    await expect(
+      merklePools
+        .connect(staker1)
+        .claim(
+          claim.index,
+          0,
+          claim.totalLPTokenAmount,
+          claim.totalTICAmount,
+          claim.proof
+        )
+    ).to.emit(merklePools, "TokensClaimed");
+    // a claim that is already realized can not be published again
+    expect(
+      (
+        await verifyDistributionOnChain(merklePools, distribution, "latest", {
+          batchSize: 1,
+        })
+      ).errors
+    ).to.deep.eq([
+      `${staker1.address} pool 0 has no TIC left to claim, claim reverts with INVALID_CLAIM_AMOUNT`,
+      `${staker1.address} pool 0 has no LP left to claim, claim reverts with INVALID_CLAIM_AMOUNT`,
+    ]);
+
+    // once claimed, the stake is realized and only the forfeited claim remains
+    await advance(86400);
+    const accounting = new MerklePoolsAccounting({
+      forfeitAddress: accounts[1].address,
+    }).applyEvents(await getMerklePoolsEvents(merklePools));
+    await expectParity(accounting, [
+      staker1.address,
+      staker2.address,
+      accounts[1].address,
+    ]);
+    expect(accounting.getClaims().map(({ account }) => account)).to.deep.eq([
+      accounts[1].address,
+    ]);
+  });
+
+  it("starts the totals of a re-entered stake from the forfeited baseline", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    const forfeitAddress = accounts[1].address;
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker2, 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("500"));
+    await merklePools.connect(staker2).exit(0);
+    const forfeited = (await merklePools.stakes(staker2.address, 0))
+      .totalRealizedTIC;
+
+    await stake(staker2, 0, ethers.utils.parseUnits("50"));
+    await advance(10 * 86400);
+    await generateLP(0, await merklePools.getPoolTotalUnclaimedNotInLP(0));
+
+    const { accounting, distribution } = await generateDistribution(
+      merklePools
+    );
+    const report = await buildForfeitReport(accounting, { merklePools });
+    expect(report.errors).to.deep.eq([]);
+    expect(report.forfeits.length).to.eq(1);
+    expect(report.forfeits[0].forfeitAddress).to.eq(forfeitAddress);
+    expect(report.forfeits[0].forfeitedTIC).to.eq(forfeited.toString());
+    expect(report.forfeits[0].previousRealizedTIC).to.eq("0");
+
+    const [row] = report.accounts;
+    expect(row.account).to.eq(staker2.address);
+    expect(row.isReentered).to.be.true;
+    expect(row.totalRealizedTIC).to.eq(forfeited.toString());
+    // the LP allocated before the exit followed the TIC to the forfeit address
+    expect(ethers.BigNumber.from(row.forfeitedLP).gt(0)).to.be.true;
+    const [sent] = report.forfeitAddresses;
+    expect(sent.address).to.eq(forfeitAddress);
+    expect(sent.pools[0].forfeitedTIC).to.eq(row.forfeitedTIC);
+    expect(sent.pools[0].forfeitedLP).to.eq(row.forfeitedLP);
+
+    // the re-entered stake claims on top of the inflated baseline
+    const claim = distribution.claims[staker2.address]["0"];
+    expect(row.nextTotalTICAmount).to.eq(
+      ethers.BigNumber.from(claim.totalTICAmount).toString()
+    );
+    expect(ethers.BigNumber.from(claim.totalTICAmount).gt(forfeited)).to.be
+      .true;
+    await merklePools.setMerkleRoot(distribution.merkleRoot);
+    await expect(
+      merklePools
+        .connect(staker2)
+        .claim(
+          claim.index,
+          0,
+          claim.totalLPTokenAmount,
+          claim.totalTICAmount,
+          claim.proof
+        )
+    ).to.emit(merklePools, "TokensClaimed");
+  });
+
+  it("applies the forfeit policy to the LP of forfeited TIC", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    const forfeitAddress = accounts[1].address;
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker2, 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("500"));
+    await merklePools.connect(staker2).exit(0);
+    await advance(10 * 86400);
+    await generateLP(0, await merklePools.getPoolTotalUnclaimedNotInLP(0));
+    const lpGenerated = await exchange.balanceOf(merklePools.address);
+
+    const generate = async (forfeitPolicy) => {
+      const { accounting, distribution } = await generateDistribution(
+        merklePools,
+        { forfeitPolicy }
+      );
+      const report = await buildForfeitReport(accounting, { merklePools });
+      expect(report.policy).to.eq(forfeitPolicy);
+      expect(report.errors).to.deep.eq([]);
+      // the forfeited TIC stays unrealized on the forfeit stake under every policy
+      expect(report.forfeitAddresses[0].pools[0].unrealizedTIC).to.eq(
+        (await merklePools.getStakeTotalUnclaimed(forfeitAddress, 0)).toString()
+      );
+      return { distribution, pool: report.pools[0] };
+    };
+
+    // a leaf for the forfeit address
+    let { distribution, pool } = await generate("treasury");
+    expect(Object.keys(distribution.claims).sort()).to.deep.eq(
+      [staker1.address, forfeitAddress].sort()
+    );
+    expect(ethers.BigNumber.from(distribution.lpTokenTotal)).to.eq(lpGenerated);
+
+    // everything to the remaining staker, including the LP staker2 had before exiting
+    ({ distribution, pool } = await generate("redistribute"));
+    expect(Object.keys(distribution.claims)).to.deep.eq([staker1.address]);
+    expect(ethers.BigNumber.from(distribution.lpTokenTotal)).to.eq(lpGenerated);
+    expect(ethers.BigNumber.from(pool.redistributedLP).gt(0)).to.be.true;
+    expect(pool.pendingLP).to.eq("0");
+
+    // the forfeited share stays in the contract
+    ({ distribution, pool } = await generate("unallocated"));
+    expect(Object.keys(distribution.claims)).to.deep.eq([staker1.address]);
+    expect(
+      ethers.BigNumber.from(distribution.lpTokenTotal).add(pool.unallocatedLP)
+    ).to.eq(lpGenerated);
+
+    ({ distribution } = await generate("redistribute"));
+    await merklePools.setMerkleRoot(distribution.merkleRoot);
+    const claim = distribution.claims[staker1.address]["0"];
+    await expect(
+      merklePools
+        .connect(staker1)
+        .claim(
+          claim.index,
+          0,
+          claim.totalLPTokenAmount,
+          claim.totalTICAmount,
+          claim.proof
+        )
+    )
+      .to.emit(merklePools, "TokensClaimed")
+      .withArgs(
+        staker1.address,
+        claim.index,
+        0,
+        lpGenerated,
+        claim.totalTICAmount
+      );
+  });
+
+  it("reports LP pending redistribution in a pool nobody is left in as stuck", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker2, 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("500"));
+    await merklePools.connect(staker2).exit(0);
+
+    let { accounting } = await generateDistribution(merklePools, {
+      forfeitPolicy: "redistribute",
+    });
+    let report = await buildForfeitReport(accounting, { merklePools });
+    // staker1 still accrues TIC, so the next batch redistributes the LP
+    expect(ethers.BigNumber.from(report.pools[0].pendingLP).gt(0)).to.be.true;
+    expect(report.pools[0].stuckLP).to.eq("0");
+
+    await merklePools.connect(staker1).exit(0);
+    ({ accounting } = await generateDistribution(merklePools, {
+      forfeitPolicy: "redistribute",
+    }));
+    report = await buildForfeitReport(accounting, { merklePools });
+    expect(report.errors).to.deep.eq([]);
+    expect(report.pools[0].stuckLP).to.eq(report.pools[0].pendingLP);
+    expect(
+      formatForfeitReport(report).filter((line) => line.startsWith("STUCK:"))
+    ).to.have.length(1);
+  });
+
+  it("recovers the pool of LP generated through a multisig", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    await stake(staker1, 1, ethers.utils.parseUnits("30"));
+    await stake(staker2, 1, ethers.utils.parseUnits("10"));
+    await advance(10 * 86400);
+
+    const MockMultisig = await ethers.getContractFactory("MockMultisig");
+    const multisig = await MockMultisig.deploy();
+    const exec = (contract, method, args) =>
+      multisig.execTransaction(
+        contract.address,
+        0,
+        contract.interface.encodeFunctionData(method, args)
+      );
+    await merklePools.setPendingGovernance(multisig.address);
+    await exec(merklePools, "acceptGovernance", []);
+
+    const ticAmount = ethers.utils.parseUnits("50");
+    await usdcToken.transfer(multisig.address, ticAmount.mul(10));
+    await exec(usdcToken, "approve", [merklePools.address, ticAmount.mul(10)]);
+    await exec(merklePools, "generateLPTokens", [
+      1,
+      ticAmount,
+      ticAmount.mul(10),
+      0,
+      0,
+      (await latestTimestamp()) + 6000,
+    ]);
+
+    const events = await getMerklePoolsEvents(merklePools);
+    const generated = events.filter(
+      ({ event }) => event === "LPTokensGenerated"
+    );
+    expect(generated.length).to.eq(1);
+    expect(generated[0].poolId).to.eq(1);
+    const { accounting } = await generateDistribution(merklePools, { events });
+    expect(accounting.getBatches(1).length).to.eq(1);
+    expect(accounting.getBatches(0).length).to.eq(0);
+
+    // an override wins over the calldata
+    const [overridden] = (
+      await getMerklePoolsEvents(merklePools, {
+        poolIds: { [generated[0].transactionHash]: 0 },
+      })
+    ).filter(({ event }) => event === "LPTokensGenerated");
+    expect(overridden.poolId).to.eq(0);
+  });
+});
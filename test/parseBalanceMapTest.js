@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { BalanceTree } = require("../src/utils/BalanceTree");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+
+describe("parseBalanceMap", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+
+  it("generates one claim per account and pool with valid proofs", async () => {
+    const { merkleRoot, claims, poolTotals, lpTokenTotal, ticTotal } =
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 100,
+          totalTICAmount: 1000,
+        },
+        {
+          account: account1.toLowerCase(),
+          poolId: 1,
+          totalLPTokenAmount: 50,
+          totalTICAmount: 500,
+        },
+        {
+          account: account2,
+          poolId: 0,
+          totalLPTokenAmount: 25,
+          totalTICAmount: 250,
+        },
+      ]);
+
+    expect(Object.keys(claims[account1])).to.deep.eq(["0", "1"]);
+    expect(Object.keys(claims[account2])).to.deep.eq(["0"]);
+    expect(poolTotals["0"].totalLPTokenAmount).to.eq("0x7d");
+    expect(poolTotals["0"].totalTICAmount).to.eq("0x04e2");
+    expect(poolTotals["1"].totalTICAmount).to.eq("0x01f4");
+    expect(lpTokenTotal).to.eq("0xaf");
+    expect(ticTotal).to.eq("0x06d6");
+
+    Object.keys(claims).forEach((account) => {
+      Object.keys(claims[account]).forEach((poolId) => {
+        const claim = claims[account][poolId];
+        expect(
+          BalanceTree.verifyProof(
+            claim.index,
+            account,
+            poolId,
+            claim.totalLPTokenAmount,
+            claim.totalTICAmount,
+            claim.proof.map((el) => Buffer.from(el.slice(2), "hex")),
+            Buffer.from(merkleRoot.slice(2), "hex")
+          )
+        ).to.be.true;
+      });
+    });
+  });
+
+  it("builds a distribution with a single claim", async () => {
+    const { merkleRoot, claims } = parseBalanceMap([
+      {
+        account: account1,
+        poolId: 0,
+        totalLPTokenAmount: 100,
+        totalTICAmount: 1000,
+      },
+    ]);
+
+    const claim = claims[account1]["0"];
+    expect(claim.proof).to.deep.eq([]);
+    expect(merkleRoot).to.eq(
+      `0x${BalanceTree.toNode(0, account1, 0, 100, 1000).toString("hex")}`
+    );
+    expect(
+      BalanceTree.verifyProof(
+        claim.index,
+        account1,
+        0,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        [],
+        Buffer.from(merkleRoot.slice(2), "hex")
+      )
+    ).to.be.true;
+  });
+
+  it("accepts balances keyed by account and pool", async () => {
+    const fromArray = parseBalanceMap([
+      {
+        account: account1,
+        poolId: 0,
+        totalLPTokenAmount: 1,
+        totalTICAmount: 2,
+      },
+      {
+        account: account2,
+        poolId: 3,
+        totalLPTokenAmount: 3,
+        totalTICAmount: 4,
+      },
+    ]);
+    const fromMap = parseBalanceMap({
+      [account2]: { 3: { totalLPTokenAmount: 3, totalTICAmount: 4 } },
+      [account1]: { 0: { totalLPTokenAmount: 1, totalTICAmount: 2 } },
+    });
+    expect(fromMap).to.deep.eq(fromArray);
+  });
+
+  it("rejects duplicate claims for the same account and pool", async () => {
+    expect(() =>
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 1,
+          totalTICAmount: 2,
+        },
+        {
+          account: account1.toLowerCase(),
+          poolId: 0,
+          totalLPTokenAmount: 3,
+          totalTICAmount: 4,
+        },
+      ])
+    ).to.throw("Duplicate claim");
+  });
+
+  it("rejects zero amounts", async () => {
+    expect(() =>
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 0,
+          totalTICAmount: 2,
+        },
+        {
+          account: account2,
+          poolId: 0,
+          totalLPTokenAmount: 3,
+          totalTICAmount: 4,
+        },
+      ])
+    ).to.throw("Invalid amount");
+  });
+});
@@ -0,0 +1,401 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+
+const {
+  FixedPointMath,
+  MAX_UINT256,
+  MerklePool,
+  MerkleStake,
+  Pool,
+  Stake,
+  toBigInt,
+} = require("../src/utils/poolMath");
+const {
+  advance,
+  deployMerklePoolsFixture,
+} = require("./helpers/merklePoolsFixture");
+
+const SEEDS = [1, 7, 42];
+const ACTIONS_PER_SEED = 25;
+
+// Park-Miller generator so a failing sequence can be replayed from its seed
+const createRandom = (seed) => {
+  let state = seed;
+  return (max) => {
+    state = (state * 48271) % 2147483647;
+    return state % max;
+  };
+};
+
+const randomAmount = (random) =>
+  ethers.utils.parseUnits(String(random(20) + 1)).add(random(1000000));
+
+const blockTimestamp = async (tx) => {
+  const receipt = await tx.wait();
+  return BigInt(
+    (await ethers.provider.getBlock(receipt.blockNumber)).timestamp
+  );
+};
+
+const zeroStake = () => ({
+  totalDeposited: BigInt(0),
+  totalUnclaimed: BigInt(0),
+  totalUnrealized: BigInt(0),
+  totalRealizedTIC: BigInt(0),
+  lastAccumulatedWeight: { x: BigInt(0) },
+});
+
+const zeroPool = (rewardWeight) => ({
+  totalDeposited: BigInt(0),
+  totalUnclaimedTIC: BigInt(0),
+  rewardWeight: toBigInt(rewardWeight),
+  accumulatedRewardWeight: { x: BigInt(0) },
+  lastUpdatedBlockTimestamp: BigInt(0),
+});
+
+const runSequence = (seeds, step) =>
+  seeds.reduce(async (previous, seed) => {
+    await previous;
+    const random = createRandom(seed);
+    await [...Array(ACTIONS_PER_SEED).keys()].reduce(async (prev, i) => {
+      await prev;
+      await step(random, `seed ${seed} action ${i}`);
+    }, Promise.resolve());
+  }, Promise.resolve());
+
+describe("poolMath", () => {
+  describe("FixedPointMath", () => {
+    it("matches the solidity rounding and overflow checks", () => {
+      const third = FixedPointMath.div(FixedPointMath.fromU256(1), 3);
+      expect(third.x).to.equal(BigInt("333333333333333333"));
+      expect(FixedPointMath.decode(FixedPointMath.mul(third, 3))).to.equal(
+        BigInt(0)
+      );
+      expect(FixedPointMath.cmp(third, FixedPointMath.fromU256(1))).to.equal(
+        -1
+      );
+
+      expect(() => FixedPointMath.div(third, 0)).to.throw("Division by zero");
+      expect(() =>
+        FixedPointMath.sub(third, FixedPointMath.fromU256(1))
+      ).to.throw("Arithmetic overflow");
+      expect(() => FixedPointMath.fromU256(MAX_UINT256)).to.throw(
+        "Arithmetic overflow"
+      );
+    });
+  });
+
+  describe("MerklePool / MerkleStake", () => {
+    it("matches the contract over random action sequences", async () => {
+      const { accounts, merklePools, ticToken, exchange } =
+        await deployMerklePoolsFixture();
+      await accounts.slice(2, 5).reduce(async (previous, staker) => {
+        await previous;
+        await ticToken
+          .connect(staker)
+          .approve(merklePools.address, ethers.constants.MaxUint256);
+        await exchange
+          .connect(staker)
+          .approve(merklePools.address, ethers.constants.MaxUint256);
+      }, Promise.resolve());
+
+      const stakers = accounts.slice(2, 5);
+      const forfeitAddress = accounts[1].address;
+      const ctx = {
+        rewardRate: toBigInt(await merklePools.rewardRate()),
+        totalRewardWeight: toBigInt(await merklePools.totalRewardWeight()),
+      };
+      // the sequence starts from the pools as the fixture left them
+      const pools = await Promise.all(
+        [0, 1].map(async (poolId) => {
+          const pool = await merklePools.getPool(poolId);
+          return {
+            totalDeposited: toBigInt(pool.totalDeposited),
+            totalUnclaimedTIC: toBigInt(pool.totalUnclaimedTIC),
+            rewardWeight: toBigInt(pool.rewardWeight),
+            accumulatedRewardWeight: {
+              x: toBigInt(pool.accumulatedRewardWeight.x),
+            },
+            lastUpdatedBlockTimestamp: toBigInt(pool.lastUpdatedBlockTimestamp),
+          };
+        })
+      );
+      const stakes = {};
+      const getStake = (account, poolId) => {
+        const key = `${account}:${poolId}`;
+        stakes[key] = stakes[key] || zeroStake();
+        return stakes[key];
+      };
+      const updateAll = (ts) =>
+        pools.forEach((pool) => MerklePool.update(pool, ctx, ts));
+
+      const compare = async (label) => {
+        const ts = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        await Promise.all(
+          pools.map(async (pool, poolId) => {
+            const onChain = await merklePools.getPool(poolId);
+            expect(toBigInt(onChain.accumulatedRewardWeight.x)).to.equal(
+              pool.accumulatedRewardWeight.x,
+              label
+            );
+            expect(toBigInt(onChain.totalUnclaimedTIC)).to.equal(
+              pool.totalUnclaimedTIC,
+              label
+            );
+            expect(toBigInt(onChain.lastUpdatedBlockTimestamp)).to.equal(
+              pool.lastUpdatedBlockTimestamp,
+              label
+            );
+            expect(
+              toBigInt(await merklePools.getPoolRewardRate(poolId))
+            ).to.equal(MerklePool.getRewardRate(pool, ctx), label);
+            expect(
+              toBigInt(await merklePools.getPoolTotalUnclaimed(poolId))
+            ).to.equal(
+              MerklePool.getUpdatedTotalUnclaimed(pool, ctx, ts),
+              label
+            );
+
+            await Promise.all(
+              [...stakers.map(({ address }) => address), forfeitAddress].map(
+                async (account) => {
+                  const stake = getStake(account, poolId);
+                  const onChainStake = await merklePools.stakes(
+                    account,
+                    poolId
+                  );
+                  expect(toBigInt(onChainStake.totalUnrealized)).to.equal(
+                    stake.totalUnrealized,
+                    label
+                  );
+                  expect(toBigInt(onChainStake.totalRealizedTIC)).to.equal(
+                    stake.totalRealizedTIC,
+                    label
+                  );
+                  expect(
+                    toBigInt(onChainStake.lastAccumulatedWeight.x)
+                  ).to.equal(stake.lastAccumulatedWeight.x, label);
+                  expect(
+                    toBigInt(
+                      await merklePools.getStakeTotalUnclaimed(account, poolId)
+                    )
+                  ).to.equal(
+                    MerkleStake.getUpdatedTotalUnclaimed(stake, pool, ctx, ts),
+                    label
+                  );
+                }
+              )
+            );
+          })
+        );
+      };
+
+      await runSequence(SEEDS, async (random, label) => {
+        const staker = stakers[random(stakers.length)];
+        const poolId = random(2);
+        const pool = pools[poolId];
+        const stake = getStake(staker.address, poolId);
+
+        switch (random(5)) {
+          case 0: {
+            const amount = randomAmount(random);
+            const ts = await blockTimestamp(
+              await merklePools.connect(staker).deposit(poolId, amount)
+            );
+            MerklePool.update(pool, ctx, ts);
+            MerkleStake.update(stake, pool, ctx, ts);
+            pool.totalDeposited += toBigInt(amount);
+            stake.totalDeposited += toBigInt(amount);
+            break;
+          }
+          case 1: {
+            const ts = await blockTimestamp(
+              await merklePools.connect(staker).exit(poolId)
+            );
+            MerklePool.update(pool, ctx, ts);
+            MerkleStake.update(stake, pool, ctx, ts);
+            pool.totalDeposited -= stake.totalDeposited;
+            stake.totalDeposited = BigInt(0);
+            const forfeitStake = getStake(forfeitAddress, poolId);
+            MerkleStake.update(forfeitStake, pool, ctx, ts);
+            forfeitStake.totalUnrealized += stake.totalUnrealized;
+            stake.totalRealizedTIC += stake.totalUnrealized;
+            stake.totalUnrealized = BigInt(0);
+            break;
+          }
+          case 2: {
+            const weights = [random(100) + 1, random(100)];
+            const ts = await blockTimestamp(
+              await merklePools.setRewardWeights(weights)
+            );
+            updateAll(ts);
+            weights.forEach((weight, i) => {
+              ctx.totalRewardWeight =
+                ctx.totalRewardWeight - pools[i].rewardWeight + BigInt(weight);
+              pools[i].rewardWeight = BigInt(weight);
+            });
+            break;
+          }
+          case 3: {
+            const rewardRate = ethers.utils
+              .parseUnits(String(random(10) + 1))
+              .add(random(1000));
+            const ts = await blockTimestamp(
+              await merklePools.setRewardRate(rewardRate)
+            );
+            updateAll(ts);
+            ctx.rewardRate = toBigInt(rewardRate);
+            break;
+          }
+          default:
+            await advance(random(86400) + 1);
+            break;
+        }
+        await compare(label);
+      });
+    });
+  });
+
+  describe("Pool / Stake", () => {
+    it("matches the contract over random action sequences", async () => {
+      const { accounts, ticToken } = await deployMerklePoolsFixture();
+      const StakingPools = await deployments.get("StakingPools");
+      const stakingPools = new ethers.Contract(
+        StakingPools.address,
+        StakingPools.abi,
+        accounts[0]
+      );
+      await stakingPools.setRewardWeights([1600, 1000, 1000, 6400]);
+      await stakingPools.setRewardRate(
+        ethers.utils.parseUnits("0.100859788359788")
+      );
+      await accounts.slice(2, 5).reduce(async (previous, staker) => {
+        await previous;
+        await ticToken
+          .connect(staker)
+          .approve(stakingPools.address, ethers.constants.MaxUint256);
+      }, Promise.resolve());
+
+      const stakers = accounts.slice(2, 5);
+      const poolId = 3; // TIC pool, the only one stakers hold tokens for
+      const ctx = {
+        rewardRate: toBigInt(await stakingPools.rewardRate()),
+        totalRewardWeight: toBigInt(await stakingPools.totalRewardWeight()),
+      };
+      const pools = await Promise.all(
+        [0, 1, 2, 3].map(async (id) =>
+          zeroPool(await stakingPools.getPoolRewardWeight(id))
+        )
+      );
+      const pool = pools[poolId];
+      const stakes = {};
+      const getStake = (account) => {
+        stakes[account] = stakes[account] || zeroStake();
+        return stakes[account];
+      };
+
+      const expectClaimed = async (tx, stake, label) => {
+        const receipt = await tx.wait();
+        const claimed = receipt.events.find(
+          ({ event }) => event === "TokensClaimed"
+        );
+        expect(toBigInt(claimed.args[2])).to.equal(stake.totalUnclaimed, label);
+        stake.totalUnclaimed = BigInt(0);
+      };
+
+      const compare = async (label) => {
+        const ts = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        expect(toBigInt(await stakingPools.getPoolRewardRate(poolId))).to.equal(
+          Pool.getRewardRate(pool, ctx),
+          label
+        );
+        expect(
+          toBigInt(await stakingPools.getPoolTotalDeposited(poolId))
+        ).to.equal(pool.totalDeposited, label);
+        await Promise.all(
+          stakers.map(async ({ address }) => {
+            expect(
+              toBigInt(
+                await stakingPools.getStakeTotalUnclaimed(address, poolId)
+              )
+            ).to.equal(
+              Stake.getUpdatedTotalUnclaimed(getStake(address), pool, ctx, ts),
+              label
+            );
+          })
+        );
+      };
+
+      await runSequence(SEEDS, async (random, label) => {
+        const staker = stakers[random(stakers.length)];
+        const stake = getStake(staker.address);
+        const update = async (tx) => {
+          const ts = await blockTimestamp(tx);
+          Pool.update(pool, ctx, ts);
+          Stake.update(stake, pool, ctx, ts);
+          return tx;
+        };
+
+        switch (random(6)) {
+          case 0: {
+            const amount = randomAmount(random);
+            await update(
+              await stakingPools.connect(staker).deposit(poolId, amount)
+            );
+            pool.totalDeposited += toBigInt(amount);
+            stake.totalDeposited += toBigInt(amount);
+            break;
+          }
+          case 1: {
+            const amount =
+              stake.totalDeposited === BigInt(0)
+                ? BigInt(0)
+                : stake.totalDeposited / BigInt(random(4) + 1);
+            const tx = await update(
+              await stakingPools
+                .connect(staker)
+                .withdraw(poolId, amount.toString())
+            );
+            await expectClaimed(tx, stake, label);
+            pool.totalDeposited -= amount;
+            stake.totalDeposited -= amount;
+            break;
+          }
+          case 2: {
+            const tx = await update(
+              await stakingPools.connect(staker).claim(poolId)
+            );
+            await expectClaimed(tx, stake, label);
+            break;
+          }
+          case 3: {
+            const tx = await update(
+              await stakingPools.connect(staker).exit(poolId)
+            );
+            await expectClaimed(tx, stake, label);
+            pool.totalDeposited -= stake.totalDeposited;
+            stake.totalDeposited = BigInt(0);
+            break;
+          }
+          case 4: {
+            const weights = [0, 1, 2, 3].map(() => random(10000) + 1);
+            const ts = await blockTimestamp(
+              await stakingPools.setRewardWeights(weights)
+            );
+            pools.forEach((each) => Pool.update(each, ctx, ts));
+            weights.forEach((weight, i) => {
+              ctx.totalRewardWeight =
+                ctx.totalRewardWeight - pools[i].rewardWeight + BigInt(weight);
+              pools[i].rewardWeight = BigInt(weight);
+            });
+            break;
+          }
+          default:
+            await advance(random(86400) + 1);
+            break;
+        }
+        await compare(label);
+      });
+    });
+  });
+});
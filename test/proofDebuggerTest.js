@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { createDistributionFile } = require("../src/utils/distributionFile");
+const { generateDistribution } = require("../src/utils/generateDistribution");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+const { debugClaim, formatClaimDebug } = require("../src/utils/proofDebugger");
+const {
+  advance,
+  deployMerklePoolsFixture,
+  expectRejection,
+} = require("./helpers/merklePoolsFixture");
+
+const codes = (report) => report.causes.map(({ code }) => code);
+
+describe("proofDebugger", () => {
+  let accounts;
+  let merklePools;
+  let file;
+
+  beforeEach(async () => {
+    let stake;
+    let generateLP;
+    ({ accounts, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+    await stake(accounts[2], 0, ethers.utils.parseUnits("100"));
+    await stake(accounts[3], 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("1000"));
+
+    const { distribution } = await generateDistribution(merklePools);
+    file = createDistributionFile(distribution, {
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      contract: merklePools.address,
+      snapshotBlock: await ethers.provider.getBlockNumber(),
+      previousRoot: await merklePools.merkleRoot(),
+      metadata: { generator: "test", fromBlock: 0 },
+    });
+  });
+
+  it("walks the proof and points to the index, checksum and root", async () => {
+    const staker = accounts[2].address;
+    let report = await debugClaim(merklePools, file, staker, 0);
+    expect(codes(report)).to.deep.eq(["CLAIMS_DISABLED"]);
+    expect(report.steps.length).to.eq(file.claims[staker]["0"].proof.length);
+    expect(report.computedRoot).to.eq(file.merkleRoot);
+
+    await merklePools.setMerkleRoot(file.merkleRoot);
+    report = await debugClaim(merklePools, file, staker, 0);
+    expect(codes(report)).to.deep.eq([]);
+    expect(formatClaimDebug(report)).to.include("OK: the claim should succeed");
+
+    // a claim submitted with the index of the other leaf
+    const claim = file.claims[staker]["0"];
+    const wrongIndex = {
+      ...file,
+      claims: {
+        ...file.claims,
+        [staker]: { 0: { ...claim, index: 1 - claim.index } },
+      },
+    };
+    report = await debugClaim(merklePools, wrongIndex, staker, 0);
+    expect(codes(report)).to.deep.eq(["WRONG_INDEX"]);
+    expect(report.causes[0].message).to.include(`index ${claim.index}`);
+
+    // an address with a broken checksum and a file keyed by lower case addresses
+    const letter = staker.slice(2).search(/[a-fA-F]/) + 2;
+    const flipped =
+      staker[letter] === staker[letter].toUpperCase()
+        ? staker[letter].toLowerCase()
+        : staker[letter].toUpperCase();
+    const broken = `${staker.slice(0, letter)}${flipped}${staker.slice(
+      letter + 1
+    )}`;
+    const lowerCase = {
+      ...file,
+      claims: Object.keys(file.claims).reduce((memo, account) => {
+        memo[account.toLowerCase()] = file.claims[account];
+        return memo;
+      }, {}),
+    };
+    report = await debugClaim(merklePools, lowerCase, broken, 0);
+    expect(report.account).to.eq(staker);
+    expect(codes(report)).to.deep.eq(["CHECKSUM_CASE", "CHECKSUM_CASE"]);
+
+    report = await debugClaim(merklePools, file, accounts[4].address, 0);
+    expect(codes(report)).to.deep.eq(["NO_CLAIM"]);
+
+    report = await debugClaim(merklePools, file, staker, 5);
+    expect(codes(report)).to.deep.eq(["UNKNOWN_POOL"]);
+    expect(formatClaimDebug(report)).to.have.length(2);
+  });
+
+  it("reports stale roots and totals the stake can not realize", async () => {
+    const staker = accounts[2];
+    await merklePools.setMerkleRoot(file.merkleRoot);
+    const claim = file.claims[staker.address]["0"];
+    await merklePools
+      .connect(staker)
+      .claim(
+        claim.index,
+        0,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        claim.proof
+      );
+
+    let report = await debugClaim(merklePools, file, staker.address, 0);
+    expect(codes(report)).to.deep.eq([
+      "INVALID_CLAIM_AMOUNT",
+      "INVALID_CLAIM_AMOUNT",
+    ]);
+
+    // a root paying more TIC than accrued since the last claim
+    await advance(86400);
+    const stake = await merklePools.stakes(staker.address, 0);
+    const unrealized = await merklePools.getStakeTotalUnclaimed(
+      staker.address,
+      0
+    );
+    const inflated = createDistributionFile(
+      parseBalanceMap([
+        {
+          account: staker.address,
+          poolId: 0,
+          totalLPTokenAmount: stake.totalRealizedLP.add(1),
+          totalTICAmount: stake.totalRealizedTIC
+            .add(unrealized)
+            .add(ethers.utils.parseUnits("1000")),
+        },
+        {
+          account: accounts[3].address,
+          poolId: 0,
+          totalLPTokenAmount: 1,
+          totalTICAmount: 1,
+        },
+      ]),
+      {
+        chainId: file.chainId,
+        contract: merklePools.address,
+        snapshotBlock: await ethers.provider.getBlockNumber(),
+        previousRoot: file.merkleRoot,
+        metadata: { generator: "test", fromBlock: file.snapshotBlock },
+      }
+    );
+
+    report = await debugClaim(merklePools, inflated, staker.address, 0);
+    expect(codes(report)).to.deep.eq(["ROOT_NOT_SET"]);
+
+    await merklePools.setMerkleRoot(inflated.merkleRoot);
+    report = await debugClaim(merklePools, file, staker.address, 0);
+    expect(codes(report)).to.deep.eq(["STALE_ROOT"]);
+
+    report = await debugClaim(merklePools, inflated, staker.address, 0);
+    expect(codes(report)).to.deep.eq(["INVALID_UNCLAIMED_AMOUNT"]);
+    const inflatedClaim = inflated.claims[staker.address]["0"];
+    await expectRejection(
+      merklePools
+        .connect(staker)
+        .claim(
+          inflatedClaim.index,
+          0,
+          inflatedClaim.totalLPTokenAmount,
+          inflatedClaim.totalTICAmount,
+          inflatedClaim.proof
+        ),
+      "INVALID_UNCLAIMED_AMOUNT"
+    );
+  });
+});
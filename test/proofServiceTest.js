@@ -0,0 +1,206 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+const { ethers } = require("hardhat");
+
+const { ProofService } = require("../src/utils/ProofService");
+const { createDistributionFile } = require("../src/utils/distributionFile");
+const { signDistribution } = require("../src/utils/distributionSignature");
+const { generateDistribution } = require("../src/utils/generateDistribution");
+const {
+  advance,
+  deployMerklePoolsFixture,
+} = require("./helpers/merklePoolsFixture");
+
+const get = (port, urlPath) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: urlPath }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+        });
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(body) })
+        );
+      })
+      .on("error", reject);
+  });
+
+const waitFor = async (condition, timeout = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Timed out");
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+describe("ProofService", () => {
+  let accounts;
+  let merklePools;
+  let generateLP;
+  let chainId;
+  let dir;
+  let service;
+
+  const writeDistribution = async (name) => {
+    const { distribution } = await generateDistribution(merklePools);
+    const file = createDistributionFile(distribution, {
+      chainId,
+      contract: merklePools.address,
+      snapshotBlock: await ethers.provider.getBlockNumber(),
+      previousRoot: await merklePools.merkleRoot(),
+      metadata: { generator: "test", fromBlock: 0 },
+    });
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(file));
+    return file;
+  };
+
+  beforeEach(async () => {
+    let stake;
+    ({ accounts, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+    ({ chainId } = await ethers.provider.getNetwork());
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-service-"));
+
+    await stake(accounts[2], 0, ethers.utils.parseUnits("100"));
+    await stake(accounts[3], 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("1000"));
+  });
+
+  afterEach(async () => {
+    if (service) {
+      await service.close();
+      service = undefined;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("serves the proofs of the root set on chain and hot loads the next root", async () => {
+    const staker1 = accounts[2];
+    const first = await writeDistribution("first.json");
+    const lines = [];
+    service = new ProofService({
+      providers: { [chainId]: ethers.provider },
+      allowUnsigned: true,
+      log: (line) => lines.push(line),
+    });
+    fs.writeFileSync(path.join(dir, "invalid.json"), "{}");
+    expect(service.watch(dir)).to.deep.eq([`${chainId}:${first.merkleRoot}`]);
+    expect(lines).to.have.length(1);
+    expect(lines[0]).to.match(/^Skipping invalid\.json: /);
+    const { port } = (await service.listen(0)).address();
+    const proofsPath = `/proofs/${chainId}/${staker1.address.toLowerCase()}`;
+
+    // nothing is active until governance sets the root
+    let res = await get(port, proofsPath);
+    expect(res.status).to.eq(200);
+    expect(res.body.distributions).to.deep.eq([]);
+
+    await merklePools.setMerkleRoot(first.merkleRoot);
+    res = await get(port, proofsPath);
+    const [served] = res.body.distributions;
+    expect(served.merkleRoot).to.eq(first.merkleRoot);
+    expect(served.active).to.eq(true);
+    const [claim] = served.claims;
+    const expected = first.claims[staker1.address]["0"];
+    expect(claim.index).to.eq(expected.index);
+    expect(claim.proof).to.deep.eq(expected.proof);
+    expect(claim.isRealized).to.eq(false);
+
+    await merklePools
+      .connect(staker1)
+      .claim(
+        claim.index,
+        0,
+        claim.totalLPTokenAmount,
+        claim.totalTICAmount,
+        claim.proof
+      );
+    res = await get(port, proofsPath);
+    expect(res.body.distributions[0].claims[0].isRealized).to.eq(true);
+    expect(res.body.distributions[0].claims[0].totalRealizedTIC).to.eq(
+      claim.totalTICAmount
+    );
+
+    // a file for the next root is picked up from the directory and served once set
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("500"));
+    const second = await writeDistribution("second.json");
+    await waitFor(
+      () => service.distributions[`${chainId}:${second.merkleRoot}`]
+    );
+    expect(lines).to.include(
+      `Loaded distribution ${chainId}:${second.merkleRoot}`
+    );
+    await merklePools.setMerkleRoot(second.merkleRoot);
+    res = await get(port, proofsPath);
+    expect(res.body.distributions[0].merkleRoot).to.eq(second.merkleRoot);
+    expect(res.body.distributions[0].claims[0].isRealized).to.eq(false);
+
+    // older roots stay available on request
+    res = await get(port, `${proofsPath}?root=${first.merkleRoot}`);
+    expect(res.body.distributions[0].merkleRoot).to.eq(first.merkleRoot);
+  });
+
+  it("serves the latest snapshot offline and rejects unknown chains and addresses", async () => {
+    const file = await writeDistribution("first.json");
+    service = new ProofService({ allowUnsigned: true });
+    service.loadFile(path.join(dir, "first.json"));
+    const { port } = (await service.listen(0)).address();
+
+    let res = await get(port, `/proofs/${chainId}/${accounts[3].address}`);
+    expect(res.body.distributions[0].merkleRoot).to.eq(file.merkleRoot);
+    expect(res.body.distributions[0].active).to.eq(null);
+    expect(res.body.distributions[0].claims[0].isRealized).to.eq(null);
+
+    res = await get(port, `/proofs/1/${accounts[3].address}`);
+    expect(res.status).to.eq(404);
+    res = await get(port, `/proofs/${chainId}/0x1234`);
+    expect(res.status).to.eq(400);
+  });
+
+  it("serves files whose root is not in lowercase", async () => {
+    const file = await writeDistribution("first.json");
+    const upper = `0x${file.merkleRoot.slice(2).toUpperCase()}`;
+    service = new ProofService({
+      providers: { [chainId]: ethers.provider },
+      allowUnsigned: true,
+    });
+    expect(service.addDistribution({ ...file, merkleRoot: upper })).to.eq(
+      `${chainId}:${file.merkleRoot}`
+    );
+    await merklePools.setMerkleRoot(file.merkleRoot);
+    const { port } = (await service.listen(0)).address();
+    const proofsPath = `/proofs/${chainId}/${accounts[3].address}`;
+
+    let res = await get(port, proofsPath);
+    expect(res.body.distributions[0].merkleRoot).to.eq(file.merkleRoot);
+    expect(res.body.distributions[0].active).to.eq(true);
+    res = await get(port, `${proofsPath}?root=${upper}`);
+    expect(res.body.distributions[0].merkleRoot).to.eq(file.merkleRoot);
+  });
+
+  it("refuses files not signed by an allowed signer", async () => {
+    const file = await writeDistribution("first.json");
+    const signer = new Wallet(`0x${"11".repeat(32)}`);
+    expect(() => new ProofService()).to.throw(
+      "No distribution signers are allowed"
+    );
+
+    service = new ProofService({ signers: [signer.address] });
+    expect(() => service.addDistribution(file)).to.throw(
+      "is not signed by an allowed signer"
+    );
+    expect(service.addDistribution(await signDistribution(file, signer))).to.eq(
+      `${chainId}:${file.merkleRoot}`
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { utils } = require("ethers");
+
+const { createDistributionFile } = require("../src/utils/distributionFile");
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+const {
+  exportProofShards,
+  getShardPrefix,
+  lookupClaims,
+} = require("../src/utils/proofShards");
+
+describe("proofShards", () => {
+  const account1 = "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191";
+  const account2 = "0x4aC83585B497D50B7e187919aD85a522A452586e";
+  const account3 = "0x1d0000000000000000000000000000000000000a";
+  const proxy = "0x0e2b0bd5a9c3d5c8a5b1c1d3f0e8c6a9b8d7e6f5";
+  const zeroRoot =
+    "0x0000000000000000000000000000000000000000000000000000000000000000";
+  let dir;
+  let file;
+  let fetchJSON;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-shards-"));
+    fetchJSON = async (name) =>
+      JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    file = createDistributionFile(
+      parseBalanceMap([
+        {
+          account: account1,
+          poolId: 0,
+          totalLPTokenAmount: 100,
+          totalTICAmount: 1000,
+        },
+        {
+          account: account1,
+          poolId: 1,
+          totalLPTokenAmount: 7,
+          totalTICAmount: 70,
+        },
+        {
+          account: account2,
+          poolId: 1,
+          totalLPTokenAmount: 25,
+          totalTICAmount: 250,
+        },
+        {
+          account: account3,
+          poolId: 0,
+          totalLPTokenAmount: 1,
+          totalTICAmount: 10,
+        },
+      ]),
+      {
+        chainId: 43114,
+        contract: proxy,
+        snapshotBlock: 1200,
+        previousRoot: zeroRoot,
+        metadata: { generator: "test", fromBlock: 1000 },
+      }
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes one shard per address prefix and a manifest", () => {
+    const manifest = exportProofShards(file, dir);
+    expect(manifest.merkleRoot).to.eq(file.merkleRoot);
+    expect(manifest.contract).to.eq(utils.getAddress(proxy));
+    expect(manifest.shards).to.deep.eq(["0x1d", "0x4a"]);
+
+    const shard = JSON.parse(
+      fs.readFileSync(path.join(dir, "proofs", "0x1d.json"), "utf8")
+    );
+    expect(Object.keys(shard).sort()).to.deep.eq(
+      [account1, utils.getAddress(account3)].sort()
+    );
+    expect(getShardPrefix(account2, 3)).to.eq("0x4ac");
+  });
+
+  it("verifies a looked up proof and builds the claim call", async () => {
+    exportProofShards(file, dir);
+    const { manifest, claims } = await lookupClaims(
+      account1.toLowerCase(),
+      fetchJSON
+    );
+    expect(manifest.chainId).to.eq(43114);
+    expect(claims.map(({ poolId }) => poolId)).to.deep.eq([0, 1]);
+
+    const [claim] = claims;
+    expect(claim.transaction.to).to.eq(manifest.contract);
+    const decoded = new utils.Interface([
+      "function claim(uint256, uint256, uint256, uint256, bytes32[])",
+    ]).decodeFunctionData("claim", claim.transaction.data);
+    expect(decoded[0].toNumber()).to.eq(claim.index);
+    expect(decoded[2].toNumber()).to.eq(100);
+    expect(decoded[4]).to.deep.eq(file.claims[account1]["0"].proof);
+
+    const none = await lookupClaims(
+      "0xffffffffffffffffffffffffffffffffffffffff",
+      fetchJSON,
+      { manifest }
+    );
+    expect(none.claims).to.deep.eq([]);
+  });
+
+  it("rejects a shard that does not match the manifest root", async () => {
+    exportProofShards(file, dir);
+    const shardPath = path.join(dir, "proofs", "0x4a.json");
+    const shard = JSON.parse(fs.readFileSync(shardPath, "utf8"));
+    shard[account2]["1"].totalTICAmount = "0x0100";
+    fs.writeFileSync(shardPath, JSON.stringify(shard));
+
+    let error;
+    try {
+      await lookupClaims(account2, fetchJSON);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include(`Invalid proof for ${account2} in pool 1`);
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { applyPlan } = require("../src/utils/deploymentPlan");
+const {
+  auditRoles,
+  loadPolicy,
+  validatePolicy,
+} = require("../src/utils/roleAudit");
+
+const { ethers, deployments } = hre;
+
+const TOKENS = ["tic", "daoTime", "teamTime", "preSeedTime"];
+
+describe("roleAudit", () => {
+  let accounts;
+  let policy;
+  let ticToken;
+  let stakingPools;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    await deployments.fixture();
+    policy = loadPolicy("plans/roles.json");
+    ticToken = await ethers.getContractAt(
+      "TicToken",
+      (
+        await deployments.get("TicToken")
+      ).address
+    );
+    stakingPools = await deployments.get("StakingPools");
+  });
+
+  it("reports the deployer and missing DAO roles after deployment", async () => {
+    const [admin, governance] = accounts;
+    const { tokens, drift } = await auditRoles(policy, hre);
+    expect(tokens.map(({ name }) => name)).to.deep.eq([
+      "TicToken",
+      "TimeTokenDAO",
+      "TimeTokenTeam",
+      "TimeTokenPreSeed",
+    ]);
+    expect(tokens[0].roles).to.deep.eq({
+      ADMIN_ROLE: [admin.address],
+      MINTER_ROLE: [admin.address, stakingPools.address],
+    });
+    expect(drift).to.include.members([
+      `TicToken ADMIN_ROLE: governance ${governance.address} is missing`,
+      `TicToken ADMIN_ROLE: admin ${admin.address} must not hold the role`,
+      `TicToken MINTER_ROLE: admin ${admin.address} must not hold the role`,
+      `TimeTokenPreSeed MINTER_ROLE: admin ${admin.address} must not hold the role`,
+    ]);
+    expect(drift).to.have.lengthOf(12);
+  });
+
+  it("passes once the DAO holds the roles and fails on drift", async () => {
+    const [admin, governance, , , outsider] = accounts;
+    // the grants and renounces of the launch plan
+    await applyPlan(
+      {
+        version: 1,
+        network: "hardhat",
+        stakingPools: "StakingPools",
+        tokens: {
+          tic: "TicToken",
+          daoTime: "TimeTokenDAO",
+          teamTime: "TimeTokenTeam",
+          preSeedTime: "TimeTokenPreSeed",
+        },
+        mints: [],
+        pools: [],
+        grants: [
+          { token: "tic", role: "ADMIN_ROLE", account: "governance" },
+          ...TOKENS.slice(1).flatMap((token) => [
+            { token, role: "ADMIN_ROLE", account: "governance" },
+            { token, role: "MINTER_ROLE", account: "governance" },
+          ]),
+        ],
+        renounces: TOKENS.flatMap((token) => [
+          { token, role: "ADMIN_ROLE" },
+          { token, role: "MINTER_ROLE" },
+        ]),
+      },
+      hre,
+      { only: ["grants", "renounces"] }
+    );
+
+    const audit = await auditRoles(policy, hre);
+    expect(audit.drift).to.deep.eq([]);
+    expect(audit.tokens[0].roles).to.deep.eq({
+      ADMIN_ROLE: [governance.address],
+      MINTER_ROLE: [stakingPools.address],
+    });
+    expect(audit.tokens[2].roles.MINTER_ROLE).to.deep.eq([governance.address]);
+
+    const minterRole = await ticToken.MINTER_ROLE();
+    await ticToken.connect(governance).grantRole(minterRole, outsider.address);
+    expect((await auditRoles(policy, hre)).drift).to.deep.eq([
+      `TicToken MINTER_ROLE: ${outsider.address} is not allowed to hold the role`,
+    ]);
+
+    await ticToken.connect(governance).grantRole(minterRole, admin.address);
+    await ticToken.connect(governance).revokeRole(minterRole, outsider.address);
+    expect((await auditRoles(policy, hre)).drift).to.deep.eq([
+      `TicToken MINTER_ROLE: admin ${admin.address} must not hold the role`,
+    ]);
+
+    await ticToken.connect(governance).revokeRole(minterRole, admin.address);
+    expect((await auditRoles(policy, hre)).drift).to.deep.eq([]);
+  });
+
+  it("rejects invalid policies", () => {
+    expect(
+      validatePolicy({
+        version: 1,
+        forbidden: "admin",
+        tokens: {
+          TicToken: {
+            OWNER_ROLE: { required: ["governance"] },
+            MINTER_ROLE: { allowed: "StakingPools" },
+          },
+        },
+      }).errors
+    ).to.deep.eq([
+      "Invalid forbidden",
+      "Invalid tokens.TicToken.OWNER_ROLE",
+      "Invalid tokens.TicToken.MINTER_ROLE",
+    ]);
+  });
+});
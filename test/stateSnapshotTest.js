@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { generateDistribution } = require("../src/utils/generateDistribution");
+const {
+  takeSnapshot,
+  serializeSnapshot,
+  loadSnapshot,
+} = require("../src/utils/stateSnapshot");
+const {
+  advance,
+  deployMerklePoolsFixture,
+  expectRejection,
+} = require("./helpers/merklePoolsFixture");
+
+const mine = (blocks) =>
+  [...Array(blocks).keys()].reduce(
+    (previous) => previous.then(() => ethers.provider.send("evm_mine")),
+    Promise.resolve()
+  );
+
+describe("stateSnapshot", () => {
+  let accounts;
+  let merklePools;
+  let stake;
+  let generateLP;
+
+  beforeEach(async () => {
+    ({ accounts, merklePools, stake, generateLP } =
+      await deployMerklePoolsFixture());
+  });
+
+  it("reads the state at past blocks", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await mine(3);
+    const first = await ethers.provider.getBlockNumber();
+
+    await advance(86400);
+    await stake(staker2, 1, ethers.utils.parseUnits("40"));
+    await merklePools.connect(staker1).exit(0);
+    await mine(2);
+    const second = await ethers.provider.getBlockNumber();
+    await advance(86400);
+    await stake(staker1, 0, ethers.utils.parseUnits("7"));
+
+    const before = await takeSnapshot(merklePools, { blockTag: first });
+    expect(before.blockNumber).to.eq(first);
+    expect(Object.keys(before.stakes)).to.deep.eq([staker1.address]);
+    expect(before.stakes[staker1.address]["0"].totalDeposited).to.eq(
+      ethers.utils.parseUnits("100").toString()
+    );
+    expect(before.pools[1].totalDeposited).to.eq("0");
+
+    const after = await takeSnapshot(merklePools, { blockTag: second });
+    const forfeitAddress = accounts[1].address;
+    expect(Object.keys(after.stakes)).to.deep.eq(
+      [staker1.address, staker2.address, forfeitAddress].sort()
+    );
+    expect(after.stakes[staker1.address]["0"].totalDeposited).to.eq("0");
+    // exit moves the unrealized TIC to the forfeit stake and into the realized baseline
+    expect(after.stakes[staker1.address]["0"].totalRealizedTIC).to.eq(
+      after.stakes[forfeitAddress]["0"].totalUnrealized
+    );
+    expect(after.stakes[staker2.address]["1"].totalDeposited).to.eq(
+      ethers.utils.parseUnits("40").toString()
+    );
+    expect(after.poolContext.rewardRate).to.eq(
+      (await merklePools.poolContext()).rewardRate.toString()
+    );
+    expect(after.excessTICFromSlippage).to.eq(
+      (await merklePools.excessTICFromSlippage()).toString()
+    );
+    expect(after.isClaimsEnabled).to.eq(false);
+
+    // the same block always serializes to the same bytes, however the stakers are batched
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "state-snapshot-"));
+    const file = path.join(dir, "snapshot.json");
+    fs.writeFileSync(file, serializeSnapshot(after));
+    expect(
+      serializeSnapshot(
+        await takeSnapshot(merklePools, { blockTag: second, batchSize: 1 })
+      )
+    ).to.eq(fs.readFileSync(file, "utf8"));
+    expect(loadSnapshot(file)).to.deep.eq(JSON.parse(serializeSnapshot(after)));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("builds the claim list of a root from a snapshot", async () => {
+    const [staker1, staker2] = accounts.slice(2, 4);
+    await stake(staker1, 0, ethers.utils.parseUnits("100"));
+    await stake(staker2, 0, ethers.utils.parseUnits("300"));
+    await advance(10 * 86400);
+    await generateLP(0, ethers.utils.parseUnits("1000"));
+    await mine(2);
+    const block = await ethers.provider.getBlockNumber();
+
+    // activity after the snapshot block does not change the root
+    await advance(86400);
+    await merklePools.connect(staker2).exit(0);
+
+    const snapshot = await takeSnapshot(merklePools, { blockTag: block });
+    const { distribution } = await generateDistribution(merklePools, {
+      toBlock: block,
+      snapshot,
+    });
+    const { distribution: replayed } = await generateDistribution(merklePools, {
+      toBlock: block,
+    });
+    expect(distribution.merkleRoot).to.eq(replayed.merkleRoot);
+    expect(Object.keys(distribution.claims).sort()).to.deep.eq(
+      [staker1.address, staker2.address].sort()
+    );
+
+    // a snapshot that does not match the replayed history is rejected
+    await expectRejection(
+      generateDistribution(merklePools, {
+        toBlock: block,
+        snapshot: {
+          ...snapshot,
+          stakes: {},
+        },
+      }),
+      "does not match the snapshot"
+    );
+    await expectRejection(
+      generateDistribution(merklePools, {
+        snapshot: await takeSnapshot(merklePools, { blockTag: block }),
+      }),
+      "Accounting is replayed past the snapshot"
+    );
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { expect } = require("chai");
+const { keccak256 } = require("ethereumjs-util");
+
+const { MerkleTree } = require("../src/utils/MerkleTree");
+const { StreamingMerkleTree } = require("../src/utils/StreamingMerkleTree");
+
+describe("StreamingMerkleTree", () => {
+  const trees = [];
+
+  const randomLeaves = (count) =>
+    [...Array(count).keys()].map((i) => keccak256(Buffer.from(`leaf-${i}`)));
+
+  const build = (leaves, chunkSize) => {
+    const tree = new StreamingMerkleTree({ chunkSize });
+    trees.push(tree);
+    leaves.forEach((leaf) => tree.addLeaf(leaf));
+    return tree.finalize();
+  };
+
+  afterEach(() => {
+    trees.splice(0).forEach((tree) => tree.cleanup());
+  });
+
+  it("matches MerkleTree roots and proofs across chunk boundaries", () => {
+    [1, 2, 3, 7, 64, 101].forEach((count) => {
+      const leaves = randomLeaves(count);
+      const expected = new MerkleTree(leaves);
+      const tree = build(leaves, 10);
+
+      expect(tree.getHexRoot()).to.eq(expected.getHexRoot());
+      leaves.forEach((leaf) => {
+        expect(tree.getHexProof(leaf)).to.deep.eq(expected.getHexProof(leaf));
+      });
+    });
+  });
+
+  it("deduplicates leaves like MerkleTree", () => {
+    const leaves = randomLeaves(20);
+    const withDuplicates = [...leaves, ...leaves.slice(0, 5), leaves[19]];
+    const tree = build(withDuplicates, 4);
+
+    expect(tree.getLeafCount()).to.eq(20);
+    expect(tree.getHexRoot()).to.eq(
+      new MerkleTree(withDuplicates).getHexRoot()
+    );
+  });
+
+  it("reads hex leaves from a stream", async () => {
+    const leaves = randomLeaves(33);
+    const tree = new StreamingMerkleTree({ chunkSize: 8 });
+    trees.push(tree);
+    await tree.addLeavesFromStream(
+      Readable.from(leaves.map((leaf) => `0x${leaf.toString("hex")}\n`))
+    );
+    tree.finalize();
+
+    expect(tree.getHexRoot()).to.eq(new MerkleTree(leaves).getHexRoot());
+  });
+
+  it("writes proofs to sharded files", () => {
+    const leaves = randomLeaves(50);
+    const expected = new MerkleTree(leaves);
+    const tree = build(leaves, 16);
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "proofs-"));
+
+    const files = tree.writeProofs(outDir, { prefixLength: 1 });
+    const proofs = files.reduce(
+      (memo, file) => ({ ...memo, ...JSON.parse(fs.readFileSync(file)) }),
+      {}
+    );
+    fs.rmSync(outDir, { recursive: true, force: true });
+
+    expect(Object.keys(proofs)).to.have.length(50);
+    leaves.forEach((leaf) => {
+      const hex = `0x${leaf.toString("hex")}`;
+      expect(files).to.include(path.join(outDir, `${hex.slice(0, 3)}.json`));
+      expect(proofs[hex]).to.deep.eq(expected.getHexProof(leaf));
+    });
+  });
+
+  it("rejects an empty tree", () => {
+    const tree = new StreamingMerkleTree();
+    trees.push(tree);
+    expect(() => tree.finalize()).to.throw("empty tree");
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+
+const { TransactionJournal } = require("../src/utils/TransactionJournal");
+const { expectRejection } = require("./helpers/merklePoolsFixture");
+
+describe("TransactionJournal", () => {
+  let accounts;
+  let timeToken;
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    accounts = await ethers.getSigners();
+    await deployments.fixture();
+    const TimeTokenTeam = await deployments.get("TimeTokenTeam");
+    timeToken = new ethers.Contract(
+      TimeTokenTeam.address,
+      TimeTokenTeam.abi,
+      accounts[0]
+    );
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "transaction-journal-"));
+    file = path.join(dir, "journal.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records actions and resumes without sending them twice", async () => {
+    const recipient = accounts[2].address;
+    const amount = ethers.utils.parseUnits("500");
+    let sent = 0;
+    const mint = {
+      id: `mint:${recipient}`,
+      description: `mint 500 team TIME token to ${recipient}`,
+      isSatisfied: async () =>
+        (await timeToken.balanceOf(recipient)).gte(amount),
+      send: async () => {
+        sent += 1;
+        return timeToken.mint(recipient, amount);
+      },
+    };
+
+    let journal = new TransactionJournal({
+      path: file,
+      provider: ethers.provider,
+    });
+    const { status, receipt } = await journal.run(mint);
+    expect(status).to.eq("applied");
+    const entry = journal.get(mint.id);
+    expect(entry.status).to.eq("confirmed");
+    expect(entry.hash).to.eq(receipt.transactionHash);
+    expect(entry.hashes).to.deep.eq([receipt.transactionHash]);
+    expect(entry.receiptStatus).to.eq(1);
+
+    // a run after a crash reads the journal back and checks the chain first
+    journal = new TransactionJournal({ path: file, provider: ethers.provider });
+    expect(journal.get(mint.id)).to.deep.eq(entry);
+    expect((await journal.run(mint)).status).to.eq("skipped");
+    expect(sent).to.eq(1);
+    expect(await timeToken.balanceOf(recipient)).to.eq(amount);
+
+    // a transaction sent right before a crash is picked up from its hash
+    const other = accounts[3].address;
+    const transaction = await timeToken.mint(other, amount);
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        version: 1,
+        entries: [
+          ...journal.entries,
+          {
+            id: `mint:${other}`,
+            description: `mint 500 team TIME token to ${other}`,
+            status: "sent",
+            hash: transaction.hash,
+            updatedAt: new Date().toISOString(),
+          },
+        ],
+      })
+    );
+    journal = new TransactionJournal({ path: file, provider: ethers.provider });
+    const resumed = await journal.run({
+      ...mint,
+      id: `mint:${other}`,
+      isSatisfied: async () => false,
+    });
+    expect(resumed.status).to.eq("applied");
+    expect(journal.get(`mint:${other}`).status).to.eq("confirmed");
+    expect(sent).to.eq(1);
+    expect(await timeToken.balanceOf(other)).to.eq(amount);
+  });
+
+  it("resumes from the replacement of a transaction that was dropped", async () => {
+    const recipient = accounts[2].address;
+    const amount = ethers.utils.parseUnits("500");
+    const id = `mint:${recipient}`;
+    // the stuck attempt is no longer known to the node, its replacement was mined
+    const dropped = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("dropped"));
+    const replacement = await timeToken.mint(recipient, amount);
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        version: 1,
+        entries: [
+          {
+            id,
+            description: `mint 500 team TIME token to ${recipient}`,
+            status: "sent",
+            hashes: [dropped],
+            updatedAt: new Date().toISOString(),
+          },
+        ],
+      })
+    );
+    let journal = new TransactionJournal({
+      path: file,
+      provider: ethers.provider,
+    });
+    journal.recordReplacement(dropped, replacement);
+    expect(() =>
+      journal.recordReplacement(ethers.constants.HashZero, replacement)
+    ).to.throw("No action waits on transaction");
+
+    journal = new TransactionJournal({ path: file, provider: ethers.provider });
+    let sent = 0;
+    const { status } = await journal.run({
+      id,
+      description: `mint 500 team TIME token to ${recipient}`,
+      isSatisfied: async () => false,
+      send: async () => {
+        sent += 1;
+        return timeToken.mint(recipient, amount);
+      },
+    });
+    expect(status).to.eq("applied");
+    expect(sent).to.eq(0);
+    const entry = journal.get(id);
+    expect(entry.status).to.eq("confirmed");
+    expect(entry.hash).to.eq(replacement.hash);
+    expect(entry.hashes).to.deep.eq([dropped, replacement.hash]);
+    expect(await timeToken.balanceOf(recipient)).to.eq(amount);
+  });
+
+  it("records transactions that revert as failed", async () => {
+    const journal = new TransactionJournal({
+      path: file,
+      provider: ethers.provider,
+    });
+    await expectRejection(
+      journal.run({
+        id: "mint:unauthorized",
+        description: "mint without the minter role",
+        isSatisfied: async () => false,
+        send: async () =>
+          timeToken.connect(accounts[4]).mint(accounts[4].address, 1),
+      }),
+      "TimeToken: only minter"
+    );
+    const entry = JSON.parse(fs.readFileSync(file, "utf8")).entries[0];
+    expect(entry.status).to.eq("failed");
+    expect(entry.error).to.include("TimeToken: only minter");
+  });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers, deployments, network } = require("hardhat");
+
+const { TransactionSender } = require("../src/utils/TransactionSender");
+const { expectRejection } = require("./helpers/merklePoolsFixture");
+
+describe("TransactionSender", () => {
+  let provider;
+  let accounts;
+  let signers;
+  let stakingPools;
+  let timeToken;
+
+  beforeEach(async () => {
+    // a provider of our own, the polling interval of ethers.provider can not be changed
+    provider = new ethers.providers.Web3Provider(network.provider);
+    provider.pollingInterval = 50;
+    accounts = await ethers.getSigners();
+    signers = accounts.map(({ address }) => provider.getSigner(address));
+    await deployments.fixture();
+    const StakingPools = await deployments.get("StakingPools");
+    stakingPools = new ethers.Contract(
+      StakingPools.address,
+      StakingPools.abi,
+      signers[0]
+    );
+    const TimeTokenTeam = await deployments.get("TimeTokenTeam");
+    timeToken = new ethers.Contract(
+      TimeTokenTeam.address,
+      TimeTokenTeam.abi,
+      signers[0]
+    );
+  });
+
+  afterEach(async () => {
+    await provider.send("evm_setIntervalMining", [0]);
+    await provider.send("evm_setAutomine", [true]);
+  });
+
+  it("sends back to back with local nonces under automine", async () => {
+    const sender = new TransactionSender(signers[0]);
+    const nonce = await signers[0].getTransactionCount();
+    const responses = [
+      await sender.send(
+        timeToken.populateTransaction.mint(accounts[2].address, 10)
+      ),
+      await sender.send(
+        timeToken.populateTransaction.mint(accounts[3].address, 10)
+      ),
+    ];
+    expect(responses.map((response) => response.nonce)).to.deep.eq([
+      nonce,
+      nonce + 1,
+    ]);
+    const receipts = await Promise.all(
+      responses.map((response) => response.wait())
+    );
+    expect(receipts.map((receipt) => receipt.status)).to.deep.eq([1, 1]);
+    expect(responses[0].type).to.eq(2);
+    expect(await timeToken.balanceOf(accounts[3].address)).to.eq(10);
+  });
+
+  it("surfaces decoded revert reasons", async () => {
+    const sender = new TransactionSender(signers[4]);
+    const nonce = await signers[4].getTransactionCount();
+    await expectRejection(
+      sender.send(stakingPools.populateTransaction.setRewardRate(1)),
+      "StakingPools: only governance"
+    );
+
+    // a send that would revert does not use up a nonce
+    const response = await sender.send(
+      timeToken
+        .connect(signers[4])
+        .populateTransaction.approve(accounts[0].address, 1)
+    );
+    expect(response.nonce).to.eq(nonce);
+  });
+
+  it("waits for confirmations under interval mining", async () => {
+    await provider.send("evm_setAutomine", [false]);
+    await provider.send("evm_setIntervalMining", [100]);
+
+    const sender = new TransactionSender(signers[0], { confirmations: 3 });
+    const response = await sender.send(
+      timeToken.populateTransaction.mint(accounts[2].address, 10)
+    );
+    const receipt = await response.wait();
+    expect(receipt.status).to.eq(1);
+    expect((await provider.getBlockNumber()) - receipt.blockNumber).to.be.gte(
+      2
+    );
+  });
+
+  it("bumps the fees of a stuck transaction and replaces it", async () => {
+    await provider.send("evm_setAutomine", [false]);
+
+    const replaced = [];
+    const replacements = [];
+    const sender = new TransactionSender(signers[0], {
+      timeout: 200,
+      maxBumps: 2,
+      onReplaced: (hash, replacement) => {
+        replaced.push(hash);
+        replacements.push(replacement);
+        provider.send("evm_mine");
+      },
+    });
+    const first = await sender.send(
+      timeToken.populateTransaction.mint(accounts[2].address, 10)
+    );
+    const receipt = await first.wait();
+    expect(replaced).to.deep.eq([first.hash]);
+    expect(replacements[0].maxFeePerGas).to.be.gt(first.maxFeePerGas);
+    expect(replacements[0].nonce).to.eq(first.nonce);
+    expect(receipt.transactionHash).not.to.eq(first.hash);
+    expect(await timeToken.balanceOf(accounts[2].address)).to.eq(10);
+
+    // nothing is mined and the sender gives up after the last bump
+    const stuck = await sender.send(
+      timeToken.populateTransaction.mint(accounts[3].address, 10)
+    );
+    sender.onReplaced = () => {};
+    await expectRejection(stuck.wait(), "is not mined after 2 fee bumps");
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+
+const { parseBalanceMap } = require("../src/utils/parseBalanceMap");
+const { verifyDistribution } = require("../src/utils/verifyDistribution");
+
+describe("verifyDistribution", () => {
+  let distribution;
+
+  beforeEach(() => {
+    distribution = parseBalanceMap([
+      {
+        account: "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191",
+        poolId: 0,
+        totalLPTokenAmount: 100,
+        totalTICAmount: 1000,
+      },
+      {
+        account: "0x1D0c8C3e2Ce611E9D85fBB44F0Ec9eeef2549191",
+        poolId: 1,
+        totalLPTokenAmount: 10,
+        totalTICAmount: 50,
+      },
+      {
+        account: "0x4aC83585B497D50B7e187919aD85a522A452586e",
+        poolId: 0,
+        totalLPTokenAmount: 25,
+        totalTICAmount: 250,
+      },
+    ]);
+  });
+
+  it("accepts a distribution generated by parseBalanceMap", () => {
+    expect(verifyDistribution(distribution)).to.deep.eq({
+      valid: true,
+      errors: [],
+    });
+    expect(
+      verifyDistribution({
+        ...distribution,
+        merkleRoot: `0x${distribution.merkleRoot.slice(2).toUpperCase()}`,
+      })
+    ).to.deep.eq({ valid: true, errors: [] });
+  });
+
+  it("rejects a distribution with a tampered amount", () => {
+    distribution.claims["0x4aC83585B497D50B7e187919aD85a522A452586e"][
+      "0"
+    ].totalTICAmount = "0x0100";
+    const { valid, errors } = verifyDistribution(distribution);
+    expect(valid).to.be.false;
+    expect(errors.some((error) => error.startsWith("Root mismatch"))).to.be
+      .true;
+    expect(errors.some((error) => error.startsWith("Invalid proof"))).to.be
+      .true;
+  });
+
+  it("rejects a distribution with a foreign root", () => {
+    distribution.merkleRoot = `0x${"11".repeat(32)}`;
+    const { valid, errors } = verifyDistribution(distribution);
+    expect(valid).to.be.false;
+    expect(
+      errors.filter((error) => error.startsWith("Invalid proof"))
+    ).to.have.length(3);
+  });
+
+  it("rejects a distribution whose totals do not add up", () => {
+    distribution.poolTotals["1"].totalTICAmount = "0x01";
+    distribution.ticTotal = "0x01";
+    const { valid, errors } = verifyDistribution(distribution);
+    expect(valid).to.be.false;
+    expect(errors).to.include("Pool 1 totals do not match its claims");
+  });
+});